@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * Command-line front end for the library, for fixing stored orderings
+ * without writing scripts. Tables are read from JSON (an array of rows),
+ * NDJSON / JSON Lines, or CSV exports; rewriting commands print a diff of
+ * the changed rows and only write a file when --out is given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    createIndexer,
+    decodeIndex,
+    validateIndexes,
+    rebalance,
+    FractionalIndexError
+} = require('../src/index');
+const { compareDecimal } = require('../src/decimal');
+
+const USAGE = `Usage: frac-indexes <command> [options]
+
+Commands:
+  between <prev> <next>        Print an index between two indexes
+  bulk <prev> <next> <count>   Print count indexes between two indexes, one per line
+  validate <file>              Print a health report; exits with 1 if the list is not valid
+  rebalance <file>             Respread crowded regions of the list
+  resolve <file>               Give rows sharing an index new, distinct indexes
+
+Use "null" for an open end of a range. Files may be .json, .jsonl / .ndjson or .csv.
+
+Options:
+  --key <name>        Column holding the index (default: index)
+  --out <file>        Write the updated table here (rebalance, resolve); otherwise only the diff is printed
+  --format <format>   json, ndjson or csv (default: from the file extension)
+  --layout <layout>   spread or append (bulk)
+  --tiebreak <name>   Column ordering duplicate rows (resolve, default: id)
+  --seed <seed>       Seed for reproducible jitter
+  -h, --help          Show this help`;
+
+const FORMATS = { '.json': 'json', '.jsonl': 'ndjson', '.ndjson': 'ndjson', '.csv': 'csv' };
+
+// Thrown for mistakes in the command line itself; reported with the usage text
+class UsageError extends Error {}
+// Thrown for input files that cannot be read as a table
+class InputError extends Error {}
+
+// ---------------------------------------------------------------------------
+// Tables
+// ---------------------------------------------------------------------------
+
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+function formatCsvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function readTable(file, format) {
+    const resolved = format || FORMATS[path.extname(file).toLowerCase()];
+    if (!resolved) {
+        throw new UsageError(`Cannot tell the format of ${file}; pass --format json, ndjson or csv`);
+    }
+    if (Object.values(FORMATS).indexOf(resolved) === -1) {
+        throw new UsageError(`Unknown format "${resolved}"; expected json, ndjson or csv`);
+    }
+    const text = fs.readFileSync(file, 'utf8');
+
+    if (resolved === 'csv') {
+        const [columns = [], ...records] = parseCsv(text);
+        const rows = records.map(fields => {
+            const row = {};
+            columns.forEach((column, i) => {
+                row[column] = fields[i] === undefined ? '' : fields[i];
+            });
+            return row;
+        });
+        return { format: resolved, columns, rows };
+    }
+
+    let rows;
+    try {
+        rows = resolved === 'json'
+            ? JSON.parse(text)
+            : text.split(/\r?\n/).filter(line => line.trim() !== '').map(line => JSON.parse(line));
+    } catch (error) {
+        throw new InputError(`${file} is not valid ${resolved === 'json' ? 'JSON' : 'NDJSON'}: ${error.message}`);
+    }
+    if (!Array.isArray(rows) || rows.some(row => row === null || typeof row !== 'object' || Array.isArray(row))) {
+        throw new InputError(`${file} must contain ${resolved === 'json' ? 'an array of objects' : 'one object per line'}`);
+    }
+    return { format: resolved, rows };
+}
+
+function formatRow(table, row) {
+    if (table.format === 'csv') return table.columns.map(column => formatCsvField(row[column])).join(',');
+    return JSON.stringify(row);
+}
+
+function formatTable(table, rows) {
+    if (table.format === 'json') return `${JSON.stringify(rows, null, 2)}\n`;
+    const lines = rows.map(row => formatRow(table, row));
+    if (table.format === 'csv') lines.unshift(table.columns.map(formatCsvField).join(','));
+    return `${lines.join('\n')}\n`;
+}
+
+// Numeric JSON columns are read the way validateIndexes reads them
+function readIndex(row, key) {
+    return typeof row[key] === 'number' ? String(row[key]) : row[key];
+}
+
+// ---------------------------------------------------------------------------
+// Arguments
+// ---------------------------------------------------------------------------
+
+// Options that take a value, with their defaults
+const VALUE_OPTIONS = { key: 'index', out: undefined, format: undefined, layout: undefined, tiebreak: 'id', seed: undefined };
+
+/**
+ * Splits the command line into options and positionals. util.parseArgs needs
+ * Node 18.3, while the library supports older versions. A single dash only
+ * starts -h, so negative keys such as -Z.5 pass as positionals; "--" ends the options.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{values: Object, positionals: string[]}} Option values, with defaults filled in, and the rest
+ */
+function parseArguments(argv) {
+    const values = Object.assign({ help: false }, VALUE_OPTIONS);
+    const positionals = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (arg === '-h' || arg === '--help') {
+            values.help = true;
+        } else if (arg.slice(0, 2) !== '--') {
+            positionals.push(arg);
+        } else {
+            const equals = arg.indexOf('=');
+            const name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+            if (!Object.prototype.hasOwnProperty.call(VALUE_OPTIONS, name)) {
+                throw new UsageError(name === 'help' ? 'Option --help takes no value' : `Unknown option "--${name}"`);
+            }
+            if (equals === -1 && i + 1 === argv.length) {
+                throw new UsageError(`Option --${name} needs a value`);
+            }
+            values[name] = equals === -1 ? argv[++i] : arg.slice(equals + 1);
+        }
+    }
+    return { values, positionals };
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+function parseBound(value) {
+    return value === 'null' ? null : value;
+}
+
+function requirePositionals(positionals, names) {
+    if (positionals.length !== names.length) {
+        throw new UsageError(`Expected ${names.map(name => `<${name}>`).join(' ')}`);
+    }
+    return positionals;
+}
+
+// Applies index updates to copies of the rows, then prints and optionally writes the result
+function writeChanges(table, updates, options, out) {
+    const rows = table.rows.slice();
+    updates.forEach(({ position, newIndex }) => {
+        const before = rows[position];
+        const after = Object.assign({}, before, { [options.key]: newIndex });
+        rows[position] = after;
+        out.push(`@@ row ${position + 1} @@`);
+        out.push(`- ${formatRow(table, before)}`);
+        out.push(`+ ${formatRow(table, after)}`);
+    });
+
+    const summary = `${updates.length} of ${rows.length} rows changed`;
+    if (options.out) {
+        fs.writeFileSync(options.out, formatTable(table, rows));
+        out.push(`${summary}; wrote ${options.out}`);
+    } else {
+        out.push(updates.length > 0 ? `${summary} (dry run: pass --out <file> to write them)` : summary);
+    }
+    return 0;
+}
+
+const COMMANDS = {
+    between(positionals, options, out) {
+        const [prev, next] = requirePositionals(positionals, ['prev', 'next']);
+        out.push(createIndexer({ seed: options.seed }).generateFractionalIndex(parseBound(prev), parseBound(next)));
+        return 0;
+    },
+
+    bulk(positionals, options, out) {
+        const [prev, next, count] = requirePositionals(positionals, ['prev', 'next', 'count']);
+        if (!/^\d+$/.test(count)) throw new UsageError(`Invalid count "${count}": expected a non-negative integer`);
+        const bulkOptions = options.layout === undefined ? {} : { layout: options.layout };
+        createIndexer({ seed: options.seed })
+            .generateBulkIndexes(parseBound(prev), parseBound(next), Number(count), bulkOptions)
+            .forEach(index => out.push(index));
+        return 0;
+    },
+
+    validate(positionals, options, out) {
+        const [file] = requirePositionals(positionals, ['file']);
+        const report = validateIndexes(readTable(file, options.format).rows, { key: options.key });
+        out.push(JSON.stringify(report, null, 2));
+        return report.valid ? 0 : 1;
+    },
+
+    rebalance(positionals, options, out) {
+        const [file] = requirePositionals(positionals, ['file']);
+        const table = readTable(file, options.format);
+
+        // Rows stay in file order; only the indexes are sorted
+        const order = table.rows
+            .map((row, position) => ({ position, index: readIndex(row, options.key) }))
+            .map(entry => Object.assign(entry, { value: decodeIndex(entry.index) }))
+            .sort((a, b) => compareDecimal(a.value, b.value) || a.position - b.position);
+
+        const updates = rebalance(order.map(entry => entry.index)).map(update => ({
+            position: order[update.position].position,
+            newIndex: update.newIndex
+        }));
+        return writeChanges(table, updates, options, out);
+    },
+
+    resolve(positionals, options, out) {
+        const [file] = requirePositionals(positionals, ['file']);
+        const table = readTable(file, options.format);
+        const rows = table.rows.map(row => Object.assign({}, row, { [options.key]: readIndex(row, options.key) }));
+
+        const updates = createIndexer({ seed: options.seed })
+            .resolveDuplicates(rows, { key: options.key, tiebreak: options.tiebreak });
+        return writeChanges(table, updates, options, out);
+    }
+};
+
+/**
+ * Runs the command line and returns the exit code
+ * @param {string[]} argv - Arguments after the script name
+ * @param {{stdout: {write: Function}, stderr: {write: Function}}} [io] - Where to print
+ * @returns {number} 0 on success, 1 for failures and invalid lists, 2 for usage errors
+ */
+function main(argv, io = process) {
+    const out = [];
+    try {
+        const { values, positionals } = parseArguments(argv);
+        const [command, ...rest] = positionals;
+        if (values.help || command === undefined) {
+            io.stdout.write(`${USAGE}\n`);
+            return values.help ? 0 : 2;
+        }
+        if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+            throw new UsageError(`Unknown command "${command}"`);
+        }
+
+        const code = COMMANDS[command](rest, values, out);
+        if (out.length > 0) io.stdout.write(`${out.join('\n')}\n`);
+        return code;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            io.stderr.write(`frac-indexes: ${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+        // Bad input - anything else is a bug and keeps its stack trace
+        if (error instanceof FractionalIndexError || error instanceof InputError || error.syscall) {
+            io.stderr.write(`frac-indexes: ${error.message}\n`);
+            return 1;
+        }
+        throw error;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    main
+};
@@ -0,0 +1,62 @@
+/**
+ * Builds the ES5 browser bundle from the CommonJS sources in src/.
+ *
+ * esbuild bundles the modules into a single script exposing the
+ * FractionalIndexing global (and module.exports when loaded with require),
+ * then the TypeScript compiler lowers the remaining ES2015+ syntax to ES5.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const esbuild = require('esbuild');
+const ts = require('typescript');
+const { version } = require('../package.json');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'dist', 'frac-indexes.es5.js');
+
+function build() {
+    const bundle = esbuild.buildSync({
+        entryPoints: [path.join(ROOT, 'src', 'index.js')],
+        bundle: true,
+        format: 'iife',
+        globalName: 'FractionalIndexing',
+        platform: 'browser',
+        target: 'es2015',
+        write: false
+    });
+
+    const { outputText, diagnostics } = ts.transpileModule(bundle.outputFiles[0].text, {
+        reportDiagnostics: true,
+        compilerOptions: {
+            target: ts.ScriptTarget.ES5,
+            // The bundle has no imports or exports, so this only satisfies the compiler
+            module: ts.ModuleKind.CommonJS
+        }
+    });
+    if (diagnostics.length > 0) {
+        const messages = diagnostics.map(diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+        throw new Error(`ES5 transpilation failed:\n${messages.join('\n')}`);
+    }
+
+    // Keep the compiler's helpers out of the global scope and export the same
+    // way the hand-written ES5 file used to: CommonJS first, then window
+    const output = [
+        `/*! frac-indexes v${version} | MIT License | ES5 build generated by scripts/build.js - do not edit */`,
+        '(function () {',
+        outputText.trim(),
+        "if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {",
+        '    module.exports = FractionalIndexing;',
+        "} else if (typeof window !== 'undefined') {",
+        '    window.FractionalIndexing = FractionalIndexing;',
+        '}',
+        '})();',
+        ''
+    ].join('\n');
+
+    fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+    fs.writeFileSync(OUTPUT, output);
+    console.log(`Built ${path.relative(ROOT, OUTPUT)} (${output.length} bytes)`);
+}
+
+build();
@@ -0,0 +1,139 @@
+/**
+ * The base class OrderedList and OrderedTree share.
+ */
+
+const { createIndexer, readStrategy } = require('./indexer');
+const { isIndex } = require('./encoding');
+const { compareIndexes } = require('./compare');
+const { isCompactIndex } = require('./compact');
+const { InvalidIndexError, InvalidArgumentError, describeValue, assertPropertyName, assertIdList } = require('./errors');
+
+// Shallow copy with some properties replaced (Object.assign is missing from ES5 engines)
+function withFields(item, fields) {
+    const copy = {};
+    Object.keys(item).forEach(key => {
+        copy[key] = item[key];
+    });
+    Object.keys(fields).forEach(key => {
+        copy[key] = fields[key];
+    });
+    return copy;
+}
+
+/**
+ * Base of OrderedList and OrderedTree: reads the options they share, owns the
+ * indexer and checks items and keys the same way for both.
+ *
+ * Every option a subclass does not read itself goes to createIndexer, so new
+ * indexer options reach lists and trees without being listed here.
+ */
+class IndexedCollection {
+    /**
+     * @param {Object[]} items - Only checked to be an array; the subclass adds the items
+     * @param {Object} options - The subclass's options
+     * @param {Object} kind
+     * @param {string} kind.name - Class name, for error messages
+     * @param {string} kind.noun - What the collection is called in error messages ('list', 'tree')
+     * @param {string[]} kind.ownOptions - Options the subclass reads itself rather than passing to createIndexer
+     */
+    constructor(items, options, kind) {
+        if (!Array.isArray(items)) {
+            throw new InvalidArgumentError(`Invalid items: expected an array, got ${describeValue(items)}`, 'items', items);
+        }
+        const { idKey = 'id', indexKey = 'index', strategy, alphabet, order } = options;
+        [['idKey', idKey], ['indexKey', indexKey]].forEach(([argument, value]) => assertPropertyName(value, argument));
+
+        if (strategy !== null && typeof strategy === 'object') {
+            throw new InvalidArgumentError(`Invalid strategy option: ${kind.name} takes the name of a built-in strategy`, 'strategy', strategy);
+        }
+        const indexerOptions = {};
+        Object.keys(options).forEach(key => {
+            if (kind.ownOptions.indexOf(key) === -1) indexerOptions[key] = options[key];
+        });
+        this._indexer = createIndexer(indexerOptions);
+        this._idKey = idKey;
+        this._indexKey = indexKey;
+        this._alphabet = readStrategy({ strategy, alphabet }).alphabet;
+        this._descending = order === 'descending';
+        this._noun = kind.noun;
+        this._byId = new Map();
+    }
+
+    /**
+     * Checks whether an item with this id is in the collection
+     * @param {*} id - The item id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this._byId.has(id);
+    }
+
+    /**
+     * Returns the item with this id, or undefined
+     * @param {*} id - The item id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this._byId.get(id);
+    }
+
+    // Compares two indexes in collection order
+    _compare(a, b) {
+        const order = compareIndexes(a, b, { alphabet: this._alphabet });
+        return this._descending ? -order : order;
+    }
+
+    _boundsAt(items, position) {
+        return {
+            prevIndex: position > 0 ? items[position - 1][this._indexKey] : null,
+            nextIndex: position < items.length ? items[position][this._indexKey] : null
+        };
+    }
+
+    _checkExisting(id, argument = 'id') {
+        if (!this._byId.has(id)) {
+            throw new InvalidArgumentError(`Invalid ${argument}: ${describeValue(id)} is not in the ${this._noun}`, argument, id);
+        }
+        return id;
+    }
+
+    // Checks the ids passed to move and maps each one to its item, in the order given
+    _movingItems(ids) {
+        assertIdList(ids);
+        const moving = new Map();
+        ids.forEach(id => moving.set(id, this._byId.get(this._checkExisting(id))));
+        return moving;
+    }
+
+    _checkNewItem(item, argument) {
+        if (item === null || typeof item !== 'object') {
+            throw new InvalidArgumentError(`Invalid ${argument}: expected an object, got ${describeValue(item)}`, argument, item);
+        }
+        const id = item[this._idKey];
+        if (id === undefined || id === null) {
+            throw new InvalidArgumentError(`Invalid ${argument}: missing ${this._idKey}`, argument, item);
+        }
+        if (this._byId.has(id)) {
+            throw new InvalidArgumentError(`Invalid ${argument}: ${this._idKey} ${describeValue(id)} is already in the ${this._noun}`, argument, item);
+        }
+        return id;
+    }
+
+    _checkIndex(index) {
+        const valid = this._alphabet === 'decimal' ? isIndex(index) : isCompactIndex(index, this._alphabet);
+        if (!valid) {
+            throw new InvalidIndexError(`Invalid ${this._indexKey}: ${describeValue(index)} is not a valid ${this._alphabet} index`, index, this._indexKey);
+        }
+    }
+
+    _checkPosition(position, max, argument) {
+        if (typeof position !== 'number' || Math.floor(position) !== position || position < 0 || position > max) {
+            throw new InvalidArgumentError(`Invalid ${argument}: expected an integer from 0 to ${max}, got ${describeValue(position)}`, argument, position);
+        }
+    }
+}
+
+module.exports = {
+    IndexedCollection,
+    withFields
+};
@@ -0,0 +1,548 @@
+/**
+ * Compact keys in base 62 or base 95.
+ *
+ * A compact key is a head character giving the number of integer digits
+ * (from HEADS, so "0" = none, "1" = one, ...), the integer digits, then the
+ * fraction digits without trailing zeros. Both alphabets are in ASCII order,
+ * so keys compare byte by byte exactly like their values:
+ *
+ *   base62:  "0V" = 0.5,  "11" = 1,  "12V" = 2.5,  "2A0" = 620
+ *
+ * Arithmetic works on arrays of digit values (most significant first) rather
+ * than strings, since neither alphabet has digits that map to char codes.
+ */
+
+const { subtractDecimal } = require('./decimal');
+const { encodeIndex, decodeIndex } = require('./encoding');
+const { InvalidIndexError, InvalidRangeError, InvalidArgumentError, describeValue } = require('./errors');
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+function printableAscii() {
+    let chars = '';
+    for (let code = 32; code <= 126; code++) chars += String.fromCharCode(code);
+    return chars;
+}
+
+const ALPHABETS = {
+    base62: BASE62,
+    base95: printableAscii()
+};
+// Head characters, shared by both alphabets (and never a space)
+const HEADS = BASE62;
+// Random digits appended below the grid when jitter is enabled - in base 62,
+// about as many variations as the five decimal jitter digits
+const JITTER_DIGITS = 3;
+
+// ---------------------------------------------------------------------------
+// Digit arrays
+// ---------------------------------------------------------------------------
+
+function trimLeading(digits) {
+    let start = 0;
+    while (start < digits.length - 1 && digits[start] === 0) start++;
+    return digits.slice(start);
+}
+
+function compareArrays(a, b) {
+    const x = trimLeading(a);
+    const y = trimLeading(b);
+    if (x.length !== y.length) return x.length < y.length ? -1 : 1;
+    for (let i = 0; i < x.length; i++) {
+        if (x[i] !== y[i]) return x[i] < y[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+function addArrays(a, b, base) {
+    const result = [];
+    let carry = 0;
+    for (let i = a.length - 1, j = b.length - 1; i >= 0 || j >= 0 || carry; i--, j--) {
+        const sum = (i >= 0 ? a[i] : 0) + (j >= 0 ? b[j] : 0) + carry;
+        result.unshift(sum % base);
+        carry = sum >= base ? 1 : 0;
+    }
+    return result.length ? result : [0];
+}
+
+function subtractArrays(a, b, base) {
+    const result = [];
+    let borrow = 0;
+    for (let i = a.length - 1, j = b.length - 1; i >= 0; i--, j--) {
+        let diff = a[i] - (j >= 0 ? b[j] : 0) - borrow;
+        borrow = diff < 0 ? 1 : 0;
+        if (diff < 0) diff += base;
+        result.unshift(diff);
+    }
+    return trimLeading(result);
+}
+
+function divideArray(digits, divisor, base) {
+    const quotient = [];
+    let remainder = 0;
+    for (let i = 0; i < digits.length; i++) {
+        const current = remainder * base + digits[i];
+        quotient.push(Math.floor(current / divisor));
+        remainder = current % divisor;
+    }
+    return { quotient: trimLeading(quotient.length ? quotient : [0]), remainder };
+}
+
+function fromNumber(value, base) {
+    const digits = [];
+    let rest = value;
+    do {
+        digits.unshift(rest % base);
+        rest = Math.floor(rest / base);
+    } while (rest > 0);
+    return digits;
+}
+
+// ---------------------------------------------------------------------------
+// Values: {int, frac} digit arrays, with no leading zeros in int (an empty
+// array is zero) and no trailing zeros in frac
+// ---------------------------------------------------------------------------
+
+function normalize(int, frac) {
+    let start = 0;
+    while (start < int.length && int[start] === 0) start++;
+    let end = frac.length;
+    while (end > 0 && frac[end - 1] === 0) end--;
+    return { int: int.slice(start), frac: frac.slice(0, end) };
+}
+
+function isZero(value) {
+    return value.int.length === 0 && value.frac.length === 0;
+}
+
+// With equal integer lengths the digits line up, and without trailing zeros
+// a longer fraction is the larger value - the same rule as byte order
+function compareValues(a, b) {
+    if (a.int.length !== b.int.length) return a.int.length < b.int.length ? -1 : 1;
+    const x = a.int.concat(a.frac);
+    const y = b.int.concat(b.frac);
+    for (let i = 0; i < Math.min(x.length, y.length); i++) {
+        if (x[i] !== y[i]) return x[i] < y[i] ? -1 : 1;
+    }
+    if (x.length === y.length) return 0;
+    return x.length < y.length ? -1 : 1;
+}
+
+// The value scaled by base^places as one digit array, rounded down (floor) or up (ceil)
+function toScaled(value, places, roundUp, base) {
+    const frac = value.frac.slice(0, places);
+    while (frac.length < places) frac.push(0);
+    const digits = value.int.concat(frac);
+    const scaled = digits.length ? digits : [0];
+    return roundUp && value.frac.length > places ? addArrays(scaled, [1], base) : scaled;
+}
+
+function fromScaled(digits, places) {
+    const padded = digits.slice();
+    while (padded.length < places) padded.unshift(0);
+    const cut = padded.length - places;
+    return normalize(padded.slice(0, cut), padded.slice(cut));
+}
+
+// ---------------------------------------------------------------------------
+// Keys
+// ---------------------------------------------------------------------------
+
+function getAlphabet(name, argument) {
+    if (!Object.prototype.hasOwnProperty.call(ALPHABETS, name)) {
+        throw new InvalidArgumentError(
+            `Invalid ${argument}: expected "base62" or "base95", got ${describeValue(name)}`,
+            argument,
+            name
+        );
+    }
+    return ALPHABETS[name];
+}
+
+function formatKey(value, alphabet) {
+    if (value.int.length >= HEADS.length) {
+        throw new InvalidIndexError(`Index out of range: more than ${HEADS.length - 1} integer digits`, null);
+    }
+    let key = HEADS.charAt(value.int.length);
+    value.int.concat(value.frac).forEach(digit => {
+        key += alphabet.charAt(digit);
+    });
+    return key;
+}
+
+function parseKey(key, alphabet) {
+    if (typeof key !== 'string' || key.length === 0) return null;
+    const intLength = HEADS.indexOf(key.charAt(0));
+    if (intLength === -1 || key.length < 1 + intLength) return null;
+
+    const digits = [];
+    for (let i = 1; i < key.length; i++) {
+        const digit = alphabet.indexOf(key.charAt(i));
+        if (digit === -1) return null;
+        digits.push(digit);
+    }
+    const int = digits.slice(0, intLength);
+    const frac = digits.slice(intLength);
+    if ((int.length && int[0] === 0) || (frac.length && frac[frac.length - 1] === 0)) return null;
+    return { int, frac };
+}
+
+/**
+ * Checks whether a value is a canonical compact key in the given alphabet
+ * @param {*} key - The value to check
+ * @param {string} alphabetName - 'base62' or 'base95'
+ * @returns {boolean} True if the key can be decoded
+ */
+function isCompactIndex(key, alphabetName) {
+    return parseKey(key, getAlphabet(alphabetName, 'alphabet')) !== null;
+}
+
+/**
+ * Decodes and checks a (prevIndex, nextIndex) pair of compact keys
+ * @param {string|null} prevIndex - The key before the desired position
+ * @param {string|null} nextIndex - The key after the desired position
+ * @param {string} alphabetName - 'base62' or 'base95'
+ * @param {Object} [options]
+ * @param {boolean} [options.descending=false] - The list runs from the highest key down, so prevIndex
+ *   must be the greater bound
+ * @returns {{prevValue: Object|null, nextValue: Object|null}} The decoded bounds
+ */
+function decodeCompactRange(prevIndex, nextIndex, alphabetName, options = {}) {
+    const { descending = false } = options;
+    const alphabet = getAlphabet(alphabetName, 'alphabet');
+    const decode = (index, argument) => {
+        if (index === null) return null;
+        const value = parseKey(index, alphabet);
+        if (value === null) {
+            throw new InvalidIndexError(
+                `Invalid ${argument}: ${describeValue(index)} is not a ${alphabetName} index (use null for an open end)`,
+                index,
+                argument
+            );
+        }
+        return value;
+    };
+    const prevValue = decode(prevIndex, 'prevIndex');
+    const nextValue = decode(nextIndex, 'nextIndex');
+    const lowerValue = descending ? nextValue : prevValue;
+    const upperValue = descending ? prevValue : nextValue;
+
+    if (lowerValue !== null && upperValue !== null && compareValues(lowerValue, upperValue) >= 0) {
+        throw new InvalidRangeError(prevIndex, nextIndex, descending
+            ? `Invalid range: in descending order prevIndex (${prevIndex}) must be greater than nextIndex (${nextIndex})`
+            : undefined);
+    }
+    if (lowerValue === null && upperValue !== null && isZero(upperValue)) {
+        throw new InvalidRangeError(prevIndex, nextIndex, descending
+            ? `Invalid range: no index can be generated after ${prevIndex} in descending order`
+            : `Invalid range: no index can be generated before ${nextIndex}`);
+    }
+    return { prevValue, nextValue };
+}
+
+// Open ends become concrete bounds: the start of the list is zero, and the end
+// is two whole units past the last key, so appends grow the integer part
+function closeRange(prevValue, nextValue, base) {
+    const lower = prevValue === null ? { int: [], frac: [] } : prevValue;
+    const upper = nextValue === null
+        ? normalize(addArrays(lower.int.length ? lower.int : [0], [2], base), [])
+        : nextValue;
+    return { lower, upper };
+}
+
+function randomDigits(random, count, base) {
+    const digits = [];
+    for (let i = 0; i < count; i++) digits.push(Math.floor(random() * base));
+    return digits;
+}
+
+// Digits appended below the grid: random jitter digits, then the site id,
+// which has to end the key to tell replicas apart (see encodeSiteId)
+function extraDigits(random, siteDigits, base) {
+    return random ? randomDigits(random, JITTER_DIGITS, base).concat(siteDigits) : siteDigits;
+}
+
+// The key nearest the middle of (lower, upper) on the coarsest grid that has
+// room for it; with extra digits, one that also leaves a grid step for them
+function midpointValue(lower, upper, base, random, siteDigits = []) {
+    const minSize = random || siteDigits.length ? [1] : [0];
+    for (let places = 0; ; places++) {
+        const low = addArrays(toScaled(lower, places, false, base), [1], base);
+        const high = subtractArrays(toScaled(upper, places, true, base), [1], base);
+        if (compareArrays(high, low) < 0) continue;
+
+        const size = subtractArrays(high, low, base);
+        if (compareArrays(size, minSize) < 0) continue;
+
+        const middle = addArrays(low, divideArray(size, 2, base).quotient, base);
+        const extra = extraDigits(random, siteDigits, base);
+        return fromScaled(middle.concat(extra), places + extra.length);
+    }
+}
+
+/**
+ * Generates a compact key between two decoded compact bounds
+ * @param {Object|null} prevValue - The decoded lower bound (null for the start of the list)
+ * @param {Object|null} nextValue - The decoded upper bound (null for the end of the list)
+ * @param {string} alphabetName - 'base62' or 'base95'
+ * @param {function(): number|null} random - Random source for jitter, or null for none
+ * @param {Object} [options]
+ * @param {number[]} [options.siteDigits=[]] - Replica id digits to append below the key
+ * @returns {string} The new key
+ */
+function generateCompactIndex(prevValue, nextValue, alphabetName, random, options = {}) {
+    const alphabet = getAlphabet(alphabetName, 'alphabet');
+    const { lower, upper } = closeRange(prevValue, nextValue, alphabet.length);
+    return formatKey(midpointValue(lower, upper, alphabet.length, random, options.siteDigits), alphabet);
+}
+
+/**
+ * Spreads compact keys evenly between two decoded compact bounds
+ * @param {Object|null} prevValue - The decoded lower bound (null for the start of the list)
+ * @param {Object|null} nextValue - The decoded upper bound (null for the end of the list)
+ * @param {number} count - Number of keys to generate
+ * @param {string} alphabetName - 'base62' or 'base95'
+ * @param {function(): number|null} random - Random source for jitter, or null for none
+ * @param {Object} [options]
+ * @param {boolean} [options.lowerHalf=false] - Only use the lower half of the range
+ * @param {boolean} [options.upperHalf=false] - Only use the upper half of the range
+ * @param {number[]} [options.siteDigits=[]] - Replica id digits to append below each key
+ * @param {string|null} [options.edge=null] - 'first' or 'last' to only compute that key of the spread
+ * @returns {string[]} Ascending keys strictly inside the bounds
+ */
+function distributeCompactIndexes(prevValue, nextValue, count, alphabetName, random, options = {}) {
+    const { lowerHalf = false, upperHalf = false, siteDigits = [], edge = null } = options;
+    const alphabet = getAlphabet(alphabetName, 'alphabet');
+    const base = alphabet.length;
+    let lower = prevValue === null ? { int: [], frac: [] } : prevValue;
+    let upper = nextValue;
+    if (upper === null) {
+        // Every item of an open-ended batch gets one whole unit, like an append
+        upper = normalize(addArrays(lower.int.length ? lower.int : [0], fromNumber(count + 1, base), base), lower.frac);
+    } else if (lowerHalf) {
+        upper = midpointValue(lower, upper, base, null);
+    } else if (upperHalf) {
+        lower = midpointValue(lower, upper, base, null);
+    }
+
+    // Same grid search as distributeDecimal: at least 10 grid steps per slot
+    const minSpan = fromNumber(10 * (count + 1), base);
+    let places = 0;
+    let low;
+    let high;
+    let span;
+    for (;;) {
+        low = toScaled(lower, places, true, base);
+        high = toScaled(upper, places, false, base);
+        if (compareArrays(high, low) > 0) {
+            span = subtractArrays(high, low, base);
+            if (compareArrays(span, minSpan) >= 0) break;
+        }
+        places++;
+    }
+
+    const { quotient: step, remainder } = divideArray(span, count + 1, base);
+    const toKey = point => {
+        const extra = extraDigits(random, siteDigits, base);
+        return formatKey(fromScaled(point.concat(extra), places + extra.length), alphabet);
+    };
+    // As in distributeDecimal, the edges are found without walking the spread
+    if (edge === 'first') return [toKey(addArrays(low, step, base))];
+    if (edge === 'last') return [toKey(subtractArrays(subtractArrays(high, step, base), [remainder ? 1 : 0], base))];
+
+    const keys = [];
+    let current = low;
+    for (let i = 1; i <= count; i++) {
+        current = addArrays(current, step, base);
+        keys.push(toKey(addArrays(current, fromNumber(Math.floor((remainder * i) / (count + 1)), base), base)));
+    }
+    return keys;
+}
+
+// ---------------------------------------------------------------------------
+// Conversion between representations
+// ---------------------------------------------------------------------------
+
+const DECIMAL_DIGITS = '0123456789';
+
+function readValue(index, from, argument) {
+    if (from === 'decimal') {
+        const decoded = decodeIndex(index);
+        if (decoded.charAt(0) === '-') {
+            throw new InvalidIndexError(`Invalid ${argument}: ${describeValue(index)} is negative, which compact keys cannot represent`, index, argument);
+        }
+        const [int, frac = ''] = decoded.split('.');
+        const toDigits = text => text.split('').map(char => DECIMAL_DIGITS.indexOf(char));
+        return { value: normalize(toDigits(int), toDigits(frac)), base: 10 };
+    }
+    const alphabet = getAlphabet(from, 'from');
+    const value = parseKey(index, alphabet);
+    if (value === null) {
+        throw new InvalidIndexError(`Invalid ${argument}: ${describeValue(index)} is not a ${from} index`, index, argument);
+    }
+    return { value, base: alphabet.length };
+}
+
+function writeValue(value, to) {
+    if (to === 'decimal') {
+        const int = value.int.length ? value.int.map(digit => DECIMAL_DIGITS.charAt(digit)).join('') : '0';
+        const frac = value.frac.map(digit => DECIMAL_DIGITS.charAt(digit)).join('');
+        return encodeIndex(frac ? `${int}.${frac}` : int);
+    }
+    return formatKey(value, getAlphabet(to, 'to'));
+}
+
+// Fraction digits needed in base `to` to resolve steps of fromBase^-digits
+function digitsNeeded(digits, fromBase, toBase) {
+    if (fromBase === toBase) return digits;
+    // Rounding up a hair can only add a digit, never lose one
+    return Math.ceil((digits * Math.log(fromBase)) / Math.log(toBase) + 1e-9);
+}
+
+// Rewrites a value in another base; the fraction is truncated to `places` digits
+function changeBase(value, fromBase, toBase, places) {
+    const int = [];
+    let rest = value.int.length ? value.int : [0];
+    while (compareArrays(rest, [0]) > 0) {
+        const { quotient, remainder } = divideArray(rest, toBase, fromBase);
+        int.unshift(remainder);
+        rest = quotient;
+    }
+
+    // Schoolbook conversion: multiply the fraction by the new base and carry out one digit at a time
+    const frac = [];
+    let digits = value.frac.slice();
+    for (let i = 0; i < places && digits.length; i++) {
+        let carry = 0;
+        for (let j = digits.length - 1; j >= 0; j--) {
+            const product = digits[j] * toBase + carry;
+            digits[j] = product % fromBase;
+            carry = Math.floor(product / fromBase);
+        }
+        frac.push(carry);
+        digits = normalize([], digits).frac;
+    }
+    return normalize(int, frac);
+}
+
+function checkRepresentation(name, argument) {
+    if (name !== 'decimal') getAlphabet(name, argument);
+}
+
+/**
+ * Converts one key between the decimal and compact representations. The
+ * value is kept to the precision of the input; use convertIndexes for whole
+ * lists, which also guarantees the converted keys keep their order.
+ * @param {string} index - The key to convert
+ * @param {Object} options
+ * @param {string} [options.from='decimal'] - 'decimal', 'base62' or 'base95'
+ * @param {string} [options.to='decimal'] - 'decimal', 'base62' or 'base95'
+ * @returns {string} The key in the target representation
+ */
+function convertIndex(index, options = {}) {
+    const { from = 'decimal', to = 'decimal' } = options;
+    checkRepresentation(from, 'from');
+    checkRepresentation(to, 'to');
+
+    const { value, base } = readValue(index, from, 'index');
+    const toBase = to === 'decimal' ? 10 : ALPHABETS[to].length;
+    return writeValue(changeBase(value, base, toBase, digitsNeeded(value.frac.length, base, toBase)), to);
+}
+
+/**
+ * Converts a sorted list of keys between representations, keeping their order:
+ * each key gets enough digits to stay above its predecessor
+ * @param {string[]} sortedIndexes - The keys of the list, in ascending order
+ * @param {Object} options
+ * @param {string} [options.from='decimal'] - 'decimal', 'base62' or 'base95'
+ * @param {string} [options.to='decimal'] - 'decimal', 'base62' or 'base95'
+ * @returns {string[]} The converted keys, in the same order as the input
+ */
+function convertIndexes(sortedIndexes, options = {}) {
+    const { from = 'decimal', to = 'decimal' } = options;
+    checkRepresentation(from, 'from');
+    checkRepresentation(to, 'to');
+    if (!Array.isArray(sortedIndexes)) {
+        throw new InvalidArgumentError(`Invalid sortedIndexes: expected an array, got ${describeValue(sortedIndexes)}`, 'sortedIndexes', sortedIndexes);
+    }
+
+    const toBase = to === 'decimal' ? 10 : ALPHABETS[to].length;
+    const values = sortedIndexes.map(index => readValue(index, from, 'index'));
+
+    return values.map(({ value, base }, i) => {
+        let digits = value.frac.length;
+        if (i > 0) {
+            const previous = values[i - 1].value;
+            if (compareValues(previous, value) > 0) {
+                throw new InvalidRangeError(
+                    sortedIndexes[i - 1],
+                    sortedIndexes[i],
+                    `Indexes must be sorted: ${sortedIndexes[i - 1]} comes before ${sortedIndexes[i]}`
+                );
+            }
+            // Truncating loses less than one target digit, which must be finer
+            // than the smallest possible gap to the predecessor
+            digits = Math.max(digits, previous.frac.length);
+        }
+        return writeValue(changeBase(value, base, toBase, digitsNeeded(digits, base, toBase)), to);
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Measuring
+// ---------------------------------------------------------------------------
+
+/**
+ * Measures the distance between two keys exactly. The result is returned in
+ * scientific form, since the gap between two long keys underflows a Number.
+ * @param {string|null} lowerIndex - The lower key, or null for zero
+ * @param {string} upperIndex - The upper key, not below lowerIndex
+ * @param {string} representation - 'decimal', 'base62' or 'base95'
+ * @returns {{mantissa: number, exponent: number, base: number}|null} The gap as
+ *   mantissa * base^exponent with mantissa in [1/base, 1), or null if it is zero
+ */
+function measureGap(lowerIndex, upperIndex, representation) {
+    if (representation === 'decimal' && lowerIndex !== null) {
+        // Decimal keys can be negative: subtract them exactly, then measure the difference from zero
+        return measureGap(null, encodeIndex(subtractDecimal(decodeIndex(upperIndex), decodeIndex(lowerIndex))), 'decimal');
+    }
+    const { value: upper, base } = readValue(upperIndex, representation, 'upperIndex');
+    const lower = lowerIndex === null ? { int: [], frac: [] } : readValue(lowerIndex, representation, 'lowerIndex').value;
+    const places = Math.max(upper.frac.length, lower.frac.length);
+    const difference = subtractArrays(toScaled(upper, places, false, base), toScaled(lower, places, false, base), base);
+
+    let first = 0;
+    while (first < difference.length && difference[first] === 0) first++;
+    if (first === difference.length) return null;
+    // A dozen significant digits are plenty for a logarithm
+    let mantissa = 0;
+    for (let i = Math.min(difference.length, first + 12) - 1; i >= first; i--) {
+        mantissa = (mantissa + difference[i]) / base;
+    }
+    return { mantissa, exponent: difference.length - places - first, base };
+}
+
+/**
+ * Counts the fraction digits of a key, i.e. the digits below its integer part
+ * @param {string} index - A valid key
+ * @param {string} representation - 'decimal', 'base62' or 'base95'
+ * @returns {number}
+ */
+function fractionLength(index, representation) {
+    if (representation === 'decimal') {
+        const point = index.indexOf('.');
+        return point === -1 ? 0 : index.length - point - 1;
+    }
+    return index.length - 1 - HEADS.indexOf(index.charAt(0));
+}
+
+module.exports = {
+    isCompactIndex,
+    decodeCompactRange,
+    generateCompactIndex,
+    distributeCompactIndexes,
+    convertIndex,
+    convertIndexes,
+    measureGap,
+    fractionLength
+};
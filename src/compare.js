@@ -0,0 +1,136 @@
+/**
+ * The library's one ordering of keys, for callers that sort or search lists
+ * themselves.
+ *
+ * Decimal keys are compared by value, so legacy plain keys ("9.5" before
+ * "10.5") and keys spelled with trailing zeros sort where the generator
+ * expects them; compact keys compare byte by byte. Neither Number() nor
+ * string comparison on raw decimal keys agrees with this once keys exceed
+ * 1.0, go negative or outgrow a double.
+ */
+
+const { compareDecimal } = require('./decimal');
+const { decodeIndex, isIndex } = require('./encoding');
+const { isCompactIndex } = require('./compact');
+const { readAlphabet, readOrder } = require('./indexer');
+const { InvalidIndexError, InvalidArgumentError, describeValue, assertPropertyName } = require('./errors');
+
+function readOptions(options) {
+    const { alphabet = 'decimal', order = 'ascending' } = options;
+    readOrder(order);
+    return { alphabet: readAlphabet(alphabet), descending: order === 'descending' };
+}
+
+// Reads a key into the form it is compared in: its decimal value, or the compact key itself
+function readKey(index, alphabet, argument) {
+    const valid = alphabet === 'decimal' ? isIndex(index) : isCompactIndex(index, alphabet);
+    if (!valid) {
+        const kind = alphabet === 'decimal' ? 'a valid fractional index' : `a ${alphabet} index`;
+        throw new InvalidIndexError(`Invalid ${argument}: ${describeValue(index)} is not ${kind}`, index, argument);
+    }
+    return alphabet === 'decimal' ? decodeIndex(index) : index;
+}
+
+function compareKeys(x, y, alphabet) {
+    if (alphabet === 'decimal') return compareDecimal(x, y);
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Reads the index of one list entry
+ * @param {Object|string} item - A row, or a bare index
+ * @param {string} key - Property holding the index on rows
+ * @returns {*} The index; plain strings are indexes themselves
+ */
+function readIndex(item, key) {
+    return item !== null && typeof item === 'object' ? item[key] : item;
+}
+
+/**
+ * Compares two keys in the order the generator assumes
+ * @param {string} a - A valid key
+ * @param {string} b - A valid key
+ * @param {Object} [options]
+ * @param {string} [options.alphabet='decimal'] - 'decimal', 'base62' or 'base95'
+ * @returns {number} Negative if a sorts first, positive if b does, 0 if they are equal
+ *   (for decimal keys, equal in value: "0.5" and "0.50")
+ */
+function compareIndexes(a, b, options = {}) {
+    const { alphabet } = readOptions(options);
+    return compareKeys(readKey(a, alphabet, 'a'), readKey(b, alphabet, 'b'), alphabet);
+}
+
+/**
+ * Sorts items by their keys. Each key is read once, and items with equal
+ * keys keep their relative order.
+ * @param {Array<Object|string>} items - Items in any order, or bare keys
+ * @param {string} [key='index'] - Property holding each item's key
+ * @param {Object} [options]
+ * @param {string} [options.alphabet='decimal'] - 'decimal', 'base62' or 'base95'
+ * @param {string} [options.order='ascending'] - 'descending' to put the highest key first
+ * @returns {Array<Object|string>} A new array of the same items, in list order
+ */
+function sortByIndex(items, key = 'index', options = {}) {
+    if (!Array.isArray(items)) {
+        throw new InvalidArgumentError(`Invalid items: expected an array, got ${describeValue(items)}`, 'items', items);
+    }
+    const { alphabet, descending } = readOptions(options);
+    const direction = descending ? -1 : 1;
+    return items
+        .map((item, i) => ({ item, i, value: readKey(readIndex(item, key), alphabet, 'index') }))
+        .sort((x, y) => direction * compareKeys(x.value, y.value, alphabet) || x.i - y.i)
+        .map(entry => entry.item);
+}
+
+/**
+ * Finds where a key belongs in a sorted list, by binary search
+ * @param {Array<Object|string>} sortedItems - Items in list order, as returned by sortByIndex
+ * @param {string} index - The key to look up; it need not be in the list
+ * @param {Object} [options]
+ * @param {string} [options.key='index'] - Property holding each item's key
+ * @param {string} [options.alphabet='decimal'] - 'decimal', 'base62' or 'base95'
+ * @param {string} [options.order='ascending'] - 'descending' if the list has the highest key first
+ * @returns {{position: number, prevIndex: string|null, nextIndex: string|null}} The position of the
+ *   first item not before the key, and the nearest keys on either side of it (null past an end), so an
+ *   item with an equal key is skipped
+ */
+function findNeighbors(sortedItems, index, options = {}) {
+    if (!Array.isArray(sortedItems)) {
+        throw new InvalidArgumentError(`Invalid sortedItems: expected an array, got ${describeValue(sortedItems)}`, 'sortedItems', sortedItems);
+    }
+    const { key = 'index' } = options;
+    assertPropertyName(key, 'key');
+    const { alphabet, descending } = readOptions(options);
+    const target = readKey(index, alphabet, 'index');
+    // Position of item i relative to the key, in list order
+    const compareAt = i => {
+        const order = compareKeys(readKey(readIndex(sortedItems[i], key), alphabet, 'index'), target, alphabet);
+        return descending ? -order : order;
+    };
+
+    let low = 0;
+    let high = sortedItems.length;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (compareAt(middle) < 0) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    let next = low;
+    while (next < sortedItems.length && compareAt(next) === 0) next++;
+
+    return {
+        position: low,
+        prevIndex: low > 0 ? readIndex(sortedItems[low - 1], key) : null,
+        nextIndex: next < sortedItems.length ? readIndex(sortedItems[next], key) : null
+    };
+}
+
+module.exports = {
+    compareIndexes,
+    sortByIndex,
+    findNeighbors,
+    readIndex
+};
@@ -0,0 +1,350 @@
+/**
+ * Arbitrary-precision helpers for decimal strings.
+ *
+ * Indexes are compared and subdivided digit by digit instead of through
+ * `Number`, so a key strictly between two distinct keys always exists - it
+ * just grows a few fraction digits longer. The digit routines work on
+ * magnitudes; negative values are handled by shifting them up by a whole
+ * number, which leaves their fraction digits (and so key lengths) unchanged.
+ */
+
+const { InvalidRangeError } = require('./errors');
+
+/**
+ * Splits a decimal string into integer and fraction digits
+ * @param {string} value - A non-negative decimal string such as "0.0015"
+ * @returns {{int: string, frac: string}} Digits without redundant leading/trailing zeros
+ */
+function splitDecimal(value) {
+    const [intPart, fracPart = ''] = String(value).split('.');
+    return {
+        int: intPart.replace(/^0+(?=\d)/, '') || '0',
+        frac: fracPart.replace(/0+$/, '')
+    };
+}
+
+/**
+ * Joins integer and fraction digits back into a decimal string
+ * @param {{int: string, frac: string}} parts - The digits to join
+ * @returns {string} The decimal string, without a trailing "." for integers
+ */
+function formatDecimal(parts) {
+    return parts.frac ? `${parts.int}.${parts.frac}` : parts.int;
+}
+
+// String.prototype.padStart/padEnd are ES2017, and the ES5 build has to run without them
+function repeatZeros(count) {
+    let zeros = '';
+    for (let i = 0; i < count; i++) zeros += '0';
+    return zeros;
+}
+
+// Scaled form: all digits of the value multiplied by 10^scale, as one integer string
+function toScaled(parts, scale) {
+    return parts.int + parts.frac + repeatZeros(scale - parts.frac.length);
+}
+
+function fromScaled(digits, scale) {
+    const padded = repeatZeros(scale + 1 - digits.length) + digits;
+    const cut = padded.length - scale;
+    return formatDecimal({
+        int: padded.slice(0, cut).replace(/^0+(?=\d)/, ''),
+        frac: padded.slice(cut).replace(/0+$/, '')
+    });
+}
+
+function addDigits(a, b) {
+    let result = '';
+    let carry = 0;
+    for (let i = a.length - 1, j = b.length - 1; i >= 0 || j >= 0 || carry; i--, j--) {
+        const sum = (i >= 0 ? Number(a[i]) : 0) + (j >= 0 ? Number(b[j]) : 0) + carry;
+        result = (sum % 10) + result;
+        carry = sum >= 10 ? 1 : 0;
+    }
+    return result || '0';
+}
+
+function subtractDigits(a, b) {
+    let result = '';
+    let borrow = 0;
+    for (let i = a.length - 1, j = b.length - 1; i >= 0; i--, j--) {
+        let diff = Number(a[i]) - (j >= 0 ? Number(b[j]) : 0) - borrow;
+        borrow = diff < 0 ? 1 : 0;
+        if (diff < 0) diff += 10;
+        result = diff + result;
+    }
+    return result.replace(/^0+(?=\d)/, '');
+}
+
+function compareDigits(a, b) {
+    const x = a.replace(/^0+(?=\d)/, '');
+    const y = b.replace(/^0+(?=\d)/, '');
+    if (x.length !== y.length) return x.length < y.length ? -1 : 1;
+    if (x === y) return 0;
+    return x < y ? -1 : 1;
+}
+
+function divideDigits(digits, divisor) {
+    let quotient = '';
+    let remainder = 0;
+    for (let i = 0; i < digits.length; i++) {
+        const current = remainder * 10 + Number(digits[i]);
+        quotient += Math.floor(current / divisor);
+        remainder = current % divisor;
+    }
+    return { quotient: quotient.replace(/^0+(?=\d)/, '') || '0', remainder };
+}
+
+// Splits off the sign of a decimal string; zero is never negative
+function splitSign(value) {
+    const text = String(value);
+    const magnitude = text.charAt(0) === '-' ? text.slice(1) : text;
+    const parts = splitDecimal(magnitude);
+    return { negative: magnitude !== text && (parts.int !== '0' || parts.frac !== ''), parts };
+}
+
+function withSign(negative, magnitude) {
+    return negative && magnitude !== '0' ? `-${magnitude}` : magnitude;
+}
+
+function compareMagnitudes(x, y) {
+    if (x.int.length !== y.int.length) return x.int.length < y.int.length ? -1 : 1;
+    if (x.int !== y.int) return x.int < y.int ? -1 : 1;
+
+    // With trailing zeros stripped, fraction digits compare correctly as strings
+    if (x.frac === y.frac) return 0;
+    return x.frac < y.frac ? -1 : 1;
+}
+
+function addMagnitudes(x, y) {
+    const scale = Math.max(x.frac.length, y.frac.length);
+    return fromScaled(addDigits(toScaled(x, scale), toScaled(y, scale)), scale);
+}
+
+// x - y, where y is not greater than x
+function subtractMagnitudes(x, y) {
+    const scale = Math.max(x.frac.length, y.frac.length);
+    return fromScaled(subtractDigits(toScaled(x, scale), toScaled(y, scale)), scale);
+}
+
+// The smallest whole number that lifts a negative value to zero or above (0 otherwise)
+function integerShift(value) {
+    const { negative, parts } = splitSign(value);
+    if (!negative) return '0';
+    return parts.frac ? addDigits(parts.int, '1') : parts.int;
+}
+
+/**
+ * Compares two decimal strings by numeric value without converting them to numbers
+ * @param {string} a - First decimal string
+ * @param {string} b - Second decimal string
+ * @returns {number} -1, 0 or 1 depending on whether a is less than, equal to or greater than b
+ */
+function compareDecimal(a, b) {
+    const x = splitSign(a);
+    const y = splitSign(b);
+
+    if (x.negative !== y.negative) return x.negative ? -1 : 1;
+    return x.negative ? compareMagnitudes(y.parts, x.parts) : compareMagnitudes(x.parts, y.parts);
+}
+
+/**
+ * Adds two decimal strings exactly
+ * @param {string} a - First decimal string
+ * @param {string} b - Second decimal string
+ * @returns {string} The sum
+ */
+function addDecimal(a, b) {
+    const x = splitSign(a);
+    const y = splitSign(b);
+
+    if (x.negative === y.negative) return withSign(x.negative, addMagnitudes(x.parts, y.parts));
+    // Opposite signs: the larger magnitude wins
+    return compareMagnitudes(x.parts, y.parts) >= 0
+        ? withSign(x.negative, subtractMagnitudes(x.parts, y.parts))
+        : withSign(y.negative, subtractMagnitudes(y.parts, x.parts));
+}
+
+/**
+ * Subtracts one decimal string from another exactly
+ * @param {string} a - The decimal string to subtract from
+ * @param {string} b - The decimal string to subtract
+ * @returns {string} The difference, negative when b is greater than a
+ */
+function subtractDecimal(a, b) {
+    const y = splitSign(b);
+    return addDecimal(a, withSign(!y.negative, formatDecimal(y.parts)));
+}
+
+// The value scaled by 10^places, rounded up (ceil) or down (floor) to an integer string
+function toScaledRounded(value, places, roundUp) {
+    const parts = splitDecimal(value);
+    const digits = toScaled({ int: parts.int, frac: parts.frac.slice(0, places) }, places);
+    return roundUp && parts.frac.length > places ? addDigits(digits, '1') : digits;
+}
+
+/**
+ * Rounds a decimal string (half up) to a fixed number of fraction digits
+ * @param {string} value - The decimal string to round
+ * @param {number} places - Number of fraction digits to keep
+ * @returns {string} The rounded decimal string
+ */
+function roundDecimal(value, places) {
+    const parts = splitDecimal(value);
+    if (parts.frac.length <= places) return formatDecimal(parts);
+
+    let digits = toScaled({ int: parts.int, frac: parts.frac.slice(0, places) }, places);
+    if (parts.frac[places] >= '5') {
+        digits = addDigits(digits, '1');
+    }
+    return fromScaled(digits, places);
+}
+
+/**
+ * Writes a decimal string with at least a number of fraction digits
+ * @param {string} value - The decimal string to pad, possibly negative
+ * @param {number} places - Minimum number of fraction digits
+ * @returns {string} The same value, with trailing zeros added as needed
+ */
+function padDecimal(value, places) {
+    const [intPart, fracPart = ''] = value.split('.');
+    if (fracPart.length >= places) return value;
+    return `${intPart}.${fracPart}${repeatZeros(places - fracPart.length)}`;
+}
+
+/**
+ * Finds a short decimal string strictly between two decimal strings
+ * @param {string} a - The lower bound
+ * @param {string} b - The upper bound, greater than a
+ * @returns {string} The shortest rounding of the exact midpoint that lies inside (a, b)
+ */
+function midpointDecimal(a, b) {
+    if (compareDecimal(a, b) >= 0) {
+        throw new InvalidRangeError(a, b);
+    }
+    const shift = integerShift(a);
+    if (shift !== '0') {
+        return subtractDecimal(midpointDecimal(addDecimal(a, shift), addDecimal(b, shift)), shift);
+    }
+
+    const x = splitDecimal(a);
+    const y = splitDecimal(b);
+    const scale = Math.max(x.frac.length, y.frac.length);
+
+    // (a + b) / 2 is always exact in decimal: at most one extra digit (a trailing 5)
+    const { quotient, remainder } = divideDigits(addDigits(toScaled(x, scale), toScaled(y, scale)), 2);
+    const exact = remainder ? fromScaled(quotient + '5', scale + 1) : fromScaled(quotient, scale);
+
+    // Keep keys short: use the coarsest rounding of the midpoint that still fits.
+    // The exact midpoint itself always fits, so this terminates.
+    for (let places = 0; ; places++) {
+        const candidate = roundDecimal(exact, places);
+        if (compareDecimal(a, candidate) < 0 && compareDecimal(candidate, b) < 0) {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Spreads decimal strings evenly between two decimal strings
+ * @param {string} a - The lower bound (exclusive)
+ * @param {string} b - The upper bound (exclusive), greater than a
+ * @param {number} count - Number of values to generate
+ * @param {function(number): string} [suffix] - Returns extra digits to append below the grid to each value
+ *   (e.g. random jitter), given the grid's fraction digits; they shift a value by less than one grid
+ *   step, so order is preserved
+ * @param {string|null} [edge=null] - 'first' or 'last' to only compute that value of the spread
+ * @param {number|null} [maxPlaces=null] - Settle for any room on a grid with this many fraction digits
+ *   rather than going finer for an even spread
+ * @returns {string[]} Ascending values strictly inside (a, b), using as few fraction digits as possible
+ */
+function distributeDecimal(a, b, count, suffix, edge = null, maxPlaces = null) {
+    if (compareDecimal(a, b) >= 0) {
+        throw new InvalidRangeError(a, b);
+    }
+    const shift = integerShift(a);
+    if (shift !== '0') {
+        return distributeDecimal(addDecimal(a, shift), addDecimal(b, shift), count, suffix, edge, maxPlaces)
+            .map(value => subtractDecimal(value, shift));
+    }
+
+    // Find the coarsest grid with at least 10 grid steps per slot, which keeps
+    // keys short while staying within ~10% of a perfectly even spread. At
+    // maxPlaces one step per slot will do
+    const minSpan = String(10 * (count + 1));
+    const minSlots = String(count + 1);
+    let places = 0;
+    let low;
+    let high;
+    let span;
+    for (;;) {
+        low = toScaledRounded(a, places, true);
+        high = toScaledRounded(b, places, false);
+        if (compareDigits(high, low) > 0) {
+            span = subtractDigits(high, low);
+            if (compareDigits(span, minSpan) >= 0 || (places === maxPlaces && compareDigits(span, minSlots) >= 0)) break;
+        }
+        places++;
+    }
+
+    // Value i sits at low + floor(span * i / (count + 1)): the remainder of the
+    // division is shared out one unit at a time instead of piling up at the end
+    const { quotient: step, remainder } = divideDigits(span, count + 1);
+    const toValue = point => {
+        const extra = suffix ? suffix(places) : '';
+        return fromScaled(point + extra, places + extra.length);
+    };
+    // The edges need no walk: the first value gets none of the remainder, and
+    // the last sits one step (plus a unit if anything remained) below high
+    if (edge === 'first') return [toValue(addDigits(low, step))];
+    if (edge === 'last') return [toValue(subtractDigits(subtractDigits(high, step), remainder ? '1' : '0'))];
+
+    const values = [];
+    let current = low;
+    for (let i = 1; i <= count; i++) {
+        current = addDigits(current, step);
+        values.push(toValue(addDigits(current, String(Math.floor((remainder * i) / (count + 1))))));
+    }
+    return values;
+}
+
+/**
+ * Appends digits below the last digit of a value without reaching a limit.
+ * If the value sits too close to the limit, zeros are inserted first, so the
+ * appended digits always fall in [value, limit).
+ * @param {string} value - A decimal string
+ * @param {string} digits - The fraction digits to append
+ * @param {string|null} limit - An exclusive upper bound above value, or null for none
+ * @returns {string} The extended value
+ */
+function appendDecimal(value, digits, limit) {
+    const shift = integerShift(value);
+    if (shift !== '0') {
+        const shifted = appendDecimal(addDecimal(value, shift), digits, limit === null ? null : addDecimal(limit, shift));
+        return subtractDecimal(shifted, shift);
+    }
+
+    const parts = splitDecimal(value);
+    let frac = parts.frac;
+    if (limit !== null) {
+        // Anything appended adds less than one unit of the last digit
+        const unit = () => (frac.length ? `0.${repeatZeros(frac.length - 1)}1` : '1');
+        while (compareDecimal(addDecimal(formatDecimal({ int: parts.int, frac }), unit()), limit) > 0) {
+            frac += '0';
+        }
+    }
+    return formatDecimal({ int: parts.int, frac: (frac + digits).replace(/0+$/, '') });
+}
+
+module.exports = {
+    splitDecimal,
+    formatDecimal,
+    compareDecimal,
+    addDecimal,
+    subtractDecimal,
+    roundDecimal,
+    padDecimal,
+    midpointDecimal,
+    distributeDecimal,
+    appendDecimal
+};
@@ -0,0 +1,150 @@
+/**
+ * Lexicographic encoding for indexes at and beyond 1.0.
+ *
+ * Plain decimals stop sorting correctly as strings once the integer part gains
+ * a digit ("10.5" < "9.5"). Indexes below 1 keep their familiar "0.xxx" form,
+ * while larger ones are prefixed with a letter giving the number of integer
+ * digits ("a" = 1, "b" = 2, ... "z" = 26), so "a9.5" < "b10.5" byte for byte.
+ *
+ * Negative indexes start with "-", which sorts below every digit, followed by
+ * a marker counting integer digits down from "Z" ("Z" = none, "Y" = 1, ...
+ * "@" = 26). The digits stored are the complement 10^digits - |value|, so a
+ * larger magnitude gives a smaller key: -3.25 is "-Y6.75", -0.5 is "-Z.5" and
+ * -0.25 is "-Z.75", and "-Y6.75" < "-Z.5" < "-Z.75" < "0.5".
+ */
+
+const { subtractDecimal, compareDecimal } = require('./decimal');
+const { InvalidIndexError, InvalidArgumentError, describeValue } = require('./errors');
+
+const MARKER_BASE = 'a'.charCodeAt(0);
+const NEGATIVE_MARKER_BASE = 'Z'.charCodeAt(0);
+const MAX_INTEGER_DIGITS = 26;
+const PLAIN_PATTERN = /^\d+(\.\d+)?$/;
+const SIGNED_PATTERN = /^-?\d+(\.\d+)?$/;
+const ENCODED_PATTERN = /^[a-z]\d+(\.\d+)?$/;
+const NEGATIVE_PATTERN = /^-[@-Z]\d*(\.\d+)?$/;
+
+// 10^digits as a decimal string
+function powerOfTen(digits) {
+    let value = '1';
+    for (let i = 0; i < digits; i++) value += '0';
+    return value;
+}
+
+// Encodes the magnitude of a negative value as "-", a marker and the complement digits
+function encodeNegative(value, magnitude) {
+    const int = magnitude.split('.')[0].replace(/^0+(?=\d)/, '');
+    const digits = int === '0' ? 0 : int.length;
+    if (digits > MAX_INTEGER_DIGITS) {
+        throw new InvalidIndexError(`Index out of range: ${value} has more than ${MAX_INTEGER_DIGITS} integer digits`, value);
+    }
+
+    const [complementInt, complementFrac] = subtractDecimal(powerOfTen(digits), magnitude).split('.');
+    // Pad the complement to exactly `digits` integer digits (none below 1)
+    const padded = digits === 0 ? '' : powerOfTen(digits - complementInt.length).slice(1) + complementInt;
+    const rest = complementFrac === undefined ? '' : `.${complementFrac}`;
+    return `-${String.fromCharCode(NEGATIVE_MARKER_BASE - digits)}${padded}${rest}`;
+}
+
+/**
+ * Encodes a plain decimal string as a lexicographically ordered index
+ * @param {string} value - A decimal string such as "0.5", "12.0005" or "-0.5"
+ * @returns {string} The encoded index, e.g. "0.5", "b12.0005" or "-Z.5"
+ */
+function encodeIndex(value) {
+    if (typeof value !== 'string' || !SIGNED_PATTERN.test(value)) {
+        throw new InvalidIndexError(`Invalid index: ${describeValue(value)} is not a plain decimal string`, value);
+    }
+    if (value.charAt(0) === '-') {
+        const magnitude = value.slice(1);
+        // "-0.000" is zero, which is written like any other value below 1
+        return compareDecimal(magnitude, '0') === 0 ? encodeIndex(magnitude) : encodeNegative(value, magnitude);
+    }
+
+    const [intPart, fracPart] = value.split('.');
+    const int = intPart.replace(/^0+(?=\d)/, '');
+    const rest = fracPart === undefined ? '' : `.${fracPart}`;
+
+    if (int === '0') return `0${rest}`;
+    if (int.length > MAX_INTEGER_DIGITS) {
+        throw new InvalidIndexError(`Index out of range: ${value} has more than ${MAX_INTEGER_DIGITS} integer digits`, value);
+    }
+    return String.fromCharCode(MARKER_BASE + int.length - 1) + int + rest;
+}
+
+/**
+ * Checks whether a value is a readable index: encoded, or a legacy plain decimal string
+ * @param {*} index - The value to check
+ * @returns {boolean} True if decodeIndex will accept it
+ */
+function isIndex(index) {
+    if (typeof index !== 'string') return false;
+    if (PLAIN_PATTERN.test(index)) return true;
+    if (NEGATIVE_PATTERN.test(index)) {
+        const digits = NEGATIVE_MARKER_BASE - index.charCodeAt(1);
+        const complement = index.slice(2);
+        // The complement must leave a magnitude with exactly that many integer digits
+        return complement.split('.')[0].length === digits && compareDecimal(complement, '0') > 0 &&
+            (digits === 0 || compareDecimal(complement, `9${powerOfTen(digits - 1).slice(1)}`) <= 0);
+    }
+    if (!ENCODED_PATTERN.test(index)) return false;
+
+    const int = index.slice(1).split('.')[0];
+    return int.length === index.charCodeAt(0) - MARKER_BASE + 1 && int[0] !== '0';
+}
+
+/**
+ * Decodes an index back to a plain decimal string. Legacy unprefixed keys
+ * (e.g. "12.5" written by older versions) are accepted as-is.
+ * @param {string} index - An encoded or legacy index
+ * @returns {string} The plain decimal string
+ */
+function decodeIndex(index) {
+    if (!isIndex(index)) {
+        throw new InvalidIndexError(`Invalid index: ${describeValue(index)} is not a valid fractional index`, index);
+    }
+    if (PLAIN_PATTERN.test(index)) return index;
+    if (index.charAt(0) === '-') {
+        return `-${subtractDecimal(powerOfTen(NEGATIVE_MARKER_BASE - index.charCodeAt(1)), index.slice(2))}`;
+    }
+    return index.slice(1);
+}
+
+/**
+ * Decodes one bound of a range argument, where null stands for an open end
+ * @param {string|null} index - The bound as passed by the caller
+ * @param {string} argument - The argument name, for error reporting
+ * @returns {string|null} The plain decimal string, or null
+ */
+function decodeBound(index, argument) {
+    if (index === null) return null;
+    if (!isIndex(index)) {
+        throw new InvalidIndexError(
+            `Invalid ${argument}: ${describeValue(index)} is not a fractional index (use null for an open end)`,
+            index,
+            argument
+        );
+    }
+    return decodeIndex(index);
+}
+
+/**
+ * Converts existing numeric-string indexes to the lexicographic encoding.
+ * Values are unchanged, so the relative order of the list is preserved.
+ * @param {string[]} indexes - Legacy or already-encoded indexes
+ * @returns {string[]} The encoded indexes, in the same order as the input
+ */
+function migrateIndexes(indexes) {
+    if (!Array.isArray(indexes)) {
+        throw new InvalidArgumentError(`Invalid indexes: expected an array, got ${describeValue(indexes)}`, 'indexes', indexes);
+    }
+    return indexes.map(index => encodeIndex(decodeIndex(index)));
+}
+
+module.exports = {
+    encodeIndex,
+    decodeIndex,
+    decodeBound,
+    isIndex,
+    migrateIndexes
+};
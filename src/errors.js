@@ -0,0 +1,141 @@
+/**
+ * Error classes thrown by the library.
+ *
+ * Every error carries the offending values as properties, so callers can map
+ * them to responses (e.g. HTTP 400) without matching on message text.
+ */
+
+/**
+ * Base class for all errors thrown by frac-indexes
+ */
+class FractionalIndexError extends Error {
+    constructor(message) {
+        super(message);
+        // Compiled down to ES5, Error subclasses lose their prototype; restore it
+        Object.setPrototypeOf(this, new.target.prototype);
+        this.name = new.target.name;
+    }
+}
+
+/**
+ * Thrown when a value is not a valid fractional index
+ * @property {*} index - The offending value
+ * @property {string|null} argument - Name of the argument it was passed as, if known
+ */
+class InvalidIndexError extends FractionalIndexError {
+    constructor(message, index, argument = null) {
+        super(message);
+        this.index = index;
+        this.argument = argument;
+    }
+}
+
+/**
+ * Thrown when two bounds are not in ascending order
+ * @property {string} prevIndex - The lower bound that was given
+ * @property {string} nextIndex - The upper bound that was given
+ */
+class InvalidRangeError extends FractionalIndexError {
+    constructor(prevIndex, nextIndex, message = `Invalid range: prevIndex (${prevIndex}) must be less than nextIndex (${nextIndex})`) {
+        super(message);
+        this.prevIndex = prevIndex;
+        this.nextIndex = nextIndex;
+    }
+}
+
+/**
+ * Thrown when a count is not a non-negative integer
+ * @property {*} count - The offending value
+ */
+class InvalidCountError extends FractionalIndexError {
+    constructor(count) {
+        super(`Invalid count: ${count} must be a non-negative integer`);
+        this.count = count;
+    }
+}
+
+/**
+ * Thrown for any other malformed argument or option
+ * @property {string} argument - Name of the argument or option
+ * @property {*} value - The offending value
+ */
+class InvalidArgumentError extends FractionalIndexError {
+    constructor(message, argument, value) {
+        super(message);
+        this.argument = argument;
+        this.value = value;
+    }
+}
+
+/**
+ * Thrown when replaying an op log does not rebuild the list it was recorded on
+ * @property {number} step - Position of the op in the log
+ * @property {Object} op - The op that could not be replayed
+ */
+class ReplayError extends FractionalIndexError {
+    constructor(message, step, op) {
+        super(message);
+        this.step = step;
+        this.op = op;
+    }
+}
+
+// Renders a value for an error message, quoting strings so "" and " " stay visible
+function describeValue(value) {
+    return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+/**
+ * Checks that a count is a non-negative integer
+ * @param {*} count - The value to check
+ * @throws {InvalidCountError} If it is not
+ */
+function assertCount(count) {
+    // Same as Number.isInteger, which ES5 engines lack
+    if (typeof count !== 'number' || !isFinite(count) || Math.floor(count) !== count || count < 0) {
+        throw new InvalidCountError(count);
+    }
+}
+
+/**
+ * Checks that an option names the property items keep a value in
+ * @param {*} value - The value to check
+ * @param {string} argument - Name of the option, for error reporting
+ * @throws {InvalidArgumentError} If it is not a non-empty string
+ */
+function assertPropertyName(value, argument) {
+    if (typeof value !== 'string' || value === '') {
+        throw new InvalidArgumentError(`Invalid ${argument} option: expected a property name, got ${describeValue(value)}`, argument, value);
+    }
+}
+
+/**
+ * Checks that ids is an array that lists each id once
+ * @param {*} ids - The value to check
+ * @throws {InvalidArgumentError} If it is not an array, or lists an id twice
+ */
+function assertIdList(ids) {
+    if (!Array.isArray(ids)) {
+        throw new InvalidArgumentError(`Invalid ids: expected an array, got ${describeValue(ids)}`, 'ids', ids);
+    }
+    const seen = new Map();
+    ids.forEach(id => {
+        if (seen.has(id)) {
+            throw new InvalidArgumentError(`Invalid ids: ${describeValue(id)} is listed twice`, 'ids', ids);
+        }
+        seen.set(id, true);
+    });
+}
+
+module.exports = {
+    FractionalIndexError,
+    InvalidIndexError,
+    InvalidRangeError,
+    InvalidCountError,
+    InvalidArgumentError,
+    ReplayError,
+    describeValue,
+    assertCount,
+    assertPropertyName,
+    assertIdList
+};
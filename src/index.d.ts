@@ -0,0 +1,625 @@
+/**
+ * Type definitions for frac-indexes.
+ *
+ * Generated keys are typed as the branded `FractionalIndex` string, so the
+ * compiler can tell them apart from arbitrary text. Functions still accept
+ * plain strings as input, since stored keys usually come back from a database
+ * untyped; use `isIndex` to narrow them.
+ */
+
+export as namespace FractionalIndexing;
+
+declare const fractionalIndexBrand: unique symbol;
+
+/** A string produced by this library that sorts correctly byte by byte */
+export type FractionalIndex = string & { readonly [fractionalIndexBrand]: true };
+
+/** An index as passed in by callers, where null stands for an open end of the list */
+export type IndexBound = string | null;
+
+/** Key representations: encoded decimals, or compact keys in base 62 or base 95 */
+export type Alphabet = 'decimal' | 'base62' | 'base95';
+
+/** Direction a list is sorted in by its keys */
+export type SortOrder = 'ascending' | 'descending';
+
+/** How single inserts split the gap between their neighbors */
+export type Allocation = 'midpoint' | 'adaptive';
+
+/**
+ * Built-in ways of writing and generating keys: 'numeric' bisects decimal keys with floats, 'string-digit'
+ * uses exact digit arithmetic only, and 'compact' generates base-62 or base-95 keys
+ */
+export type StrategyName = 'numeric' | 'string-digit' | 'compact';
+
+/** Describes one generation call, for monitoring how crowded a list is getting */
+export interface GenerationMetadata {
+    /** Where the keys went: into an empty list, before the first key, after the last one or between two */
+    position: 'empty' | 'start' | 'end' | 'between';
+    /** Number of keys generated */
+    count: number;
+    /** Length of the longest generated key */
+    keyLength: number;
+    /** Distance between the bounds, or null when either end is open */
+    gap: number | null;
+    /** Estimated inserts into the tightest gap next to a new key before keys outgrow maxKeyLength */
+    headroom: number;
+    /**
+     * Safety path taken: 'precision' when floats could not represent the key and exact
+     * arithmetic was used, 'boundary' when a jittered key landed on a bound
+     */
+    fallback: 'precision' | 'boundary' | null;
+}
+
+export interface GenerateOptions {
+    /** Return the metadata along with the key (default: false) */
+    withMetadata?: boolean;
+}
+
+/**
+ * Generates a fractional index between two existing indexes
+ * @param prevIndex - The index before the desired position
+ * @param nextIndex - The index after the desired position
+ */
+export function generateFractionalIndex(prevIndex: IndexBound, nextIndex: IndexBound, options?: GenerateOptions & { withMetadata?: false }): FractionalIndex;
+export function generateFractionalIndex(
+    prevIndex: IndexBound,
+    nextIndex: IndexBound,
+    options: GenerateOptions & { withMetadata: true }
+): { index: FractionalIndex; metadata: GenerationMetadata };
+
+export interface BulkOptions extends GenerateOptions {
+    /**
+     * 'spread' uses the whole gap; 'append' packs the keys into its lower half,
+     * leaving room for more items after them (default: 'spread')
+     */
+    layout?: 'spread' | 'append';
+}
+
+/**
+ * Generates multiple fractional indexes between two existing indexes
+ * @param prevIndex - The index before the desired position
+ * @param nextIndex - The index after the desired position
+ * @param count - Number of indexes to generate (a non-negative integer)
+ */
+export function generateBulkIndexes(
+    prevIndex: IndexBound,
+    nextIndex: IndexBound,
+    count: number,
+    options?: BulkOptions & { withMetadata?: false }
+): FractionalIndex[];
+export function generateBulkIndexes(
+    prevIndex: IndexBound,
+    nextIndex: IndexBound,
+    count: number,
+    options: BulkOptions & { withMetadata: true }
+): { indexes: FractionalIndex[]; metadata: GenerationMetadata | null };
+
+/**
+ * Generates indexes for relocating multiple items to a new position
+ * @param targetPrevIndex - Index before the target position
+ * @param targetNextIndex - Index after the target position
+ * @param count - Number of items to relocate (a non-negative integer)
+ * @param distributeEvenly - Whether to distribute items evenly in the target space (default: true)
+ */
+export function generateRelocationIndexes(
+    targetPrevIndex: IndexBound,
+    targetNextIndex: IndexBound,
+    count: number,
+    distributeEvenly?: boolean
+): FractionalIndex[];
+
+export interface MoveOptions {
+    /** Property holding each item's id (default: 'id') */
+    idKey?: string;
+    /** Property holding each item's index (default: 'index') */
+    indexKey?: string;
+}
+
+/**
+ * Moves items of a sorted list to a new position, leaving their old keys out
+ * of the neighbor calculation
+ * @param list - The current items, sorted by index
+ * @param ids - Ids of the items to move; they need not be contiguous
+ * @param toPosition - Position of the first moved item in the resulting list (0 to list.length - ids.length)
+ * @returns New keys for the moved items only, keeping their relative order
+ */
+export function moveItems<Id = unknown>(
+    list: readonly object[],
+    ids: readonly Id[],
+    toPosition: number,
+    options?: MoveOptions
+): IndexChange<Id>[];
+
+export interface ResolveDuplicatesOptions<Item = any> {
+    /** Property holding the index on each row (default: 'index') */
+    key?: string;
+    /** Property to order duplicates by, or a comparator; remaining ties keep input order (default: 'id') */
+    tiebreak?: string | ((a: Item, b: Item) => number);
+}
+
+export interface DuplicateUpdate {
+    /** Position of the row in the input array */
+    position: number;
+    oldIndex: string;
+    newIndex: FractionalIndex;
+}
+
+/**
+ * Gives rows sharing a key new keys between that key and the next distinct one,
+ * leaving the first row of each group (by tiebreak) and all other rows untouched
+ * @param items - Stored rows (or bare index strings), in any order
+ */
+export function resolveDuplicates<Item extends string | object>(
+    items: readonly Item[],
+    options?: ResolveDuplicatesOptions<Item>
+): DuplicateUpdate[];
+
+export interface IndexerOptions {
+    /** Custom PRNG returning floats in [0, 1), used instead of Math.random */
+    random?: () => number;
+    /** Seed for the built-in PRNG (ignored when `random` is given) */
+    seed?: number | string;
+    /** Set to false for fully deterministic keys (default: true) */
+    jitter?: boolean;
+    /**
+     * How keys are written and generated: a built-in strategy, or a custom one the indexer delegates to,
+     * which takes none of the options that tune the built-in ones (default: 'numeric', or 'compact'
+     * with a compact alphabet)
+     */
+    strategy?: StrategyName | Strategy;
+    /** Representation of the keys read and generated (default: 'decimal') */
+    alphabet?: Alphabet;
+    /**
+     * Id of this replica (an integer from 0 to 9999999999), appended below every
+     * generated key so concurrent inserts from different replicas never collide
+     */
+    siteId?: number;
+    /** Receives warnings when a safety fallback is taken; null silences them (default: console) */
+    logger?: { warn(message: string, details?: object): void } | null;
+    /** Called with the metadata of every generation call, e.g. to emit metrics */
+    onGenerate?: (metadata: GenerationMetadata) => void;
+    /** Key length budget the metadata's headroom is measured against (default: 255) */
+    maxKeyLength?: number;
+    /**
+     * 'descending' for lists shown from the highest key down: prevIndex is then the greater bound,
+     * and generated batches come out highest first (default: 'ascending')
+     */
+    order?: SortOrder;
+    /** Let keys go below zero, so prepends step back instead of halving toward zero (decimal keys only) */
+    allowNegative?: boolean;
+    /**
+     * 'adaptive' to notice runs of inserts at the same spot and keep their keys next to the edge being
+     * extended, so keys grow logarithmically with the run instead of linearly (default: 'midpoint')
+     */
+    allocation?: Allocation;
+    /**
+     * Distance between consecutive appends, and the room each item of a batch gets at an open end:
+     * from 0.000001 to 1000000, with at most 6 decimal places (decimal keys only, default: 0.001)
+     */
+    stepSize?: number;
+    /**
+     * Share of the gap, centered on its midpoint, that a jittered key between two others can land in:
+     * from 0 up to (not including) 1 (numeric strategy only, default: 0.25)
+     */
+    jitterRatio?: number;
+    /**
+     * Gaps this small or smaller are split with exact digit arithmetic instead of floats: from
+     * 10^-precision to 1 (numeric strategy only, default: ten times 10^-precision, but at least 1e-10)
+     */
+    minSafeGap?: number;
+    /**
+     * Decimal places of every key the indexer generates, in single inserts, batches, moves and adaptive
+     * runs: an integer from one more than stepSize's decimal places up to 15. Keys only grow past it when
+     * no key of that width fits; not available with siteId (numeric strategy only; without it, float keys
+     * get 10 places and the others are as short as they can be)
+     */
+    precision?: number;
+}
+
+/** A set of index generators bound to their own random source */
+export interface Indexer {
+    generateFractionalIndex: typeof generateFractionalIndex;
+    generateBulkIndexes: typeof generateBulkIndexes;
+    generateRelocationIndexes: typeof generateRelocationIndexes;
+    moveItems: typeof moveItems;
+    resolveDuplicates: typeof resolveDuplicates;
+}
+
+/** Creates a set of index generators bound to their own random source */
+export function createIndexer(options?: IndexerOptions): Indexer;
+
+/** One interface over the ways keys can be generated; bounds are keys, or null for an open end */
+export interface Strategy {
+    /** A key between two bounds (both null for an empty list) */
+    between(prevIndex: IndexBound, nextIndex: IndexBound): string;
+    /** A key before the first one */
+    before(nextIndex: string): string;
+    /** A key after the last one */
+    after(prevIndex: string): string;
+    /** count keys between two bounds, in list order */
+    bulk(prevIndex: IndexBound, nextIndex: IndexBound, count: number, options?: { layout?: 'spread' | 'append' }): string[];
+    /** Negative, zero or positive, in key order */
+    compare(a: string, b: string): number;
+    /** Whether a string is a key of this strategy */
+    isValid(key: string): boolean;
+}
+
+/** A built-in strategy; its generators also take the options of generateFractionalIndex and generateBulkIndexes */
+export interface BuiltInStrategy extends Strategy {
+    readonly name: StrategyName;
+    between(prevIndex: IndexBound, nextIndex: IndexBound, options?: GenerateOptions & { withMetadata?: false }): FractionalIndex;
+    before(nextIndex: string, options?: GenerateOptions & { withMetadata?: false }): FractionalIndex;
+    after(prevIndex: string, options?: GenerateOptions & { withMetadata?: false }): FractionalIndex;
+    bulk(prevIndex: IndexBound, nextIndex: IndexBound, count: number, options?: BulkOptions & { withMetadata?: false }): FractionalIndex[];
+}
+
+/** Creates one of the built-in strategies, with createIndexer options other than strategy */
+export function createStrategy(name?: StrategyName, options?: Omit<IndexerOptions, 'strategy'>): BuiltInStrategy;
+
+/** Sets the strategy the top-level functions delegate to (default: 'numeric') */
+export function setDefaultStrategy(strategy?: StrategyName | Strategy, options?: Omit<IndexerOptions, 'strategy'>): void;
+
+/** Creates a deterministic random source with the same contract as Math.random */
+export function createSeededRandom(seed: number | string): () => number;
+
+/** Encodes a plain non-negative decimal string as a lexicographically ordered index */
+export function encodeIndex(value: string): FractionalIndex;
+
+/** Decodes an encoded or legacy index back to a plain decimal string */
+export function decodeIndex(index: string): string;
+
+/** Checks whether a value is a readable index: encoded, or a legacy plain decimal string */
+export function isIndex(value: unknown): value is FractionalIndex;
+
+/** Converts existing numeric-string indexes to the lexicographic encoding, keeping their order */
+export function migrateIndexes(indexes: readonly string[]): FractionalIndex[];
+
+export interface CompareOptions {
+    /** Representation of the keys (default: 'decimal') */
+    alphabet?: Alphabet;
+}
+
+export interface SortOptions extends CompareOptions {
+    /** 'descending' to put the highest key first (default: 'ascending') */
+    order?: SortOrder;
+}
+
+export interface FindNeighborsOptions extends SortOptions {
+    /** Property holding each item's key (default: 'index') */
+    key?: string;
+}
+
+/** Where a key belongs in a sorted list, and the keys around that spot */
+export interface Neighbors {
+    /** Position of the first item not before the key */
+    position: number;
+    /** Key of the nearest item before it, or null at the start */
+    prevIndex: string | null;
+    /** Key of the nearest item after it (items with an equal key are skipped), or null at the end */
+    nextIndex: string | null;
+}
+
+/**
+ * Compares two keys in the order the generator assumes: decimal keys by value, compact keys byte by byte.
+ * Returns a negative number if a sorts first, a positive one if b does, and 0 if they are equal.
+ */
+export function compareIndexes(a: string, b: string, options?: CompareOptions): number;
+
+/** Sorts items (or bare keys) by their keys into a new array; items with equal keys keep their order */
+export function sortByIndex<T extends object | string>(items: readonly T[], key?: string, options?: SortOptions): T[];
+
+/** Finds where a key belongs in a sorted list by binary search */
+export function findNeighbors(sortedItems: ReadonlyArray<string | object>, index: string, options?: FindNeighborsOptions): Neighbors;
+
+/** Checks whether a value is a canonical compact key in the given alphabet */
+export function isCompactIndex(value: unknown, alphabet: Exclude<Alphabet, 'decimal'>): value is FractionalIndex;
+
+export interface ConvertOptions {
+    /** Representation of the input keys (default: 'decimal') */
+    from?: Alphabet;
+    /** Representation to convert to (default: 'decimal') */
+    to?: Alphabet;
+}
+
+/** Converts one key between the decimal and compact representations */
+export function convertIndex(index: string, options?: ConvertOptions): FractionalIndex;
+
+/** Converts a sorted list of keys between representations, keeping their order */
+export function convertIndexes(sortedIndexes: readonly string[], options?: ConvertOptions): FractionalIndex[];
+
+export interface OrderedListOptions extends IndexerOptions {
+    /** Lists check and compare keys themselves, so they take a built-in strategy */
+    strategy?: StrategyName;
+    /** Property holding each item's id (default: 'id') */
+    idKey?: string;
+    /** Property holding each item's index (default: 'index') */
+    indexKey?: string;
+}
+
+/** A new key to persist for one item, as returned by moveItems and OrderedList */
+export interface IndexChange<Id = unknown> {
+    id: Id;
+    index: FractionalIndex;
+}
+
+/** A sorted list of items that owns their fractional indexes */
+export class OrderedList<Item extends object = Record<string, unknown>, Id = unknown> {
+    /** Items may come in any order; each needs a unique id and a valid index */
+    constructor(items?: readonly Item[], options?: OrderedListOptions);
+    /** Number of items in the list */
+    readonly size: number;
+    has(id: Id): boolean;
+    get(id: Id): Item | undefined;
+    /** Position of an item, found by binary search on its index, or -1 */
+    indexOf(id: Id): number;
+    /** The items in order (the list's own shallow copies) */
+    toArray(): Item[];
+    /** Inserts an item so that it ends up at position (0 to size); its index property is ignored */
+    insertAt(position: number, item: Item): IndexChange<Id>[];
+    insertBefore(id: Id, item: Item): IndexChange<Id>[];
+    insertAfter(id: Id, item: Item): IndexChange<Id>[];
+    /** Moves items together, in the given order, to targetPosition among the remaining items */
+    move(ids: readonly Id[], targetPosition: number): IndexChange<Id>[];
+    /** Removes an item; neighbors keep their indexes */
+    remove(id: Id): Item;
+}
+
+export interface OrderedTreeOptions extends IndexerOptions {
+    /** Path keys put parents first, so trees are always in ascending order */
+    order?: 'ascending';
+    /** Trees check and compare keys themselves, so they take a built-in strategy */
+    strategy?: StrategyName;
+    /** Property holding each item's id (default: 'id') */
+    idKey?: string;
+    /** Property holding each item's parent id, null for top-level items (default: 'parentId') */
+    parentKey?: string;
+    /** Property holding each item's index (default: 'index') */
+    indexKey?: string;
+    /** Joins the keys of a path key; must sort below every key character (default: '!', or '\u001f' for base-95 keys) */
+    separator?: string;
+}
+
+/** A new parent and key to persist for one item, as returned by OrderedTree */
+export interface TreeChange<Id = unknown> {
+    id: Id;
+    /** The parent id, or null for a top-level item */
+    parentId: Id | null;
+    index: FractionalIndex;
+}
+
+/** A tree of items, each ordered among its siblings by a fractional index */
+export class OrderedTree<Item extends object = Record<string, unknown>, Id = unknown> {
+    /** Items may come in any order; each needs a unique id, a parent in the tree (or null) and a valid index */
+    constructor(items?: readonly Item[], options?: OrderedTreeOptions);
+    /** Number of items in the tree */
+    readonly size: number;
+    has(id: Id): boolean;
+    get(id: Id): Item | undefined;
+    /** The children of an item in order; null (the default) for the top-level items */
+    children(parentId?: Id | null): Item[];
+    /** Number of ancestors; 0 for top-level items */
+    depth(id: Id): number;
+    /** The items in depth-first order, or only the subtree of id */
+    toArray(id?: Id | null): Item[];
+    /** Inserts an item at position (0 to the number of children) among a parent's children */
+    insertAt(parentId: Id | null, position: number, item: Item): TreeChange<Id>[];
+    appendChild(parentId: Id | null, item: Item): TreeChange<Id>[];
+    insertBefore(id: Id, item: Item): TreeChange<Id>[];
+    insertAfter(id: Id, item: Item): TreeChange<Id>[];
+    /** Moves items with their subtrees under a parent, together and in the given order; descendants keep their keys */
+    move(ids: readonly Id[], parentId: Id | null, targetPosition: number): TreeChange<Id>[];
+    /** Removes an item and its subtree, returned in depth-first order */
+    remove(id: Id): Item[];
+    /** The keys from the root down to the item, joined by the separator; these sort in depth-first order */
+    pathKey(id: Id): string;
+    /** The path keys of the whole tree, or only the subtree of id, in depth-first order */
+    pathKeys(id?: Id | null): { id: Id; path: string }[];
+}
+
+export type SqlDialect = 'postgres' | 'mysql' | 'sqlite';
+
+export interface IndexUpdate {
+    id: unknown;
+    /** The key to write (`index` is accepted instead, as returned by moveItems and OrderedList) */
+    newIndex?: string;
+    index?: string;
+    /** The key the row is expected to have, checked with `checkOldIndex` */
+    oldIndex?: string;
+}
+
+export interface UpdateStatementOptions {
+    dialect: SqlDialect;
+    /** Table to update, optionally schema-qualified */
+    table: string;
+    /** Primary key column (default: 'id') */
+    idColumn?: string;
+    /** Column holding the index (default: 'index') */
+    indexColumn?: string;
+    /** Rows per statement (default: 500) */
+    batchSize?: number;
+    /** Only update rows whose index still equals oldIndex (default: false) */
+    checkOldIndex?: boolean;
+}
+
+export interface SqlStatement {
+    text: string;
+    values: unknown[];
+}
+
+/** Builds batched, parameterized UPDATE statements for a set of index changes */
+export function generateUpdateStatements(changes: readonly IndexUpdate[], options: UpdateStatementOptions): SqlStatement[];
+
+export interface CollationOptions {
+    dialect: SqlDialect;
+    table: string;
+    /** Column holding the index (default: 'index') */
+    indexColumn?: string;
+    /** Longest key the column must hold, the VARCHAR length in MySQL (default: 255) */
+    maxKeyLength?: number;
+    /** Whether the MySQL migration leaves the column nullable; pass false for a NOT NULL column (default: true) */
+    nullable?: boolean;
+}
+
+export interface CollationAdvice {
+    /** An ORDER BY clause comparing bytes (in MySQL, on the recommended ascii column) */
+    orderBy: string;
+    /** Column type to use for new tables */
+    columnType: string;
+    /** Statement converting an existing column, or null when none is needed (SQLite) */
+    migration: string | null;
+}
+
+/** Recommends how to make the database order keys exactly like the library */
+export function recommendCollation(options: CollationOptions): CollationAdvice;
+
+export interface NeedsRebalanceOptions {
+    /** Gaps at or below this size need rebalancing (default: 1e-9, the indexer's default minSafeGap) */
+    minGap?: number;
+    /** Indexes longer than this need rebalancing (default: 32) */
+    maxLength?: number;
+}
+
+export interface RebalanceOptions extends NeedsRebalanceOptions {
+    /** Minimum room per item after respreading (default: 1e-6) */
+    targetGap?: number;
+}
+
+export interface RebalanceUpdate {
+    /** Position of the item in the sorted input */
+    position: number;
+    oldIndex: string;
+    newIndex: FractionalIndex;
+}
+
+/** Checks whether the gap between two adjacent indexes is too small to keep inserting into comfortably */
+export function needsRebalance(prevIndex: IndexBound, nextIndex: IndexBound, options?: NeedsRebalanceOptions): boolean;
+
+/** Finds crowded regions of a sorted list and respreads only their neighborhood */
+export function rebalance(sortedIndexes: readonly string[], options?: RebalanceOptions): RebalanceUpdate[];
+
+export interface ValidateOptions {
+    /** Property holding the index on each row (default: 'index') */
+    key?: string;
+    /** Gap size treated as exhausted when computing headroom (default: 1e-9, the indexer's default minSafeGap) */
+    minGap?: number;
+}
+
+export interface ValidationReport {
+    valid: boolean;
+    count: number;
+    invalid: Array<{ position: number; index: unknown }>;
+    nonCanonical: Array<{ position: number; index: string | number; canonical: FractionalIndex }>;
+    duplicates: Array<{ index: string; positions: number[] }>;
+    orderMismatches: Array<{ positions: [number, number]; indexes: [string, string] }>;
+    minGap: { size: string; prevIndex: string; nextIndex: string } | null;
+    headroom: number | null;
+    gapsNeedingRebalance: number;
+}
+
+/** Audits a persisted list of indexes and reports everything that could break ordering */
+export function validateIndexes(list: ReadonlyArray<string | object>, options?: ValidateOptions): ValidationReport;
+
+/** Ids of logged items, which have to survive a JSON round trip */
+export type OpLogId = string | number;
+
+export type OpLogOp =
+    | { type: 'insert'; id: OpLogId; prevIndex: IndexBound; nextIndex: IndexBound; index: FractionalIndex }
+    | { type: 'bulkInsert'; ids: OpLogId[]; prevIndex: IndexBound; nextIndex: IndexBound; layout: 'spread' | 'append'; indexes: FractionalIndex[] }
+    | {
+        type: 'relocate';
+        ids: OpLogId[];
+        prevIndex: IndexBound;
+        nextIndex: IndexBound;
+        distributeEvenly: boolean;
+        oldIndexes: string[];
+        indexes: FractionalIndex[];
+    }
+    /** Undoes an insert or a bulkInsert */
+    | { type: 'remove'; ids: OpLogId[]; oldIndexes: string[] }
+    /** Undoes a relocate, or (with null oldIndexes) a remove */
+    | { type: 'restore'; ids: OpLogId[]; oldIndexes: string[] | null; indexes: string[] };
+
+/** createIndexer options an op log records, so replay creates the same indexer */
+export type OpLogOptions = Pick<
+    IndexerOptions,
+    'seed' | 'jitter' | 'alphabet' | 'siteId' | 'order' | 'allowNegative' | 'allocation' | 'stepSize' | 'jitterRatio' | 'minSafeGap' | 'precision'
+> & { strategy?: StrategyName };
+
+/** An op log as written by toJSON */
+export interface OpLogData {
+    version: 1;
+    options: OpLogOptions;
+    ops: OpLogOp[];
+}
+
+export interface OpLog {
+    /** Generates the key of a new item, and records the insert */
+    insert(id: OpLogId, prevIndex: IndexBound, nextIndex: IndexBound): FractionalIndex;
+    /** Generates the keys of several new items, placed together, and records the insert */
+    insertBulk(ids: readonly OpLogId[], prevIndex: IndexBound, nextIndex: IndexBound, options?: { layout?: 'spread' | 'append' }): FractionalIndex[];
+    /** Generates new keys for items moving together (in their new order), and records the relocation */
+    relocate(
+        items: ReadonlyArray<{ id: OpLogId; index: string }>,
+        prevIndex: IndexBound,
+        nextIndex: IndexBound,
+        distributeEvenly?: boolean
+    ): FractionalIndex[];
+    /** Records the inverse of an op (default: the last one) and returns it */
+    undo(position?: number): OpLogOp;
+    /** The recorded ops, oldest first */
+    ops(): OpLogOp[];
+    toJSON(): OpLogData;
+}
+
+/** Creates an op log: generators that record every change they make, replayable from a seed */
+export function createOpLog(options?: OpLogOptions & Pick<IndexerOptions, 'logger' | 'onGenerate' | 'maxKeyLength'>): OpLog;
+
+/** Rebuilds a list by replaying a log onto an empty one, checking every key against the log */
+export function replayOpLog(log: OpLog | OpLogData | string): Array<{ id: OpLogId; index: string }>;
+
+/** Inverts an op, for undo */
+export function invertOp(op: OpLogOp): OpLogOp;
+
+/** Base class for all errors thrown by frac-indexes */
+export class FractionalIndexError extends Error {
+    constructor(message: string);
+}
+
+/** Thrown when a value is not a valid fractional index */
+export class InvalidIndexError extends FractionalIndexError {
+    constructor(message: string, index: unknown, argument?: string | null);
+    /** The offending value */
+    readonly index: unknown;
+    /** Name of the argument it was passed as, if known */
+    readonly argument: string | null;
+}
+
+/** Thrown when two bounds are not in ascending order */
+export class InvalidRangeError extends FractionalIndexError {
+    constructor(prevIndex: IndexBound, nextIndex: IndexBound, message?: string);
+    readonly prevIndex: IndexBound;
+    readonly nextIndex: IndexBound;
+}
+
+/** Thrown when a count is not a non-negative integer */
+export class InvalidCountError extends FractionalIndexError {
+    constructor(count: unknown);
+    readonly count: unknown;
+}
+
+/** Thrown for any other malformed argument or option */
+export class InvalidArgumentError extends FractionalIndexError {
+    constructor(message: string, argument: string, value: unknown);
+    readonly argument: string;
+    readonly value: unknown;
+}
+
+/** Thrown when replaying an op log does not rebuild the list it was recorded on */
+export class ReplayError extends FractionalIndexError {
+    constructor(message: string, step: number, op: unknown);
+    /** Position of the op in the log */
+    readonly step: number;
+    /** The op that could not be replayed */
+    readonly op: unknown;
+}
@@ -0,0 +1,48 @@
+/**
+ * ES module entry point.
+ *
+ * The library itself is CommonJS; re-exporting it here (instead of shipping a
+ * second copy) means `import` and `require` share one module instance.
+ */
+
+import fracIndexes from './index.js';
+
+export const {
+    generateFractionalIndex,
+    generateBulkIndexes,
+    generateRelocationIndexes,
+    moveItems,
+    resolveDuplicates,
+    createIndexer,
+    createStrategy,
+    setDefaultStrategy,
+    createSeededRandom,
+    encodeIndex,
+    decodeIndex,
+    isIndex,
+    migrateIndexes,
+    compareIndexes,
+    sortByIndex,
+    findNeighbors,
+    needsRebalance,
+    rebalance,
+    validateIndexes,
+    isCompactIndex,
+    convertIndex,
+    convertIndexes,
+    OrderedList,
+    OrderedTree,
+    generateUpdateStatements,
+    recommendCollation,
+    createOpLog,
+    replayOpLog,
+    invertOp,
+    FractionalIndexError,
+    InvalidIndexError,
+    InvalidRangeError,
+    InvalidCountError,
+    InvalidArgumentError,
+    ReplayError
+} = fracIndexes;
+
+export default fracIndexes;
@@ -0,0 +1,857 @@
+const { compareDecimal, addDecimal, subtractDecimal, roundDecimal, padDecimal, midpointDecimal, distributeDecimal, appendDecimal } = require('./decimal');
+const { encodeIndex, decodeIndex, decodeBound, isIndex } = require('./encoding');
+const { createSeededRandom } = require('./random');
+const { isCompactIndex, decodeCompactRange, generateCompactIndex, distributeCompactIndexes } = require('./compact');
+const { describeGeneration } = require('./metadata');
+const { InvalidIndexError, InvalidRangeError, InvalidArgumentError, describeValue, assertCount, assertPropertyName, assertIdList } = require('./errors');
+
+// Distance between consecutive appends, and the room given to each item of a batch at an
+// open end, unless the stepSize option says otherwise (matches TAIL_STEP in rebalance.js)
+const DEFAULT_STEP_SIZE = 0.001;
+// Steps are written with at most six decimal places, so String() never uses an exponent for them
+const MIN_STEP_SIZE = 0.000001;
+const MAX_STEP_SIZE = 1000000;
+// Share of the gap a jittered key can land in, centered on the midpoint
+const DEFAULT_JITTER_RATIO = 0.25;
+// Gaps at or below minSafeGap are split with exact digit arithmetic instead of floats. By default it
+// is ten times the last decimal place of float keys (needsRebalance and validateIndexes use the same
+// default), and with a precision option never below MIN_DEFAULT_SAFE_GAP
+const DEFAULT_MIN_SAFE_GAP = 1e-9;
+const MIN_DEFAULT_SAFE_GAP = 1e-10;
+const MAX_MIN_SAFE_GAP = 1;
+// Floats carry about 15 significant digits, so rounding keys to more places only adds noise
+const MAX_PRECISION = 15;
+// Decimal places of float keys without a precision option, at open ends and between two keys alike
+const FLOAT_PRECISION = 10;
+// Random digits appended below the distribution grid when jitter is enabled
+const JITTER_DIGITS = 5;
+// Ways generateBulkIndexes can place a batch inside its range
+const BULK_LAYOUTS = ['spread', 'append'];
+// Key representations createIndexer can generate
+const ALPHABETS = ['decimal', 'base62', 'base95'];
+// Directions a list can be sorted in by its keys
+const ORDERS = ['ascending', 'descending'];
+// How single inserts place their key inside the gap
+const ALLOCATIONS = ['midpoint', 'adaptive'];
+// Built-in ways of writing and generating keys
+const STRATEGIES = ['numeric', 'string-digit', 'compact'];
+// What a custom strategy object implements
+const STRATEGY_METHODS = ['between', 'before', 'after', 'bulk', 'compare', 'isValid'];
+// Options that tune the built-in strategies; a custom strategy generates its keys itself
+const GENERATION_OPTIONS = [
+    'random', 'seed', 'jitter', 'alphabet', 'siteId', 'order', 'allowNegative', 'allocation', 'onGenerate',
+    'stepSize', 'jitterRatio', 'minSafeGap', 'precision'
+];
+// Site ids have up to ten digits, which covers 32-bit client ids
+const MAX_SITE_ID = 9999999999;
+// Default key length budget for the headroom metadata - the VARCHAR(255) column recommendCollation suggests
+const DEFAULT_MAX_KEY_LENGTH = 255;
+
+/**
+ * Encodes a site id as decimal digits, written last in every key the replica
+ * generates. The number of digits comes before the id, so that after the same
+ * digits smaller ids sort first, and again after it, closed by a 1: read from
+ * the end, a key tells where its site digits start, so two different ids never
+ * produce keys of equal value, whatever digits precede them. The closing 1 also
+ * keeps trailing zeros (of site 0, say) from being trimmed off.
+ * @param {number} siteId - A non-negative integer up to MAX_SITE_ID
+ * @returns {string} The digits to append below generated keys
+ */
+function encodeSiteId(siteId) {
+    const digits = String(siteId);
+    const length = String(digits.length - 1);
+    return `${length}${digits}${length}1`;
+}
+
+/**
+ * Rounds a float to a fixed number of decimal places
+ * @param {number} value - The float to round
+ * @param {number} places - Number of fraction digits to keep
+ * @returns {string|null} The decimal string, or null from 1e21 up, where toFixed switches to exponent notation
+ */
+function toFixedDecimal(value, places) {
+    const text = value.toFixed(places);
+    return text.indexOf('e') === -1 ? text : null;
+}
+
+/**
+ * Decodes and checks a (prevIndex, nextIndex) pair as passed by callers
+ * @param {string|null} prevIndex - The index before the desired position
+ * @param {string|null} nextIndex - The index after the desired position
+ * @param {Object} [options]
+ * @param {boolean} [options.allowNegative=false] - Allow generating below zero
+ * @param {boolean} [options.descending=false] - The list runs from the highest key down, so prevIndex
+ *   must be the greater bound
+ * @returns {{prevValue: string|null, nextValue: string|null}} The plain decimal bounds
+ */
+function decodeRange(prevIndex, nextIndex, options = {}) {
+    const { allowNegative = false, descending = false } = options;
+    const prevValue = decodeBound(prevIndex, 'prevIndex');
+    const nextValue = decodeBound(nextIndex, 'nextIndex');
+    const lowerValue = descending ? nextValue : prevValue;
+    const upperValue = descending ? prevValue : nextValue;
+
+    // Safety check for invalid ranges (compared on the strings, since distinct
+    // long keys can convert to the same Number)
+    if (lowerValue !== null && upperValue !== null && compareDecimal(lowerValue, upperValue) >= 0) {
+        throw new InvalidRangeError(prevIndex, nextIndex, descending
+            ? `Invalid range: in descending order prevIndex (${prevIndex}) must be greater than nextIndex (${nextIndex})`
+            : undefined);
+    }
+    if (!allowNegative && lowerValue === null && upperValue !== null && compareDecimal(upperValue, '0') <= 0) {
+        throw new InvalidRangeError(prevIndex, nextIndex, descending
+            ? `Invalid range: no index can be generated after ${prevIndex} in descending order`
+            : `Invalid range: no index can be generated before ${nextIndex}`);
+    }
+    return { prevValue, nextValue };
+}
+
+/**
+ * Checks an alphabet option, as createIndexer and the comparison helpers take it
+ * @param {*} alphabet - The option value
+ * @returns {string} The alphabet
+ * @throws {InvalidArgumentError} If it is not "decimal", "base62" or "base95"
+ */
+function readAlphabet(alphabet) {
+    if (ALPHABETS.indexOf(alphabet) === -1) {
+        throw new InvalidArgumentError(`Invalid alphabet option: expected "decimal", "base62" or "base95", got ${describeValue(alphabet)}`, 'alphabet', alphabet);
+    }
+    return alphabet;
+}
+
+/**
+ * Checks an order option, as createIndexer and the comparison helpers take it
+ * @param {*} order - The option value
+ * @returns {string} The order
+ * @throws {InvalidArgumentError} If it is not "ascending" or "descending"
+ */
+function readOrder(order) {
+    if (ORDERS.indexOf(order) === -1) {
+        throw new InvalidArgumentError(`Invalid order option: expected "ascending" or "descending", got ${describeValue(order)}`, 'order', order);
+    }
+    return order;
+}
+
+/**
+ * Reads the strategy option of createIndexer. Without one, the alphabet
+ * picks the strategy: compact alphabets use 'compact', decimal keys 'numeric'.
+ * @param {Object} options - The createIndexer options, with a valid alphabet if any
+ * @returns {{strategy: string|Object, alphabet: string|null}} A built-in strategy name and the alphabet it
+ *   generates, or a custom strategy object and null
+ */
+function readStrategy(options) {
+    const { alphabet } = options;
+    const compactAlphabet = alphabet !== undefined && alphabet !== 'decimal';
+    const { strategy = compactAlphabet ? 'compact' : 'numeric' } = options;
+
+    if (strategy !== null && typeof strategy === 'object') {
+        STRATEGY_METHODS.forEach(method => {
+            if (typeof strategy[method] !== 'function') {
+                throw new InvalidArgumentError(`Invalid strategy option: a custom strategy needs a ${method} method`, 'strategy', strategy);
+            }
+        });
+        GENERATION_OPTIONS.forEach(name => {
+            if (options[name] !== undefined) {
+                throw new InvalidArgumentError(`Invalid ${name} option: a custom strategy generates its keys itself`, name, options[name]);
+            }
+        });
+        return { strategy, alphabet: null };
+    }
+
+    if (STRATEGIES.indexOf(strategy) === -1) {
+        throw new InvalidArgumentError(
+            `Invalid strategy option: expected "numeric", "string-digit", "compact" or a strategy object, got ${describeValue(strategy)}`,
+            'strategy',
+            strategy
+        );
+    }
+    if (alphabet !== undefined && (strategy === 'compact') !== compactAlphabet) {
+        throw new InvalidArgumentError(
+            strategy === 'compact'
+                ? 'Invalid alphabet option: the compact strategy generates base62 or base95 keys, not decimal'
+                : `Invalid alphabet option: the ${strategy} strategy generates decimal keys, not ${alphabet}`,
+            'alphabet',
+            alphabet
+        );
+    }
+    return { strategy, alphabet: strategy === 'compact' ? alphabet || 'base62' : 'decimal' };
+}
+
+/**
+ * Reads the options that tune how decimal keys are spaced and rounded
+ * @param {Object} options - The createIndexer options
+ * @param {string} strategy - The built-in strategy they apply to
+ * @returns {{stepSize: number, stepDecimals: number, jitterRatio: number, minSafeGap: number,
+ *   precision: number|null}} The configuration, with defaults filled in
+ */
+function readNumericConfig(options, strategy) {
+    const { stepSize = DEFAULT_STEP_SIZE, jitterRatio = DEFAULT_JITTER_RATIO, precision = null } = options;
+    // Compact keys step and split by whole digits; string-digit keys never go through a float
+    const unused = strategy === 'compact' ? ['stepSize', 'jitterRatio', 'minSafeGap', 'precision']
+        : strategy === 'string-digit' ? ['jitterRatio', 'minSafeGap', 'precision'] : [];
+    unused.forEach(name => {
+        if (options[name] !== undefined) {
+            throw new InvalidArgumentError(`Invalid ${name} option: the ${strategy} strategy does not use it`, name, options[name]);
+        }
+    });
+
+    const stepDecimals = typeof stepSize === 'number' ? (String(stepSize).split('.')[1] || '').length : 0;
+    if (typeof stepSize !== 'number' || !(stepSize >= MIN_STEP_SIZE && stepSize <= MAX_STEP_SIZE) || stepDecimals > 6) {
+        throw new InvalidArgumentError(
+            `Invalid stepSize option: expected a number from ${MIN_STEP_SIZE} to ${MAX_STEP_SIZE} with at most 6 decimal places, got ${describeValue(stepSize)}`,
+            'stepSize',
+            stepSize
+        );
+    }
+    if (typeof jitterRatio !== 'number' || !(jitterRatio >= 0 && jitterRatio < 1)) {
+        throw new InvalidArgumentError(`Invalid jitterRatio option: expected a number from 0 up to (not including) 1, got ${describeValue(jitterRatio)}`, 'jitterRatio', jitterRatio);
+    }
+    // Keys at open ends sit half a step (plus jitter) from their neighbor, which takes one more place than the step
+    if (precision !== null && (typeof precision !== 'number' || Math.floor(precision) !== precision || precision < stepDecimals + 1 || precision > MAX_PRECISION)) {
+        throw new InvalidArgumentError(
+            `Invalid precision option: expected an integer from ${stepDecimals + 1} to ${MAX_PRECISION} (one more decimal place than stepSize), got ${describeValue(precision)}`,
+            'precision',
+            precision
+        );
+    }
+
+    // Gaps too small for a rounded key to land strictly inside go to the exact fallback
+    const finest = Number(`1e-${precision === null ? FLOAT_PRECISION : precision}`);
+    const coarseDefault = precision === null
+        ? DEFAULT_MIN_SAFE_GAP
+        : Math.min(Math.max(MIN_DEFAULT_SAFE_GAP, finest * 10), MAX_MIN_SAFE_GAP);
+    const { minSafeGap = coarseDefault } = options;
+    if (typeof minSafeGap !== 'number' || !(minSafeGap >= finest && minSafeGap <= MAX_MIN_SAFE_GAP)) {
+        throw new InvalidArgumentError(
+            `Invalid minSafeGap option: expected a number from ${finest} (the precision's last decimal place) to ${MAX_MIN_SAFE_GAP}, got ${describeValue(minSafeGap)}`,
+            'minSafeGap',
+            minSafeGap
+        );
+    }
+    return { stepSize, stepDecimals, jitterRatio, minSafeGap, precision };
+}
+
+/**
+ * Creates a set of index generators bound to their own random source
+ * @param {Object} [options]
+ * @param {function(): number} [options.random] - Custom PRNG returning floats in [0, 1), used instead of Math.random
+ * @param {number|string} [options.seed] - Seed for the built-in PRNG (ignored when `random` is given)
+ * @param {boolean} [options.jitter=true] - Set to false for fully deterministic keys
+ * @param {string|Object} [options.strategy] - How keys are written and generated: 'numeric' (the default)
+ *   bisects decimal keys with floats, falling back to exact digit arithmetic for tight gaps; 'string-digit'
+ *   uses exact digit arithmetic only; 'compact' generates base-62 or base-95 keys (the default with those
+ *   alphabets). An object with between, before, after, bulk, compare and isValid methods is a custom
+ *   strategy, which the indexer delegates to (see strategies.js); it takes none of the options that tune
+ *   the built-in ones
+ * @param {string} [options.alphabet='decimal'] - 'decimal' for the encoded decimal keys, or 'base62' / 'base95'
+ *   for compact keys (see compact.js)
+ * @param {number} [options.siteId] - Id of this replica, appended below every generated key so that
+ *   concurrent inserts from different replicas never collide, even without jitter
+ * @param {{warn: function(string, Object)}|null} [options.logger=console] - Receives warnings when a
+ *   safety fallback is taken; null silences them
+ * @param {function(Object)} [options.onGenerate] - Called with the metadata of every generation call
+ *   (see generateFractionalIndex), e.g. to emit metrics
+ * @param {number} [options.maxKeyLength=255] - Key length budget that the metadata's headroom is measured against
+ * @param {string} [options.order='ascending'] - 'descending' for lists shown from the highest key down,
+ *   e.g. feeds that grow at the head: prevIndex is then the greater bound, inserts at the head step
+ *   forward like appends, and generated batches come out highest first
+ * @param {boolean} [options.allowNegative=false] - Let keys go below zero, so that inserts at the start of
+ *   the key space step back by the same amount appends step forward instead of halving toward zero
+ *   (decimal keys only)
+ * @param {string} [options.allocation='midpoint'] - 'adaptive' to notice runs of inserts that keep extending
+ *   the same spot (each one right after or before the key generated last) and place their keys close to
+ *   that edge, so a run of n inserts grows keys by O(log n) digits instead of O(n)
+ * @param {number} [options.stepSize=0.001] - Distance between consecutive appends (and prepends below zero),
+ *   and the room each item of a batch gets at an open end: from 0.000001 to 1000000, with at most 6 decimal
+ *   places. Open-end jitter is up to a tenth of it (decimal keys only)
+ * @param {number} [options.jitterRatio=0.25] - Share of the gap, centered on its midpoint, that a jittered key
+ *   between two others can land in: from 0 up to (not including) 1 (numeric strategy only)
+ * @param {number} [options.minSafeGap] - Gaps this small or smaller are split with exact digit arithmetic
+ *   instead of floats: from 10^-precision to 1. Defaults to ten times 10^-precision (1e-9 without a
+ *   precision), but at least 1e-10 (numeric strategy only)
+ * @param {number} [options.precision] - Decimal places of every key the indexer generates, in single inserts,
+ *   batches, moves and adaptive runs, with or without jitter: an integer from one more than stepSize's decimal
+ *   places up to 15. A key only grows past it when no key of that width fits between its neighbors. Site ids
+ *   add digits of their own, so it cannot be combined with siteId. Without it, keys computed with floats get
+ *   10 places and the others (unjittered keys between two others, batches, fallbacks) are as short as they
+ *   can be (numeric strategy only)
+ * @returns {{generateFractionalIndex: Function, generateBulkIndexes: Function, generateRelocationIndexes: Function,
+ *   moveItems: Function, resolveDuplicates: Function}}
+ */
+function createIndexer(options = {}) {
+    if (options.random !== undefined && typeof options.random !== 'function') {
+        throw new InvalidArgumentError(`Invalid random option: expected a function, got ${describeValue(options.random)}`, 'random', options.random);
+    }
+    if (options.seed !== undefined && typeof options.seed !== 'number' && typeof options.seed !== 'string') {
+        throw new InvalidArgumentError(`Invalid seed option: expected a number or string, got ${describeValue(options.seed)}`, 'seed', options.seed);
+    }
+    if (options.jitter !== undefined && typeof options.jitter !== 'boolean') {
+        throw new InvalidArgumentError(`Invalid jitter option: expected a boolean, got ${describeValue(options.jitter)}`, 'jitter', options.jitter);
+    }
+    if (options.alphabet !== undefined) readAlphabet(options.alphabet);
+
+    const { strategy, alphabet } = readStrategy(options);
+    const custom = alphabet === null;
+
+    const { siteId } = options;
+    if (siteId !== undefined && (typeof siteId !== 'number' || Math.floor(siteId) !== siteId || siteId < 0 || siteId > MAX_SITE_ID)) {
+        throw new InvalidArgumentError(
+            `Invalid siteId option: expected an integer from 0 to ${MAX_SITE_ID}, got ${describeValue(siteId)}`,
+            'siteId',
+            siteId
+        );
+    }
+
+    const { logger = console, onGenerate, maxKeyLength = DEFAULT_MAX_KEY_LENGTH } = options;
+    if (logger !== null && (typeof logger !== 'object' || typeof logger.warn !== 'function')) {
+        throw new InvalidArgumentError(`Invalid logger option: expected an object with a warn method or null, got ${describeValue(logger)}`, 'logger', logger);
+    }
+    if (onGenerate !== undefined && typeof onGenerate !== 'function') {
+        throw new InvalidArgumentError(`Invalid onGenerate option: expected a function, got ${describeValue(onGenerate)}`, 'onGenerate', onGenerate);
+    }
+    if (typeof maxKeyLength !== 'number' || Math.floor(maxKeyLength) !== maxKeyLength || maxKeyLength < 1) {
+        throw new InvalidArgumentError(`Invalid maxKeyLength option: expected a positive integer, got ${describeValue(maxKeyLength)}`, 'maxKeyLength', maxKeyLength);
+    }
+
+    if (options.order !== undefined) readOrder(options.order);
+    const { allowNegative = false } = options;
+    if (typeof allowNegative !== 'boolean') {
+        throw new InvalidArgumentError(`Invalid allowNegative option: expected a boolean, got ${describeValue(allowNegative)}`, 'allowNegative', allowNegative);
+    }
+    if (allowNegative && alphabet !== 'decimal') {
+        throw new InvalidArgumentError(
+            `Invalid allowNegative option: negative keys are only available with the decimal alphabet, not ${alphabet}`,
+            'allowNegative',
+            allowNegative
+        );
+    }
+
+    const { allocation = 'midpoint' } = options;
+    if (ALLOCATIONS.indexOf(allocation) === -1) {
+        throw new InvalidArgumentError(`Invalid allocation option: expected "midpoint" or "adaptive", got ${describeValue(allocation)}`, 'allocation', allocation);
+    }
+    // A custom strategy spaces its own keys
+    const { stepSize, stepDecimals, jitterRatio, minSafeGap, precision } = readNumericConfig(custom ? {} : options, strategy);
+    // Site digits end every key, below whatever width the key was rounded to
+    if (precision !== null && siteId !== undefined) {
+        throw new InvalidArgumentError('Invalid precision option: site ids add digits to every key, so keys cannot have a fixed width', 'precision', precision);
+    }
+
+    const jitter = options.jitter !== false;
+    const descending = options.order === 'descending';
+    const siteDigits = siteId === undefined ? '' : encodeSiteId(siteId);
+    // The same digits as digit values, for compact keys
+    const compactSiteDigits = siteDigits.split('').map(Number);
+    const compact = !custom && alphabet !== 'decimal';
+    const exact = strategy === 'string-digit';
+    // Open-end jitter stays below the step, and float keys are rounded to a fixed width
+    const edgeJitter = stepSize / 10;
+    const floatPrecision = precision === null ? FLOAT_PRECISION : precision;
+    let random = Math.random;
+    if (options.random) {
+        random = options.random;
+    } else if (options.seed !== undefined) {
+        random = createSeededRandom(options.seed);
+    }
+    // The last single insert of an adaptive indexer: { prevIndex, nextIndex, index, toward, length }
+    let lastInsert = null;
+
+    /**
+     * Generates a fractional index between two existing indexes
+     * @param {string|null} prevIndex - The index before the desired position
+     * @param {string|null} nextIndex - The index after the desired position
+     * @param {Object} [options]
+     * @param {boolean} [options.withMetadata=false] - Return `{ index, metadata }` instead of the index, where
+     *   metadata has the position ('empty', 'start', 'end' or 'between'), count, keyLength, gap (between the
+     *   bounds, null for an open end), headroom (estimated inserts into the tightest gap next to the new key
+     *   before keys outgrow maxKeyLength) and fallback ('precision', 'boundary' or null)
+     * @returns {string|{index: string, metadata: Object}} A new fractional index as a string
+     */
+    function generateFractionalIndex(prevIndex, nextIndex, options = {}) {
+        const withMetadata = checkWithMetadata(options);
+        const run = allocation === 'adaptive' ? continueRun(prevIndex, nextIndex) : null;
+        const { index, fallback } = run === null ? generateOne(prevIndex, nextIndex) : generateInRun(prevIndex, nextIndex, run);
+        if (allocation === 'adaptive') {
+            lastInsert = { prevIndex, nextIndex, index, toward: run && run.toward, length: run ? run.length : 0 };
+        }
+        const metadata = report(prevIndex, nextIndex, [index], fallback, withMetadata);
+        return withMetadata ? { index, metadata } : index;
+    }
+
+    // Generates one key, and names the safety fallback taken, if any
+    function generateOne(prevIndex, nextIndex) {
+        const { lowerValue, upperValue } = decodeKeys(prevIndex, nextIndex);
+        if (custom) {
+            if (prevIndex === null && nextIndex !== null) return { index: strategy.before(nextIndex), fallback: null };
+            if (prevIndex !== null && nextIndex === null) return { index: strategy.after(prevIndex), fallback: null };
+            return { index: strategy.between(prevIndex, nextIndex), fallback: null };
+        }
+        if (compact) {
+            const index = generateCompactIndex(lowerValue, upperValue, alphabet, jitter ? random : null, { siteDigits: compactSiteDigits });
+            return { index, fallback: null };
+        }
+        // Exact arithmetic only: the key sits on the coarsest decimal grid with room for it
+        if (exact) return { index: distributeIndexes(lowerValue, upperValue, 1)[0], fallback: null };
+        const result = generateDecimalIndex(prevIndex, nextIndex, lowerValue, upperValue);
+        const index = encodeIndex(siteDigits ? appendDecimal(result.value, siteDigits, upperValue) : result.value);
+        return { index: toFixedWidth(index), fallback: result.fallback };
+    }
+
+    // Checks whether an insert extends the previous one: right after the key it generated, toward the same
+    // next key ('prev' edge), or right before it, from the same previous key ('next' edge)
+    function continueRun(prevIndex, nextIndex) {
+        if (lastInsert === null) return null;
+        let toward = null;
+        if (prevIndex !== null && prevIndex === lastInsert.index && nextIndex === lastInsert.nextIndex) {
+            toward = 'prev';
+        } else if (nextIndex !== null && nextIndex === lastInsert.index && prevIndex === lastInsert.prevIndex) {
+            toward = 'next';
+        }
+        if (toward === null) return null;
+        return { toward, length: lastInsert.toward === toward ? lastInsert.length + 1 : 1 };
+    }
+
+    // Places the key of an insert run next to the edge being extended. Splitting the gap as if
+    // length + 1 keys were coming keeps most of it for the rest of the run: after n inserts about
+    // 2/n of it is left, rather than 2^-n.
+    function generateInRun(prevIndex, nextIndex, run) {
+        const { lowerValue, upperValue } = decodeKeys(prevIndex, nextIndex);
+        const towardLower = (run.toward === 'prev') !== descending;
+        // Open ends already step by a fixed amount
+        if (upperValue === null || (lowerValue === null && allowNegative)) {
+            return generateOne(prevIndex, nextIndex);
+        }
+        const keys = distributeIndexes(lowerValue, upperValue, run.length + 1, null, towardLower ? 'first' : 'last');
+        return { index: keys[0], fallback: null };
+    }
+
+    // Generates count keys between two bounds, in list order, spread over the range or packed next to prevIndex
+    function generateMany(prevIndex, nextIndex, count, packed) {
+        if (custom) {
+            return { indexes: strategy.bulk(prevIndex, nextIndex, count, { layout: packed ? 'append' : 'spread' }), fallback: null };
+        }
+        if (count === 1) {
+            const { index, fallback } = generateOne(prevIndex, nextIndex);
+            return { indexes: [index], fallback };
+        }
+        const { lowerValue, upperValue } = decodeKeys(prevIndex, nextIndex);
+        let half = null;
+        if (packed) half = descending ? 'upper' : 'lower';
+        const indexes = distributeIndexes(lowerValue, upperValue, count, half);
+        return { indexes: descending ? indexes.reverse() : indexes, fallback: null };
+    }
+
+    // Describes a generation call when someone listens; metadata costs a few exact subtractions per key
+    function report(prevIndex, nextIndex, indexes, fallback, withMetadata) {
+        if (!withMetadata && !onGenerate) return null;
+        const metadata = describeGeneration(prevIndex, nextIndex, indexes, {
+            alphabet,
+            maxKeyLength,
+            fallback,
+            openStart: allowNegative,
+            descending
+        });
+        if (onGenerate) onGenerate(metadata);
+        return metadata;
+    }
+
+    function checkWithMetadata(options) {
+        const { withMetadata = false } = options;
+        if (typeof withMetadata !== 'boolean') {
+            throw new InvalidArgumentError(`Invalid withMetadata option: expected a boolean, got ${describeValue(withMetadata)}`, 'withMetadata', withMetadata);
+        }
+        // Gaps and headroom are measured on the built-in representations
+        if (withMetadata && custom) {
+            throw new InvalidArgumentError('Invalid withMetadata option: metadata is only available with the built-in strategies', 'withMetadata', withMetadata);
+        }
+        return withMetadata;
+    }
+
+    // Decodes a range in this indexer's alphabet, with its bounds in key order:
+    // in a descending list, prevIndex is the upper one
+    function decodeKeys(prevIndex, nextIndex) {
+        if (custom) {
+            checkCustomRange(prevIndex, nextIndex);
+            return { lowerValue: prevIndex, upperValue: nextIndex };
+        }
+        const { prevValue, nextValue } = compact
+            ? decodeCompactRange(prevIndex, nextIndex, alphabet, { descending })
+            : decodeRange(prevIndex, nextIndex, { allowNegative, descending });
+        return descending
+            ? { lowerValue: nextValue, upperValue: prevValue }
+            : { lowerValue: prevValue, upperValue: nextValue };
+    }
+
+    // Checks a range against a custom strategy's own validity check and ordering
+    function checkCustomRange(prevIndex, nextIndex) {
+        [['prevIndex', prevIndex], ['nextIndex', nextIndex]].forEach(([argument, index]) => {
+            if (index !== null && (typeof index !== 'string' || !strategy.isValid(index))) {
+                throw new InvalidIndexError(
+                    `Invalid ${argument}: ${describeValue(index)} is not a valid index for this strategy (use null for an open end)`,
+                    index,
+                    argument
+                );
+            }
+        });
+        if (prevIndex !== null && nextIndex !== null && strategy.compare(prevIndex, nextIndex) >= 0) {
+            throw new InvalidRangeError(prevIndex, nextIndex);
+        }
+    }
+
+    /**
+     * Generates a plain decimal string between two plain decimal strings
+     * @param {string|null} prevKey - The index before the desired position, as passed by the caller
+     * @param {string|null} nextKey - The index after the desired position, as passed by the caller
+     * @param {string|null} prevIndex - The decoded lower bound (the caller's nextKey in a descending list)
+     * @param {string|null} nextIndex - The decoded upper bound
+     * @returns {{value: string, fallback: string|null}} A new decimal string, not yet encoded, and the
+     *   safety fallback taken: 'precision' when floats cannot represent the result, 'boundary' when
+     *   the jittered float landed on a bound
+     */
+    function generateDecimalIndex(prevKey, nextKey, prevIndex, nextIndex) {
+        if (prevIndex === null && nextIndex === null) {
+            // List is empty
+            const baseIndex = stepSize / 2;
+            const jitterAmount = jitter ? random() * edgeJitter : 0; // Small jitter for empty list
+            return { value: (baseIndex + jitterAmount).toFixed(floatPrecision), fallback: null };
+        } else if (prevIndex === null) {
+            // Beginning of List
+            const nextNum = Number(nextIndex);
+            if (allowNegative) {
+                // Step back like appends step forward, going below zero when needed
+                const jitterAmount = jitter ? random() * edgeJitter : 0;
+                const candidate = toFixedDecimal(nextNum - stepSize - jitterAmount, floatPrecision);
+                // Large keys swallow the step when rounded to a float; subtract on the strings instead
+                if (candidate === null || compareDecimal(candidate, nextIndex) >= 0) {
+                    return { value: toWidth(subtractDecimal(nextIndex, String(stepSize))), fallback: 'precision' };
+                }
+                return { value: candidate, fallback: null };
+            }
+            const baseIndex = Math.min(stepSize / 2, nextNum / 2);
+            const jitterAmount = jitter ? random() * (baseIndex * 0.1) : 0; // 10% of base as max jitter
+            const candidate = (baseIndex + jitterAmount).toFixed(floatPrecision);
+
+            // Repeated prepends halve toward zero; once the key's digits can no longer
+            // represent the result, subdivide the strings directly
+            if (compareDecimal(candidate, '0') <= 0 || compareDecimal(candidate, nextIndex) >= 0) {
+                return { value: midpointDecimal('0', nextIndex), fallback: 'precision' };
+            }
+            return { value: candidate, fallback: null };
+        } else if (nextIndex === null) {
+            // End of List
+            const prevNum = Number(prevIndex);
+            const baseIndex = prevNum + stepSize;
+            const jitterAmount = jitter ? random() * edgeJitter : 0; // Small jitter for end
+            const candidate = toFixedDecimal(baseIndex + jitterAmount, floatPrecision);
+            // Large keys swallow the step when rounded to a float; add on the strings instead
+            if (candidate === null || compareDecimal(candidate, prevIndex) <= 0) {
+                return { value: toWidth(addDecimal(prevIndex, String(stepSize))), fallback: 'precision' };
+            }
+            return { value: candidate, fallback: null };
+        } else {
+            // Between Two Items - CRITICAL CASE
+            const prevNum = Number(prevIndex);
+            const nextNum = Number(nextIndex);
+            const gap = nextNum - prevNum;
+
+            // For extremely small gaps, floats can no longer tell the bounds apart:
+            // switch to digit-by-digit arithmetic, which grows the key as needed
+            if (gap <= minSafeGap) {
+                return { value: midpointDecimal(prevIndex, nextIndex), fallback: 'precision' };
+            }
+
+            // Without jitter the exact midpoint of the strings is both
+            // deterministic and as short as possible (unless keys have a fixed width)
+            if (!jitter && precision === null) {
+                return { value: midpointDecimal(prevIndex, nextIndex), fallback: null };
+            }
+
+            // Calculate safe midpoint with bounded jitter
+            const midpoint = prevNum + (gap / 2);
+
+            // Jitter is limited to jitterRatio of the gap, centered on the midpoint
+            // This ensures we never exceed boundaries
+            const maxJitter = gap * jitterRatio;
+            const jitterAmount = jitter ? (random() - 0.5) * maxJitter : 0;
+            const finalIndex = toFixedDecimal(midpoint + jitterAmount, floatPrecision);
+            // Floats this large have no fraction digits left to split the gap with
+            if (finalIndex === null) {
+                return { value: midpointDecimal(prevIndex, nextIndex), fallback: 'precision' };
+            }
+
+            // Final safety check against the original strings, as rounding to a fixed
+            // number of digits can still land on a boundary for large or long indexes
+            if (compareDecimal(finalIndex, prevIndex) <= 0 || compareDecimal(finalIndex, nextIndex) >= 0) {
+                if (logger) {
+                    logger.warn('Boundary violation detected, using safe midpoint', { prevIndex: prevKey, nextIndex: nextKey, candidate: finalIndex });
+                }
+                return { value: midpointDecimal(prevIndex, nextIndex), fallback: 'boundary' };
+            }
+
+            return { value: finalIndex, fallback: null };
+        }
+    }
+
+    // Keeps a key one step from a longer neighbor at the fixed width: rounding moves it by half a unit
+    // of the last place at most, which is less than the step (precision has more places than stepSize)
+    function toWidth(value) {
+        if (precision === null) return value;
+        const negative = value.charAt(0) === '-';
+        const rounded = roundDecimal(negative ? value.slice(1) : value, precision);
+        return negative && compareDecimal(rounded, '0') !== 0 ? `-${rounded}` : rounded;
+    }
+
+    // Pads a key that comes out shorter (exact fallbacks, coarse grids) to the fixed width. The padding
+    // goes on the encoded key: negative keys hold complement digits, which encodeIndex writes without
+    // trailing zeros
+    function toFixedWidth(index) {
+        return precision === null ? index : padDecimal(index, precision);
+    }
+
+    // Random digits, as a string of the given length
+    function randomDigits(count) {
+        return String(10 ** count + Math.floor(random() * 10 ** count)).slice(1);
+    }
+
+    /**
+     * Spreads keys evenly between two decoded bounds
+     * @param {string|Object|null} prevValue - The decoded lower bound (null for the start of the list)
+     * @param {string|Object|null} nextValue - The decoded upper bound (null for the end of the list)
+     * @param {number} count - Number of indexes to generate
+     * @param {string|null} [half=null] - 'lower' or 'upper' to only use that half of the range
+     * @param {string|null} [edge=null] - 'first' or 'last' to only generate that index of the spread
+     * @returns {string[]} Encoded indexes, ascending and strictly inside the bounds
+     */
+    function distributeIndexes(prevValue, nextValue, count, half = null, edge = null) {
+        if (compact) {
+            return distributeCompactIndexes(prevValue, nextValue, count, alphabet, jitter ? random : null, {
+                lowerHalf: half === 'lower',
+                upperHalf: half === 'upper',
+                siteDigits: compactSiteDigits,
+                edge
+            });
+        }
+        // With negative keys the start of the key space is as open as its end
+        const openStart = allowNegative && prevValue === null && nextValue !== null;
+        if (half !== null && nextValue !== null && !openStart) {
+            const middle = midpointDecimal(prevValue === null ? '0' : prevValue, nextValue);
+            if (half === 'lower') {
+                nextValue = middle;
+            } else {
+                prevValue = middle;
+            }
+        }
+
+        // Spread over the full-precision bounds; tight ranges simply get longer keys.
+        // Open ends give each item one step, like appends (or prepends below zero)
+        const tail = ((count + 1) * stepSize).toFixed(stepDecimals);
+        let start = prevValue === null ? '0' : prevValue;
+        if (openStart) start = subtractDecimal(nextValue, tail);
+        const end = nextValue === null ? addDecimal(start, tail) : nextValue;
+
+        // Jitter and site digits go below the grid, so they never reach a neighbor or a bound.
+        // The site digits come last, where encodeSiteId expects them
+        if (precision === null) {
+            const extraDigits = jitter ? () => randomDigits(JITTER_DIGITS) + siteDigits : () => siteDigits;
+            return distributeDecimal(start, end, count, extraDigits, edge).map(encodeIndex);
+        }
+        // With a fixed width the grid is no finer than it while there is room, and jitter
+        // fills the places left below the grid
+        const fillDigits = places => (jitter && places < precision ? randomDigits(precision - places) : '');
+        return distributeDecimal(start, end, count, fillDigits, edge, precision).map(value => toFixedWidth(encodeIndex(value)));
+    }
+
+    /**
+     * Generates multiple fractional indexes between two existing indexes.
+     * Keys are spread across the gap at once, so their length grows with
+     * log10(count) rather than with count.
+     * @param {string|null} prevIndex - The index before the desired position
+     * @param {string|null} nextIndex - The index after the desired position
+     * @param {number} count - Number of indexes to generate
+     * @param {Object} [options]
+     * @param {string} [options.layout='spread'] - 'spread' uses the whole gap; 'append' packs the keys into
+     *   its half next to prevIndex, leaving room for more items after them
+     * @param {boolean} [options.withMetadata=false] - Return `{ indexes, metadata }`, with metadata as for
+     *   generateFractionalIndex (null when count is 0)
+     * @returns {string[]|{indexes: string[], metadata: Object|null}} An array of new fractional indexes
+     */
+    function generateBulkIndexes(prevIndex, nextIndex, count, options = {}) {
+        decodeKeys(prevIndex, nextIndex);
+        assertCount(count);
+        const { layout = 'spread' } = options;
+        if (BULK_LAYOUTS.indexOf(layout) === -1) {
+            throw new InvalidArgumentError(`Invalid layout option: expected "spread" or "append", got ${describeValue(layout)}`, 'layout', layout);
+        }
+        const withMetadata = checkWithMetadata(options);
+        if (count === 0) return withMetadata ? { indexes: [], metadata: null } : [];
+
+        // At an open end of the key space both layouts step like appends
+        const { indexes, fallback } = generateMany(prevIndex, nextIndex, count, layout === 'append');
+        const metadata = report(prevIndex, nextIndex, indexes, fallback, withMetadata);
+        return withMetadata ? { indexes, metadata } : indexes;
+    }
+
+    /**
+     * Generates indexes for relocating multiple items to a new position
+     * @param {string|null} targetPrevIndex - Index before the target position
+     * @param {string|null} targetNextIndex - Index after the target position
+     * @param {number} count - Number of items to relocate
+     * @param {boolean} [distributeEvenly=true] - Whether to distribute items evenly in the target space
+     * @returns {string[]} An array of new indexes for the relocated items
+     */
+    function generateRelocationIndexes(targetPrevIndex, targetNextIndex, count, distributeEvenly = true) {
+        decodeKeys(targetPrevIndex, targetNextIndex);
+        assertCount(count);
+        if (typeof distributeEvenly !== 'boolean') {
+            throw new InvalidArgumentError(`Invalid distributeEvenly: expected a boolean, got ${describeValue(distributeEvenly)}`, 'distributeEvenly', distributeEvenly);
+        }
+        if (count === 0) return [];
+
+        // Keep the items together near targetPrevIndex if even distribution is not required
+        const { indexes, fallback } = generateMany(targetPrevIndex, targetNextIndex, count, !distributeEvenly);
+        report(targetPrevIndex, targetNextIndex, indexes, fallback, false);
+        return indexes;
+    }
+
+    /**
+     * Moves items of a sorted list to a new position. The moved items' old
+     * keys are left out when finding the neighbors, so they may be anywhere
+     * in the list, including around the destination.
+     * @param {Object[]} list - The current items, in list order (by index, highest first in descending order)
+     * @param {Array} ids - Ids of the items to move; they need not be contiguous
+     * @param {number} toPosition - Position of the first moved item in the resulting list,
+     *   from 0 to list.length - ids.length
+     * @param {Object} [options]
+     * @param {string} [options.idKey='id'] - Property holding each item's id
+     * @param {string} [options.indexKey='index'] - Property holding each item's index
+     * @returns {{id: *, index: string}[]} New keys for the moved items only, keeping their relative order
+     */
+    function moveItems(list, ids, toPosition, options = {}) {
+        const { idKey = 'id', indexKey = 'index' } = options;
+        assertPropertyName(idKey, 'idKey');
+        assertPropertyName(indexKey, 'indexKey');
+        if (!Array.isArray(list)) {
+            throw new InvalidArgumentError(`Invalid list: expected an array, got ${describeValue(list)}`, 'list', list);
+        }
+        assertIdList(ids);
+
+        const moving = new Map();
+        ids.forEach(id => moving.set(id, false));
+        const moved = [];
+        const remaining = [];
+        list.forEach(item => {
+            const id = item === null || typeof item !== 'object' ? undefined : item[idKey];
+            if (moving.has(id)) {
+                moving.set(id, true);
+                moved.push(item);
+            } else {
+                remaining.push(item);
+            }
+        });
+        moving.forEach((found, id) => {
+            if (!found) throw new InvalidArgumentError(`Invalid ids: ${describeValue(id)} is not in the list`, 'ids', ids);
+        });
+
+        const max = remaining.length;
+        if (typeof toPosition !== 'number' || Math.floor(toPosition) !== toPosition || toPosition < 0 || toPosition > max) {
+            throw new InvalidArgumentError(`Invalid toPosition: expected an integer from 0 to ${max}, got ${describeValue(toPosition)}`, 'toPosition', toPosition);
+        }
+        if (moved.length === 0) return [];
+
+        const prevIndex = toPosition > 0 ? remaining[toPosition - 1][indexKey] : null;
+        const nextIndex = toPosition < max ? remaining[toPosition][indexKey] : null;
+        const indexes = generateRelocationIndexes(prevIndex, nextIndex, moved.length);
+        return moved.map((item, i) => ({ id: item[idKey], index: indexes[i] }));
+    }
+
+    /**
+     * Repairs keys shared by several rows, e.g. after offline clients sync.
+     * In each group of equal keys the first row (by tiebreak) keeps its key,
+     * and the others get new keys between it and the next distinct key, so
+     * no other row is touched.
+     * @param {Array<Object|string>} items - Stored rows (or bare index strings), in any order
+     * @param {Object} [options]
+     * @param {string} [options.key='index'] - Property holding the index on each row
+     * @param {string|function(Object, Object): number} [options.tiebreak='id'] - Property to order
+     *   duplicates by (e.g. an id or timestamp), or a comparator; remaining ties keep input order
+     * @returns {{position: number, oldIndex: string, newIndex: string}[]} The updates to apply, in list
+     *   order; position refers to the input array
+     */
+    function resolveDuplicates(items, options = {}) {
+        const { key = 'index', tiebreak = 'id' } = options;
+        if (!Array.isArray(items)) {
+            throw new InvalidArgumentError(`Invalid items: expected an array, got ${describeValue(items)}`, 'items', items);
+        }
+        assertPropertyName(key, 'key');
+        if (typeof tiebreak !== 'string' && typeof tiebreak !== 'function') {
+            throw new InvalidArgumentError(
+                `Invalid tiebreak option: expected a property name or a comparator, got ${describeValue(tiebreak)}`,
+                'tiebreak',
+                tiebreak
+            );
+        }
+
+        const readProperty = (item, name) => (item !== null && typeof item === 'object' ? item[name] : undefined);
+        const compareTiebreak = typeof tiebreak === 'function'
+            ? tiebreak
+            : (a, b) => {
+                const x = readProperty(a, tiebreak);
+                const y = readProperty(b, tiebreak);
+                return x < y ? -1 : x > y ? 1 : 0;
+            };
+        // Compact keys compare as bytes; decimal ones by value, so "0.5" and "0.50" are duplicates too
+        let compareKeys = compareDecimal;
+        if (custom) compareKeys = strategy.compare;
+        else if (compact) compareKeys = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+        // Groups are walked in list order, so new keys land after the key they share
+        const compareValues = descending ? (a, b) => compareKeys(b, a) : compareKeys;
+
+        const entries = items.map((item, position) => {
+            const index = item !== null && typeof item === 'object' ? item[key] : item;
+            let valid = isIndex(index);
+            if (custom) valid = typeof index === 'string' && strategy.isValid(index);
+            else if (compact) valid = isCompactIndex(index, alphabet);
+            if (!valid) {
+                throw new InvalidIndexError(
+                    `Invalid items: the index at position ${position} (${describeValue(index)}) is not a valid ${custom ? 'strategy' : alphabet} index`,
+                    index,
+                    'items'
+                );
+            }
+            return { item, position, index, value: custom || compact ? index : decodeIndex(index) };
+        });
+        entries.sort((a, b) => compareValues(a.value, b.value) || compareTiebreak(a.item, b.item) || a.position - b.position);
+
+        const updates = [];
+        for (let start = 0; start < entries.length;) {
+            let end = start + 1;
+            while (end < entries.length && compareValues(entries[start].value, entries[end].value) === 0) end++;
+
+            if (end - start > 1) {
+                const nextIndex = end < entries.length ? entries[end].index : null;
+                const newIndexes = generateBulkIndexes(entries[start].index, nextIndex, end - start - 1);
+                entries.slice(start + 1, end).forEach((entry, i) => {
+                    updates.push({ position: entry.position, oldIndex: entry.index, newIndex: newIndexes[i] });
+                });
+            }
+            start = end;
+        }
+        return updates;
+    }
+
+    return {
+        generateFractionalIndex,
+        generateBulkIndexes,
+        generateRelocationIndexes,
+        moveItems,
+        resolveDuplicates
+    };
+}
+
+module.exports = {
+    createIndexer,
+    readStrategy,
+    readAlphabet,
+    readOrder,
+    DEFAULT_MIN_SAFE_GAP
+};
@@ -0,0 +1,76 @@
+/**
+ * Metadata about generated keys, for watching a list degrade before it needs
+ * a rebalance.
+ *
+ * Gaps are measured exactly and compared as base-2 logarithms: the gap next to
+ * a long key underflows a Number long before the key becomes unusable.
+ */
+
+const { measureGap, fractionLength } = require('./compact');
+
+const BASES = { decimal: 10, base62: 62, base95: 95 };
+
+function log2(gap) {
+    return gap === null ? -Infinity : (Math.log(gap.mantissa) + gap.exponent * Math.log(gap.base)) / Math.LN2;
+}
+
+/**
+ * Describes one generation call
+ * @param {string|null} prevIndex - The index before the generated keys, as passed by the caller
+ * @param {string|null} nextIndex - The index after the generated keys, as passed by the caller
+ * @param {string[]} indexes - The generated keys, in list order
+ * @param {Object} options
+ * @param {string} options.alphabet - 'decimal', 'base62' or 'base95'
+ * @param {number} options.maxKeyLength - Key length budget the headroom is measured against
+ * @param {string|null} options.fallback - Safety path taken while generating, if any
+ * @param {boolean} [options.openStart=false] - Keys may go below zero, so zero does not bound the start
+ * @param {boolean} [options.descending=false] - The list runs from the highest key down
+ * @returns {{position: string, count: number, keyLength: number, gap: number|null, headroom: number,
+ *   fallback: string|null}}
+ */
+function describeGeneration(prevIndex, nextIndex, indexes, options) {
+    const { alphabet, maxKeyLength, fallback, openStart = false, descending = false } = options;
+    // Gaps are measured in key order
+    const lowerIndex = descending ? nextIndex : prevIndex;
+    const upperIndex = descending ? prevIndex : nextIndex;
+    const keys = descending ? indexes.slice().reverse() : indexes;
+
+    // The start of the key space is bounded by zero unless keys may go negative;
+    // the end is open
+    const points = openStart && lowerIndex === null && upperIndex !== null ? keys.slice() : [lowerIndex].concat(keys);
+    if (upperIndex !== null) points.push(upperIndex);
+    let tightest = Infinity;
+    for (let i = 1; i < points.length; i++) {
+        tightest = Math.min(tightest, log2(measureGap(points[i - 1], points[i], alphabet)));
+    }
+
+    // Room left below each key before it reaches the length budget
+    let keyLength = 0;
+    let spareDigits = Infinity;
+    indexes.forEach(index => {
+        keyLength = Math.max(keyLength, index.length);
+        spareDigits = Math.min(spareDigits, maxKeyLength - index.length + fractionLength(index, alphabet));
+    });
+    // Each insert into the tightest gap halves it, and a key inside a gap of
+    // 2^-n needs about n / log2(base) fraction digits
+    const bitsPerDigit = Math.log(BASES[alphabet]) / Math.LN2;
+    const headroom = Math.max(0, Math.floor(tightest + spareDigits * bitsPerDigit));
+    const gap = lowerIndex === null || upperIndex === null ? null : measureGap(lowerIndex, upperIndex, alphabet);
+
+    let position = 'between';
+    if (prevIndex === null) position = nextIndex === null ? 'empty' : 'start';
+    else if (nextIndex === null) position = 'end';
+
+    return {
+        position,
+        count: indexes.length,
+        keyLength,
+        gap: gap === null ? null : gap.mantissa * Math.pow(gap.base, gap.exponent),
+        headroom,
+        fallback
+    };
+}
+
+module.exports = {
+    describeGeneration
+};
@@ -0,0 +1,330 @@
+/**
+ * Operation logs: ordering changes recorded as plain ops, for audit trails
+ * and undo.
+ *
+ * Each op names the items it touched, the neighbor keys they were placed
+ * between and the keys that came out:
+ *
+ *   { type: 'insert', id, prevIndex, nextIndex, index }
+ *   { type: 'bulkInsert', ids, prevIndex, nextIndex, layout, indexes }
+ *   { type: 'relocate', ids, prevIndex, nextIndex, distributeEvenly, oldIndexes, indexes }
+ *   { type: 'remove', ids, oldIndexes }              Undoes an insert or a bulkInsert
+ *   { type: 'restore', ids, oldIndexes, indexes }    Undoes a relocate (or, with null oldIndexes, a remove)
+ *
+ * A log generates its keys from a seed, and records it. Replaying runs the
+ * generators again in the same order, so they produce the same keys: a log
+ * that was edited, reordered or recorded against another list is caught at
+ * the first op that does not rebuild what was recorded.
+ */
+
+const { createIndexer, readStrategy } = require('./indexer');
+const { findNeighbors } = require('./compare');
+const { InvalidArgumentError, ReplayError, describeValue } = require('./errors');
+
+// Version of the JSON written by toJSON
+const LOG_VERSION = 1;
+// Op types, and the types whose keys come from the generators
+const OP_TYPES = ['insert', 'bulkInsert', 'relocate', 'remove', 'restore'];
+const GENERATED_TYPES = ['insert', 'bulkInsert', 'relocate'];
+// createIndexer options a log records, so replay can create the same indexer
+const RECORDED_OPTIONS = [
+    'seed', 'jitter', 'strategy', 'alphabet', 'siteId', 'order', 'allowNegative', 'allocation',
+    'stepSize', 'jitterRatio', 'minSafeGap', 'precision'
+];
+
+// Ids end up in JSON, so they have to survive a round trip unchanged
+function checkId(id, argument) {
+    if (typeof id !== 'string' && (typeof id !== 'number' || !isFinite(id))) {
+        throw new InvalidArgumentError(`Invalid ${argument}: expected a string or finite number id, got ${describeValue(id)}`, argument, id);
+    }
+    return id;
+}
+
+function checkIds(ids, argument) {
+    if (!Array.isArray(ids)) {
+        throw new InvalidArgumentError(`Invalid ${argument}: expected an array of ids, got ${describeValue(ids)}`, argument, ids);
+    }
+    ids.forEach((id, i) => {
+        checkId(id, argument);
+        if (ids.indexOf(id) !== i) {
+            throw new InvalidArgumentError(`Invalid ${argument}: ${describeValue(id)} appears more than once`, argument, ids);
+        }
+    });
+    return ids.slice();
+}
+
+// Copies an op, so callers cannot change what the log holds
+function copyOp(op) {
+    const copy = {};
+    Object.keys(op).forEach(key => {
+        copy[key] = Array.isArray(op[key]) ? op[key].slice() : op[key];
+    });
+    return copy;
+}
+
+// Builds the createIndexer options of a log, and the subset it records
+function readLogOptions(options) {
+    if (options.random !== undefined) {
+        throw new InvalidArgumentError('Invalid random option: an op log replays from a seed; pass seed instead', 'random', options.random);
+    }
+    if (options.strategy !== null && typeof options.strategy === 'object') {
+        throw new InvalidArgumentError('Invalid strategy option: an op log records a built-in strategy name', 'strategy', options.strategy);
+    }
+    const recorded = {};
+    RECORDED_OPTIONS.forEach(name => {
+        if (options[name] !== undefined) recorded[name] = options[name];
+    });
+    // Without a seed there is nothing to replay from, so pick one and record it
+    if (recorded.seed === undefined) recorded.seed = Math.floor(Math.random() * 0x100000000);
+
+    const indexerOptions = {};
+    Object.keys(options).forEach(key => {
+        indexerOptions[key] = options[key];
+    });
+    indexerOptions.seed = recorded.seed;
+    return { recorded, indexerOptions };
+}
+
+/**
+ * Inverts an op, for undo. Applying the inverse after the op puts every item
+ * it touched back where it was; inverses only carry keys, so they never
+ * generate any.
+ * @param {Object} op - An op from a log
+ * @returns {Object} The op that undoes it: a remove for inserts, a restore for relocations and removes
+ */
+function invertOp(op) {
+    if (op === null || typeof op !== 'object' || OP_TYPES.indexOf(op.type) === -1) {
+        throw new InvalidArgumentError(`Invalid op: expected an op with a type of ${OP_TYPES.join(', ')}, got ${describeValue(op && op.type)}`, 'op', op);
+    }
+    switch (op.type) {
+        case 'insert':
+            return { type: 'remove', ids: [op.id], oldIndexes: [op.index] };
+        case 'bulkInsert':
+            return { type: 'remove', ids: op.ids.slice(), oldIndexes: op.indexes.slice() };
+        case 'remove':
+            return { type: 'restore', ids: op.ids.slice(), oldIndexes: null, indexes: op.oldIndexes.slice() };
+        default:
+            // A restore of removed items is undone by removing them again
+            if (op.type === 'restore' && op.oldIndexes === null) {
+                return { type: 'remove', ids: op.ids.slice(), oldIndexes: op.indexes.slice() };
+            }
+            return { type: 'restore', ids: op.ids.slice(), oldIndexes: op.indexes.slice(), indexes: op.oldIndexes.slice() };
+    }
+}
+
+/**
+ * Creates an op log: generators that record every change they make
+ * @param {Object} [options] - createIndexer options, except random and custom strategies. The log records
+ *   seed, jitter, strategy, alphabet, siteId, order, allowNegative, allocation, stepSize, jitterRatio,
+ *   minSafeGap and precision; logger, onGenerate and maxKeyLength apply while recording only
+ * @param {number|string} [options.seed] - Seed of the keys' jitter; a random one is picked and recorded if omitted
+ * @returns {{insert: Function, insertBulk: Function, relocate: Function, undo: Function, ops: Function,
+ *   toJSON: Function}} The log
+ */
+function createOpLog(options = {}) {
+    const { recorded, indexerOptions } = readLogOptions(options);
+    const indexer = createIndexer(indexerOptions);
+    const ops = [];
+
+    function record(op) {
+        ops.push(op);
+        return op;
+    }
+
+    return {
+        /**
+         * Generates the key of a new item, and records the insert
+         * @param {string|number} id - The new item's id
+         * @param {string|null} prevIndex - The key before the new item
+         * @param {string|null} nextIndex - The key after the new item
+         * @returns {string} The new item's key
+         */
+        insert(id, prevIndex, nextIndex) {
+            checkId(id, 'id');
+            const index = indexer.generateFractionalIndex(prevIndex, nextIndex);
+            return record({ type: 'insert', id, prevIndex, nextIndex, index }).index;
+        },
+
+        /**
+         * Generates the keys of several new items, placed together, and records the insert
+         * @param {Array<string|number>} ids - The new items' ids, in list order
+         * @param {string|null} prevIndex - The key before the new items
+         * @param {string|null} nextIndex - The key after the new items
+         * @param {Object} [options]
+         * @param {string} [options.layout='spread'] - As for generateBulkIndexes
+         * @returns {string[]} The new items' keys, in list order
+         */
+        insertBulk(ids, prevIndex, nextIndex, options = {}) {
+            const copy = checkIds(ids, 'ids');
+            const { layout = 'spread' } = options;
+            const indexes = indexer.generateBulkIndexes(prevIndex, nextIndex, copy.length, { layout });
+            return record({ type: 'bulkInsert', ids: copy, prevIndex, nextIndex, layout, indexes }).indexes.slice();
+        },
+
+        /**
+         * Generates new keys for items moving together, and records the relocation
+         * @param {Object[]} items - The moving items as `{ id, index }`, in their new order
+         * @param {string|null} prevIndex - The key before the target position, among the items that stay
+         * @param {string|null} nextIndex - The key after the target position, among the items that stay
+         * @param {boolean} [distributeEvenly=true] - As for generateRelocationIndexes
+         * @returns {string[]} The items' new keys, in the same order
+         */
+        relocate(items, prevIndex, nextIndex, distributeEvenly = true) {
+            if (!Array.isArray(items) || items.some(item => item === null || typeof item !== 'object')) {
+                throw new InvalidArgumentError(`Invalid items: expected an array of { id, index } objects, got ${describeValue(items)}`, 'items', items);
+            }
+            const ids = checkIds(items.map(item => item.id), 'items');
+            const oldIndexes = items.map(item => item.index);
+            const indexes = indexer.generateRelocationIndexes(prevIndex, nextIndex, ids.length, distributeEvenly);
+            return record({ type: 'relocate', ids, prevIndex, nextIndex, distributeEvenly, oldIndexes, indexes }).indexes.slice();
+        },
+
+        /**
+         * Records the inverse of an op in the log. An op whose items later ops changed (including an
+         * earlier undo of it) cannot be undone until those are.
+         * @param {number} [position] - Position of the op to undo (default: the last one)
+         * @returns {Object} The recorded inverse, whose keys the caller writes back
+         */
+        undo(position = ops.length - 1) {
+            if (typeof position !== 'number' || Math.floor(position) !== position || position < 0 || position >= ops.length) {
+                throw new InvalidArgumentError(`Invalid position: expected the position of an op in the log, got ${describeValue(position)}`, 'position', position);
+            }
+            // The inverse restores the keys the op saw, which only holds while no later op touched its items
+            const ids = ops[position].type === 'insert' ? [ops[position].id] : ops[position].ids;
+            ops.slice(position + 1).forEach(later => {
+                (later.type === 'insert' ? [later.id] : later.ids).forEach(id => {
+                    if (ids.indexOf(id) !== -1) {
+                        throw new InvalidArgumentError(
+                            `Invalid position: item ${describeValue(id)} of op ${position} was changed by a later op; undo that one first`,
+                            'position',
+                            position
+                        );
+                    }
+                });
+            });
+            return copyOp(record(invertOp(ops[position])));
+        },
+
+        /**
+         * Returns the recorded ops, oldest first
+         * @returns {Object[]}
+         */
+        ops() {
+            return ops.map(copyOp);
+        },
+
+        /**
+         * Returns the log as plain data, for JSON.stringify
+         * @returns {{version: number, options: Object, ops: Object[]}}
+         */
+        toJSON() {
+            return { version: LOG_VERSION, options: copyOp(recorded), ops: ops.map(copyOp) };
+        }
+    };
+}
+
+// Reads a log as written by toJSON, from the object or its JSON text
+function readLog(log) {
+    let data = log;
+    if (typeof log === 'string') {
+        try {
+            data = JSON.parse(log);
+        } catch (error) {
+            throw new InvalidArgumentError(`Invalid log: ${error.message}`, 'log', log);
+        }
+    }
+    if (data !== null && typeof data === 'object' && typeof data.toJSON === 'function') data = data.toJSON();
+    if (data === null || typeof data !== 'object' || data.version !== LOG_VERSION || !Array.isArray(data.ops) ||
+        data.options === null || typeof data.options !== 'object') {
+        throw new InvalidArgumentError(`Invalid log: expected an op log (version ${LOG_VERSION}) or its JSON`, 'log', log);
+    }
+    Object.keys(data.options).forEach(name => {
+        if (RECORDED_OPTIONS.indexOf(name) === -1) {
+            throw new InvalidArgumentError(`Invalid log: ${describeValue(name)} is not an option a log records`, 'log', log);
+        }
+    });
+    return data;
+}
+
+/**
+ * Rebuilds a list by replaying a log onto an empty one, generating every key
+ * again from the recorded seed and checking it against the log
+ * @param {Object|string} log - A log from createOpLog, its toJSON() data, or that data as JSON
+ * @returns {Array<{id: string|number, index: string}>} The items in the list, in list order
+ * @throws {ReplayError} If an op does not rebuild what was recorded: a key comes out differently, the
+ *   neighbor keys are not next to each other, or an item is missing, already there or has another key
+ */
+function replayOpLog(log) {
+    const { options, ops } = readLog(log);
+    const indexer = createIndexer(options);
+    const { alphabet } = readStrategy(options);
+    const order = options.order || 'ascending';
+    // The items in list order, and each item's key by id
+    const items = [];
+    const keys = new Map();
+
+    ops.forEach((op, step) => {
+        const fail = reason => {
+            throw new ReplayError(`Cannot replay op ${step} (${describeValue(op && op.type)}): ${reason}`, step, op);
+        };
+        if (op === null || typeof op !== 'object' || OP_TYPES.indexOf(op.type) === -1) fail('unknown op type');
+        const ids = op.type === 'insert' ? [op.id] : op.ids;
+        const recordedIndexes = op.type === 'insert' ? [op.index] : op.indexes;
+        if (!Array.isArray(ids)) fail('the op has no ids');
+
+        // Items an op moves or removes must be in the list with the keys it recorded
+        const existing = op.type === 'relocate' || op.type === 'remove' || (op.type === 'restore' && op.oldIndexes !== null);
+        ids.forEach((id, i) => {
+            if (!existing && keys.has(id)) fail(`item ${describeValue(id)} is already in the list`);
+            if (existing && !keys.has(id)) fail(`item ${describeValue(id)} is not in the list`);
+            if (existing && (!Array.isArray(op.oldIndexes) || keys.get(id) !== op.oldIndexes[i])) {
+                fail(`item ${describeValue(id)} has key ${keys.get(id)}, not ${op.oldIndexes && op.oldIndexes[i]}`);
+            }
+        });
+        if (existing) {
+            ids.forEach(id => {
+                items.splice(items.map(item => item.id).indexOf(id), 1);
+                keys.delete(id);
+            });
+        }
+        if (op.type === 'remove') return;
+
+        let indexes = recordedIndexes;
+        if (GENERATED_TYPES.indexOf(op.type) !== -1) {
+            try {
+                if (op.type === 'insert') {
+                    indexes = [indexer.generateFractionalIndex(op.prevIndex, op.nextIndex)];
+                } else if (op.type === 'bulkInsert') {
+                    indexes = indexer.generateBulkIndexes(op.prevIndex, op.nextIndex, ids.length, { layout: op.layout });
+                } else {
+                    indexes = indexer.generateRelocationIndexes(op.prevIndex, op.nextIndex, ids.length, op.distributeEvenly);
+                }
+            } catch (error) {
+                fail(error.message);
+            }
+            if (!Array.isArray(recordedIndexes) || indexes.join() !== recordedIndexes.join()) {
+                fail(`generated ${indexes.join(', ')} instead of the recorded ${recordedIndexes}`);
+            }
+            // The bounds must be neighbors in the list, with the new keys between them
+            const neighbors = findNeighbors(items, indexes[0], { alphabet, order });
+            if (neighbors.prevIndex !== op.prevIndex || neighbors.nextIndex !== op.nextIndex) {
+                fail(`${op.prevIndex} and ${op.nextIndex} are not neighbors in the list`);
+            }
+        } else if (!Array.isArray(indexes) || indexes.length !== ids.length) {
+            fail('the op has no key for every item');
+        }
+
+        ids.forEach((id, i) => {
+            const { position } = findNeighbors(items, indexes[i], { alphabet, order });
+            items.splice(position, 0, { id, index: indexes[i] });
+            keys.set(id, indexes[i]);
+        });
+    });
+    return items.map(item => ({ id: item.id, index: item.index }));
+}
+
+module.exports = {
+    createOpLog,
+    replayOpLog,
+    invertOp
+};
@@ -0,0 +1,168 @@
+const { IndexedCollection, withFields } = require('./collection');
+
+/**
+ * A sorted list of items that owns their fractional indexes.
+ *
+ * Items are plain objects with an id and an index property. The list keeps
+ * its own shallow copies, and every change returns the `{ id, index }` writes
+ * needed to persist it, so callers never compute neighbors themselves.
+ */
+class OrderedList extends IndexedCollection {
+    /**
+     * @param {Object[]} [items=[]] - Items in any order; each needs a unique id and a valid index
+     * @param {Object} [options] - Any other option is passed to createIndexer; a strategy must be a
+     *   built-in name, since the list checks and compares keys itself, and the items must use its alphabet
+     * @param {string} [options.idKey='id'] - Property holding each item's id
+     * @param {string} [options.indexKey='index'] - Property holding each item's index
+     * @param {string} [options.order='ascending'] - Passed to createIndexer; 'descending' keeps the
+     *   highest key first
+     */
+    constructor(items = [], options = {}) {
+        super(items, options, { name: 'OrderedList', noun: 'list', ownOptions: ['idKey', 'indexKey'] });
+        this._items = [];
+
+        const indexKey = this._indexKey;
+        items.forEach(item => {
+            const id = this._checkNewItem(item, 'items');
+            this._checkIndex(item[indexKey]);
+            const copy = withFields(item, {});
+            this._byId.set(id, copy);
+            this._items.push(copy);
+        });
+        // Stable, so items sharing an index keep their input order
+        this._items = this._items
+            .map((item, i) => ({ item, i }))
+            .sort((a, b) => this._compare(a.item[indexKey], b.item[indexKey]) || a.i - b.i)
+            .map(entry => entry.item);
+    }
+
+    /**
+     * Number of items in the list
+     * @type {number}
+     */
+    get size() {
+        return this._items.length;
+    }
+
+    /**
+     * Finds the position of an item by binary search on its index
+     * @param {*} id - The item id
+     * @returns {number} The position, or -1 if the id is not in the list
+     */
+    indexOf(id) {
+        const item = this._byId.get(id);
+        if (item === undefined) return -1;
+
+        let position = this._lowerBound(item[this._indexKey]);
+        // Only items sharing the same index need a linear scan
+        while (this._items[position] !== item) position++;
+        return position;
+    }
+
+    /**
+     * Returns the items in order
+     * @returns {Object[]} A new array; the items themselves are the list's copies
+     */
+    toArray() {
+        return this._items.slice();
+    }
+
+    /**
+     * Inserts an item so that it ends up at the given position
+     * @param {number} position - From 0 (first) to size (last)
+     * @param {Object} item - The new item; its index property is ignored
+     * @returns {{id: *, index: string}[]} The writes to persist
+     */
+    insertAt(position, item) {
+        this._checkPosition(position, this._items.length, 'position');
+        const id = this._checkNewItem(item, 'item');
+        const { prevIndex, nextIndex } = this._boundsAt(this._items, position);
+
+        const index = this._indexer.generateFractionalIndex(prevIndex, nextIndex);
+        const copy = withFields(item, { [this._indexKey]: index });
+        this._items.splice(position, 0, copy);
+        this._byId.set(id, copy);
+        return [{ id, index }];
+    }
+
+    /**
+     * Inserts an item directly before an existing one
+     * @param {*} id - Id of the item to insert before
+     * @param {Object} item - The new item
+     * @returns {{id: *, index: string}[]} The writes to persist
+     */
+    insertBefore(id, item) {
+        return this.insertAt(this._positionOf(id), item);
+    }
+
+    /**
+     * Inserts an item directly after an existing one
+     * @param {*} id - Id of the item to insert after
+     * @param {Object} item - The new item
+     * @returns {{id: *, index: string}[]} The writes to persist
+     */
+    insertAfter(id, item) {
+        return this.insertAt(this._positionOf(id) + 1, item);
+    }
+
+    /**
+     * Moves items so they end up together, in the given order, starting at targetPosition
+     * @param {Array} ids - Ids of the items to move
+     * @param {number} targetPosition - Position of the first moved item among the
+     *   remaining items, from 0 to size - ids.length
+     * @returns {{id: *, index: string}[]} The writes to persist, one per moved item
+     */
+    move(ids, targetPosition) {
+        const moving = this._movingItems(ids);
+
+        const remaining = this._items.filter(item => !moving.has(item[this._idKey]));
+        this._checkPosition(targetPosition, remaining.length, 'targetPosition');
+
+        // moveItems hands the keys out in list order; here the items take them in the order given
+        const indexes = this._indexer.moveItems(this._items, ids, targetPosition, { idKey: this._idKey, indexKey: this._indexKey })
+            .map(change => change.index);
+        const moved = ids.map((id, i) => {
+            const copy = withFields(moving.get(id), { [this._indexKey]: indexes[i] });
+            this._byId.set(id, copy);
+            return copy;
+        });
+        remaining.splice.apply(remaining, [targetPosition, 0].concat(moved));
+        this._items = remaining;
+        return ids.map((id, i) => ({ id, index: indexes[i] }));
+    }
+
+    /**
+     * Removes an item. Neighbors keep their indexes, so nothing needs to be written.
+     * @param {*} id - Id of the item to remove
+     * @returns {Object} The removed item
+     */
+    remove(id) {
+        const position = this._positionOf(id);
+        const [item] = this._items.splice(position, 1);
+        this._byId.delete(id);
+        return item;
+    }
+
+    // First position whose index is not below the given one
+    _lowerBound(index) {
+        let low = 0;
+        let high = this._items.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (this._compare(this._items[middle][this._indexKey], index) < 0) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    _positionOf(id) {
+        return this.indexOf(this._checkExisting(id));
+    }
+}
+
+module.exports = {
+    OrderedList
+};
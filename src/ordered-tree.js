@@ -0,0 +1,326 @@
+const { IndexedCollection, withFields } = require('./collection');
+const { encodeIndex, decodeIndex } = require('./encoding');
+const { InvalidArgumentError, describeValue, assertPropertyName } = require('./errors');
+
+// Lowest character each alphabet uses in its keys; path separators must sort below it
+const LOWEST_KEY_CHARS = { decimal: '-', base62: '0', base95: ' ' };
+// Printable where the alphabet leaves room; base-95 keys use every printable character
+const DEFAULT_SEPARATORS = { decimal: '!', base62: '!', base95: '\u001f' };
+
+/**
+ * A tree of items, each ordered among its siblings by a fractional index.
+ *
+ * Items are plain objects with an id, a parent id (null for top-level items)
+ * and an index that only has to be unique among siblings, so moving a whole
+ * subtree rewrites the keys of the moved items alone. Like OrderedList, every
+ * change returns the `{ id, parentId, index }` writes needed to persist it.
+ *
+ * For storage that can only sort one column, pathKey() joins the keys from the
+ * root down into a composite key; sorting those byte by byte yields the
+ * depth-first order of the tree.
+ */
+class OrderedTree extends IndexedCollection {
+    /**
+     * @param {Object[]} [items=[]] - Items in any order; each needs a unique id, a parent in
+     *   the tree (or null) and a valid index
+     * @param {Object} [options] - Any other option is passed to createIndexer; a strategy must be a
+     *   built-in name, since the tree checks and compares keys itself, and the items must use its alphabet
+     * @param {string} [options.idKey='id'] - Property holding each item's id
+     * @param {string} [options.parentKey='parentId'] - Property holding each item's parent id
+     * @param {string} [options.indexKey='index'] - Property holding each item's index
+     * @param {string} [options.separator] - Joins the keys of a path key; must sort below
+     *   every character the alphabet uses ('!', or '\u001f' for base-95 keys)
+     */
+    constructor(items = [], options = {}) {
+        // Path keys put parents before their children, which only holds in ascending order
+        if (options.order !== undefined && options.order !== 'ascending') {
+            throw new InvalidArgumentError(
+                `Invalid order option: OrderedTree only supports "ascending", got ${describeValue(options.order)}`,
+                'order',
+                options.order
+            );
+        }
+        super(items, options, { name: 'OrderedTree', noun: 'tree', ownOptions: ['idKey', 'parentKey', 'indexKey', 'separator'] });
+        const { parentKey = 'parentId', separator } = options;
+        assertPropertyName(parentKey, 'parentKey');
+
+        const indexKey = this._indexKey;
+        this._parentKey = parentKey;
+        this._separator = this._checkSeparator(separator === undefined ? DEFAULT_SEPARATORS[this._alphabet] : separator);
+        // Children of each parent in order; top-level items are the children of null.
+        // Set rather than passed to the constructor, which IE11's Map ignores
+        this._children = new Map();
+        this._children.set(null, []);
+
+        items.forEach(item => {
+            const id = this._checkNewItem(item, 'items');
+            this._checkIndex(item[indexKey]);
+            const copy = withFields(item, { [parentKey]: this._parentIdOf(item) });
+            this._byId.set(id, copy);
+            this._children.set(id, []);
+        });
+        this._byId.forEach((item, id) => {
+            const parentId = item[parentKey];
+            if (!this._children.has(parentId)) {
+                throw new InvalidArgumentError(`Invalid items: the parent ${describeValue(parentId)} of ${describeValue(id)} is not in the tree`, 'items', item);
+            }
+            this._children.get(parentId).push(item);
+        });
+        // Stable, so siblings sharing an index keep their input order
+        this._children.forEach((children, parentId) => {
+            this._children.set(parentId, children
+                .map((item, i) => ({ item, i }))
+                .sort((a, b) => this._compare(a.item[indexKey], b.item[indexKey]) || a.i - b.i)
+                .map(entry => entry.item));
+        });
+        // Items in a parent cycle are never reached from the top level
+        if (this.toArray().length !== this._byId.size) {
+            throw new InvalidArgumentError('Invalid items: some items are their own ancestors', 'items', items);
+        }
+    }
+
+    /**
+     * Number of items in the tree
+     * @type {number}
+     */
+    get size() {
+        return this._byId.size;
+    }
+
+    /**
+     * Returns the children of an item in order
+     * @param {*} [parentId=null] - The parent id, or null for the top-level items
+     * @returns {Object[]} A new array; the items themselves are the tree's copies
+     */
+    children(parentId = null) {
+        return this._childrenOf(parentId).slice();
+    }
+
+    /**
+     * Counts the ancestors of an item
+     * @param {*} id - The item id
+     * @returns {number} 0 for top-level items
+     */
+    depth(id) {
+        let depth = 0;
+        let parentId = this._byId.get(this._checkExisting(id))[this._parentKey];
+        while (parentId !== null) {
+            depth++;
+            parentId = this._byId.get(parentId)[this._parentKey];
+        }
+        return depth;
+    }
+
+    /**
+     * Returns the items in depth-first order: each item is followed by its subtree
+     * @param {*} [id=null] - Only return this item and its descendants
+     * @returns {Object[]}
+     */
+    toArray(id = null) {
+        const result = [];
+        // An explicit stack, so deep outlines cannot overflow the call stack
+        const stack = id === null ? this._childrenOf(null).slice().reverse() : [this._byId.get(this._checkExisting(id))];
+        while (stack.length > 0) {
+            const item = stack.pop();
+            result.push(item);
+            const children = this._children.get(item[this._idKey]);
+            for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+        }
+        return result;
+    }
+
+    /**
+     * Inserts an item so that it ends up at the given position among a parent's children
+     * @param {*} parentId - The parent id, or null for a top-level item
+     * @param {number} position - From 0 (first child) to the number of children (last)
+     * @param {Object} item - The new item; its parent and index properties are ignored
+     * @returns {{id: *, parentId: *, index: string}[]} The writes to persist
+     */
+    insertAt(parentId, position, item) {
+        const siblings = this._childrenOf(parentId);
+        this._checkPosition(position, siblings.length, 'position');
+        const id = this._checkNewItem(item, 'item');
+        const { prevIndex, nextIndex } = this._boundsAt(siblings, position);
+
+        const index = this._indexer.generateFractionalIndex(prevIndex, nextIndex);
+        const copy = withFields(item, { [this._parentKey]: parentId, [this._indexKey]: index });
+        siblings.splice(position, 0, copy);
+        this._byId.set(id, copy);
+        this._children.set(id, []);
+        return [{ id, parentId, index }];
+    }
+
+    /**
+     * Inserts an item as the last child of a parent
+     * @param {*} parentId - The parent id, or null for a top-level item
+     * @param {Object} item - The new item
+     * @returns {{id: *, parentId: *, index: string}[]} The writes to persist
+     */
+    appendChild(parentId, item) {
+        return this.insertAt(parentId, this._childrenOf(parentId).length, item);
+    }
+
+    /**
+     * Inserts an item as the sibling directly before an existing one
+     * @param {*} id - Id of the item to insert before
+     * @param {Object} item - The new item
+     * @returns {{id: *, parentId: *, index: string}[]} The writes to persist
+     */
+    insertBefore(id, item) {
+        const { parentId, position } = this._locate(id);
+        return this.insertAt(parentId, position, item);
+    }
+
+    /**
+     * Inserts an item as the sibling directly after an existing one
+     * @param {*} id - Id of the item to insert after
+     * @param {Object} item - The new item
+     * @returns {{id: *, parentId: *, index: string}[]} The writes to persist
+     */
+    insertAfter(id, item) {
+        const { parentId, position } = this._locate(id);
+        return this.insertAt(parentId, position + 1, item);
+    }
+
+    /**
+     * Moves items, with their subtrees, so they end up together under a parent in the given order
+     * @param {Array} ids - Ids of the items to move; none may be a descendant of another
+     * @param {*} parentId - The new parent id, or null for the top level; must not be inside a moved subtree
+     * @param {number} targetPosition - Position of the first moved item among the parent's
+     *   remaining children
+     * @returns {{id: *, parentId: *, index: string}[]} The writes to persist, one per moved item;
+     *   descendants keep their keys
+     */
+    move(ids, parentId, targetPosition) {
+        const moving = this._movingItems(ids);
+        const siblings = this._childrenOf(parentId);
+        ids.forEach(id => {
+            const ancestor = this._findAncestor(id, moving);
+            if (ancestor !== undefined) {
+                throw new InvalidArgumentError(`Invalid ids: ${describeValue(id)} is inside the subtree of ${describeValue(ancestor)}`, 'ids', ids);
+            }
+        });
+        if (parentId !== null && (moving.has(parentId) || this._findAncestor(parentId, moving) !== undefined)) {
+            throw new InvalidArgumentError(`Invalid parentId: ${describeValue(parentId)} is inside a moved subtree`, 'parentId', parentId);
+        }
+
+        const remaining = siblings.filter(item => !moving.has(item[this._idKey]));
+        this._checkPosition(targetPosition, remaining.length, 'targetPosition');
+        if (ids.length === 0) return [];
+
+        const { prevIndex, nextIndex } = this._boundsAt(remaining, targetPosition);
+        const indexes = this._indexer.generateRelocationIndexes(prevIndex, nextIndex, ids.length);
+
+        const moved = ids.map((id, i) => {
+            const item = moving.get(id);
+            const oldSiblings = this._children.get(item[this._parentKey]);
+            if (oldSiblings !== siblings) oldSiblings.splice(oldSiblings.indexOf(item), 1);
+
+            const copy = withFields(item, { [this._parentKey]: parentId, [this._indexKey]: indexes[i] });
+            this._byId.set(id, copy);
+            return copy;
+        });
+        remaining.splice.apply(remaining, [targetPosition, 0].concat(moved));
+        this._children.set(parentId, remaining);
+        return ids.map((id, i) => ({ id, parentId, index: indexes[i] }));
+    }
+
+    /**
+     * Removes an item and its subtree. Siblings keep their indexes, so nothing needs to be written.
+     * @param {*} id - Id of the item to remove
+     * @returns {Object[]} The removed items in depth-first order, starting with the item itself
+     */
+    remove(id) {
+        const { parentId, position } = this._locate(id);
+        const removed = this.toArray(id);
+        this._children.get(parentId).splice(position, 1);
+        removed.forEach(item => {
+            this._byId.delete(item[this._idKey]);
+            this._children.delete(item[this._idKey]);
+        });
+        return removed;
+    }
+
+    /**
+     * Builds the composite key of an item: the keys of its ancestors and its own,
+     * joined by the separator. Sorting path keys byte by byte gives depth-first order.
+     * @param {*} id - The item id
+     * @returns {string} e.g. "0.5!0.25" for the child 0.25 of the top-level item 0.5
+     */
+    pathKey(id) {
+        const keys = [];
+        let item = this._byId.get(this._checkExisting(id));
+        while (item !== undefined) {
+            keys.unshift(this._pathSegment(item[this._indexKey]));
+            item = this._byId.get(item[this._parentKey]);
+        }
+        return keys.join(this._separator);
+    }
+
+    /**
+     * Builds the path keys of a subtree, e.g. to rewrite a materialized path
+     * column after moving it
+     * @param {*} [id=null] - Only include this item and its descendants
+     * @returns {{id: *, path: string}[]} One entry per item, in depth-first order
+     */
+    pathKeys(id = null) {
+        const parentId = id === null ? null : this._byId.get(this._checkExisting(id))[this._parentKey];
+        const prefix = parentId === null ? '' : this.pathKey(parentId) + this._separator;
+        const paths = new Map();
+        return this.toArray(id).map(item => {
+            const parentPath = paths.has(item[this._parentKey]) ? paths.get(item[this._parentKey]) + this._separator : prefix;
+            const path = parentPath + this._pathSegment(item[this._indexKey]);
+            paths.set(item[this._idKey], path);
+            return { id: item[this._idKey], path };
+        });
+    }
+
+    _pathSegment(index) {
+        if (this._alphabet !== 'decimal') return index;
+        // Legacy unprefixed keys ("12.5") do not sort byte by byte, and trailing zeros carry no order
+        const value = decodeIndex(index);
+        return encodeIndex(value.indexOf('.') === -1 ? value : value.replace(/\.?0+$/, ''));
+    }
+
+    _childrenOf(parentId) {
+        if (parentId !== null) this._checkExisting(parentId, 'parentId');
+        return this._children.get(parentId);
+    }
+
+    // Returns the closest ancestor of id that is a key of the map, or undefined
+    _findAncestor(id, map) {
+        let parentId = this._byId.get(id)[this._parentKey];
+        while (parentId !== null) {
+            if (map.has(parentId)) return parentId;
+            parentId = this._byId.get(parentId)[this._parentKey];
+        }
+        return undefined;
+    }
+
+    _locate(id) {
+        const item = this._byId.get(this._checkExisting(id));
+        const parentId = item[this._parentKey];
+        return { parentId, position: this._children.get(parentId).indexOf(item) };
+    }
+
+    _parentIdOf(item) {
+        const parentId = item[this._parentKey];
+        return parentId === undefined ? null : parentId;
+    }
+
+    _checkSeparator(separator) {
+        const lowest = LOWEST_KEY_CHARS[this._alphabet];
+        if (typeof separator !== 'string' || separator.length !== 1 || separator >= lowest) {
+            throw new InvalidArgumentError(
+                `Invalid separator option: expected a single character sorting below ${describeValue(lowest)}, got ${describeValue(separator)}`,
+                'separator',
+                separator
+            );
+        }
+        return separator;
+    }
+}
+
+module.exports = {
+    OrderedTree
+};
@@ -0,0 +1,57 @@
+/**
+ * Small seeded pseudo-random number generator.
+ *
+ * Jitter only needs to spread concurrent inserts apart, not to be
+ * unpredictable, so a 32-bit generator is plenty and keeps snapshot tests and
+ * session replays reproducible.
+ */
+
+const { InvalidArgumentError, describeValue } = require('./errors');
+
+// Math.imul is ES2015; fall back to 16-bit halves on older engines
+const imul = Math.imul || function imul(a, b) {
+    const aHigh = (a >>> 16) & 0xffff;
+    const aLow = a & 0xffff;
+    const bHigh = (b >>> 16) & 0xffff;
+    const bLow = b & 0xffff;
+    return ((aLow * bLow) + (((aHigh * bLow + aLow * bHigh) << 16) >>> 0)) | 0;
+};
+
+/**
+ * Hashes a string seed to a 32-bit integer (FNV-1a)
+ * @param {string} seed - The seed text
+ * @returns {number} An unsigned 32-bit integer
+ */
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a deterministic random source with the same contract as Math.random
+ * @param {number|string} seed - Any number or string; equal seeds yield equal sequences
+ * @returns {function(): number} A function returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+    if (typeof seed !== 'number' && typeof seed !== 'string') {
+        throw new InvalidArgumentError(`Invalid seed: expected a number or string, got ${describeValue(seed)}`, 'seed', seed);
+    }
+    let state = typeof seed === 'string' ? hashSeed(seed) : Number(seed) >>> 0;
+
+    // mulberry32
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = imul(t ^ (t >>> 15), t | 1);
+        t ^= t + imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = {
+    createSeededRandom
+};
@@ -0,0 +1,176 @@
+const { compareDecimal, addDecimal, subtractDecimal, distributeDecimal } = require('./decimal');
+const { encodeIndex, decodeIndex, decodeBound } = require('./encoding');
+const { DEFAULT_MIN_SAFE_GAP } = require('./indexer');
+const { InvalidRangeError, InvalidArgumentError, describeValue } = require('./errors');
+
+// Gaps at or below this are where generation leaves the fast float path
+// (the indexer's default minSafeGap)
+const DEFAULT_MIN_GAP = DEFAULT_MIN_SAFE_GAP;
+// Regular generation stays below ~24 characters; longer keys come from
+// repeated digit-by-digit subdivision
+const DEFAULT_MAX_LENGTH = 32;
+// Respread neighborhoods until every item has at least this much room
+const DEFAULT_TARGET_GAP = 1e-6;
+// Room given to each item when a neighborhood reaches the end of the list
+const TAIL_STEP = 0.001;
+
+/**
+ * Reads the thresholds that decide when a neighborhood is crowded
+ * @param {Object} options - The caller's options
+ * @returns {{minGap: number, maxLength: number, targetGap: number}} The thresholds, with defaults filled in
+ */
+function readThresholds(options) {
+    const { minGap = DEFAULT_MIN_GAP, maxLength = DEFAULT_MAX_LENGTH, targetGap = DEFAULT_TARGET_GAP } = options;
+    [['minGap', minGap], ['targetGap', targetGap]].forEach(([name, value]) => {
+        if (typeof value !== 'number' || !(value > 0 && isFinite(value))) {
+            throw new InvalidArgumentError(`Invalid ${name} option: expected a positive number, got ${describeValue(value)}`, name, value);
+        }
+    });
+    if (typeof maxLength !== 'number' || Math.floor(maxLength) !== maxLength || maxLength < 1) {
+        throw new InvalidArgumentError(`Invalid maxLength option: expected a positive integer, got ${describeValue(maxLength)}`, 'maxLength', maxLength);
+    }
+    return { minGap, maxLength, targetGap };
+}
+
+function isCrowded(lowerValue, upperValue, minGap) {
+    return Number(subtractDecimal(upperValue, lowerValue)) <= minGap;
+}
+
+/**
+ * Checks whether the gap between two adjacent indexes is too small to keep
+ * inserting into comfortably
+ * @param {string|null} prevIndex - The index before the gap (null for the start of the list)
+ * @param {string|null} nextIndex - The index after the gap (null for the end of the list)
+ * @param {Object} [options]
+ * @param {number} [options.minGap=1e-9] - Gaps at or below this size need rebalancing
+ * @param {number} [options.maxLength=32] - Indexes longer than this need rebalancing
+ * @returns {boolean} True if the neighborhood should be rebalanced
+ */
+function needsRebalance(prevIndex, nextIndex, options = {}) {
+    const { minGap, maxLength } = readThresholds(options);
+    const prevValue = decodeBound(prevIndex, 'prevIndex');
+    const nextValue = decodeBound(nextIndex, 'nextIndex');
+
+    if (prevValue !== null && nextValue !== null && compareDecimal(prevValue, nextValue) > 0) {
+        throw new InvalidRangeError(prevIndex, nextIndex);
+    }
+
+    if ((prevIndex !== null && prevIndex.length > maxLength) ||
+        (nextIndex !== null && nextIndex.length > maxLength)) {
+        return true;
+    }
+    // Appending always has room, and so does prepending below a negative key
+    if (nextValue === null || (prevValue === null && compareDecimal(nextValue, '0') < 0)) return false;
+
+    return isCrowded(prevValue === null ? '0' : prevValue, nextValue, minGap);
+}
+
+/**
+ * Finds crowded regions of a sorted list and respreads only their neighborhood
+ * @param {string[]} sortedIndexes - The current indexes of the list, in ascending order
+ * @param {Object} [options]
+ * @param {number} [options.minGap=1e-9] - Gaps at or below this size are crowded
+ * @param {number} [options.maxLength=32] - Indexes longer than this are rewritten
+ * @param {number} [options.targetGap=1e-6] - Minimum room per item after respreading
+ * @returns {{position: number, oldIndex: string, newIndex: string}[]} The updates to apply, in list order
+ */
+function rebalance(sortedIndexes, options = {}) {
+    if (!Array.isArray(sortedIndexes)) {
+        throw new InvalidArgumentError(`Invalid sortedIndexes: expected an array, got ${describeValue(sortedIndexes)}`, 'sortedIndexes', sortedIndexes);
+    }
+    const { minGap, maxLength, targetGap } = readThresholds(options);
+
+    const values = sortedIndexes.map(index => decodeIndex(index));
+    const total = values.length;
+
+    for (let i = 1; i < total; i++) {
+        if (compareDecimal(values[i - 1], values[i]) > 0) {
+            throw new InvalidRangeError(
+                sortedIndexes[i - 1],
+                sortedIndexes[i],
+                `Indexes must be sorted: ${sortedIndexes[i - 1]} comes before ${sortedIndexes[i]}`
+            );
+        }
+    }
+
+    // A list that already reaches below zero has an open start, like its end
+    const openStart = total > 0 && compareDecimal(values[0], '0') < 0;
+
+    // Mark every item that is too close to its predecessor (or to zero) or too long
+    const crowded = values.map((value, i) => {
+        if (sortedIndexes[i].length > maxLength) return true;
+        if (i > 0) return isCrowded(values[i - 1], value, minGap);
+        return !openStart && isCrowded('0', value, minGap);
+    });
+
+    const upperBound = end => (end === total - 1 ? null : values[end + 1]);
+    const lowerBound = (start, end) => {
+        if (start > 0) return values[start - 1];
+        if (!openStart) return '0';
+        // Step back from the neighborhood's upper end, one TAIL_STEP per item
+        const upper = upperBound(end);
+        return subtractDecimal(upper === null ? values[end] : upper, ((end - start + 2) * TAIL_STEP).toFixed(3));
+    };
+
+    // A neighborhood is roomy enough once its bounds leave targetGap per item;
+    // one that reaches an open end of the list can always grow into it
+    const hasRoom = (start, end) => {
+        const upper = upperBound(end);
+        if (upper === null || (start === 0 && openStart)) return true;
+        const gap = Number(subtractDecimal(upper, lowerBound(start, end)));
+        return gap / (end - start + 2) >= targetGap;
+    };
+
+    // Grow each crowded run outwards, one neighbor at a time, merging runs that meet
+    const windows = [];
+    for (let i = 0; i < total; i++) {
+        if (!crowded[i]) continue;
+
+        let start = i;
+        let end = i;
+        while (end + 1 < total && crowded[end + 1]) end++;
+        i = end;
+
+        let growRight = true;
+        for (;;) {
+            const previous = windows[windows.length - 1];
+            if (previous && start <= previous.end + 1) {
+                start = previous.start;
+                windows.pop();
+            }
+            if (hasRoom(start, end)) break;
+
+            if ((growRight && end < total - 1) || start === 0) {
+                end++;
+            } else {
+                start--;
+            }
+            growRight = !growRight;
+        }
+        windows.push({ start, end });
+        i = Math.max(i, end);
+    }
+
+    const updates = [];
+    windows.forEach(({ start, end }) => {
+        const count = end - start + 1;
+        const lower = lowerBound(start, end);
+        const upper = upperBound(end) || addDecimal(lower, ((count + 1) * TAIL_STEP).toFixed(3));
+
+        distributeDecimal(lower, upper, count).forEach((value, offset) => {
+            const position = start + offset;
+            const newIndex = encodeIndex(value);
+            if (newIndex !== sortedIndexes[position]) {
+                updates.push({ position, oldIndex: sortedIndexes[position], newIndex });
+            }
+        });
+    });
+
+    return updates;
+}
+
+module.exports = {
+    needsRebalance,
+    rebalance,
+    readThresholds
+};
@@ -0,0 +1,197 @@
+/**
+ * SQL for persisting index changes.
+ *
+ * Statements are parameterized - values never end up in the SQL text - and
+ * batched as one `UPDATE ... SET index = CASE ... END` per batch, which all
+ * three dialects support. The collation helpers cover the other half of the
+ * problem: a database sorting text with a locale-aware collation orders keys
+ * differently from the library, so the index column must compare bytes.
+ */
+
+const { InvalidArgumentError, describeValue } = require('./errors');
+
+const DIALECTS = {
+    postgres: {
+        quote: name => `"${name.replace(/"/g, '""')}"`,
+        placeholder: number => `$${number}`,
+        collation: 'COLLATE "C"',
+        columnType: () => 'text COLLATE "C"',
+        // ALTER COLUMN ... TYPE leaves NOT NULL and defaults as they are
+        alterColumn: (table, column) => `ALTER TABLE ${table} ALTER COLUMN ${column} TYPE text COLLATE "C"`
+    },
+    mysql: {
+        quote: name => `\`${name.replace(/`/g, '``')}\``,
+        placeholder: () => '?',
+        // A COLLATE has to match the column's character set, so this one assumes the ascii column below
+        collation: 'COLLATE ascii_bin',
+        // Keys are ASCII, so a binary ASCII column is both exact and compact
+        columnType: length => `VARCHAR(${length}) CHARACTER SET ascii COLLATE ascii_bin`,
+        // MODIFY replaces the whole column definition, so nullability has to be spelled out again
+        alterColumn: (table, column, length, nullable) =>
+            `ALTER TABLE ${table} MODIFY ${column} VARCHAR(${length}) CHARACTER SET ascii COLLATE ascii_bin ${nullable ? 'NULL' : 'NOT NULL'}`
+    },
+    sqlite: {
+        quote: name => `"${name.replace(/"/g, '""')}"`,
+        placeholder: () => '?',
+        collation: 'COLLATE BINARY',
+        columnType: () => 'TEXT COLLATE BINARY',
+        // BINARY is SQLite's default collation, and columns cannot be altered in place
+        alterColumn: () => null
+    }
+};
+
+const DEFAULT_BATCH_SIZE = 500;
+// Matches the indexer's default maxKeyLength
+const DEFAULT_KEY_LENGTH = 255;
+// The most an ascii VARCHAR can hold in MySQL
+const MAX_VARCHAR_LENGTH = 65535;
+
+function getDialect(name) {
+    if (!Object.prototype.hasOwnProperty.call(DIALECTS, name)) {
+        throw new InvalidArgumentError(
+            `Invalid dialect: expected "postgres", "mysql" or "sqlite", got ${describeValue(name)}`,
+            'dialect',
+            name
+        );
+    }
+    return DIALECTS[name];
+}
+
+function checkName(value, argument) {
+    if (typeof value !== 'string' || value === '') {
+        throw new InvalidArgumentError(`Invalid ${argument}: expected a non-empty string, got ${describeValue(value)}`, argument, value);
+    }
+    return value;
+}
+
+// Table names may be schema-qualified ("public.tasks"); each part is quoted on its own
+function quoteTable(dialect, table) {
+    return checkName(table, 'table').split('.').map(dialect.quote).join('.');
+}
+
+/**
+ * Builds batched, parameterized UPDATE statements for a set of index changes
+ * @param {{id: *, newIndex: string, oldIndex: string}[]} changes - One entry per row; `index` is accepted
+ *   instead of `newIndex`, so moveItems and OrderedList results can be passed as they are
+ * @param {Object} options
+ * @param {string} options.dialect - 'postgres', 'mysql' or 'sqlite'
+ * @param {string} options.table - Table to update, optionally schema-qualified
+ * @param {string} [options.idColumn='id'] - Primary key column
+ * @param {string} [options.indexColumn='index'] - Column holding the index
+ * @param {number} [options.batchSize=500] - Rows per statement
+ * @param {boolean} [options.checkOldIndex=false] - Only update rows whose index still equals oldIndex,
+ *   so a concurrent change to a row is not overwritten
+ * @returns {{text: string, values: Array}[]} Statements to run in order, ideally in one transaction
+ */
+function generateUpdateStatements(changes, options = {}) {
+    const {
+        dialect: dialectName,
+        table,
+        idColumn = 'id',
+        indexColumn = 'index',
+        batchSize = DEFAULT_BATCH_SIZE,
+        checkOldIndex = false
+    } = options;
+    const dialect = getDialect(dialectName);
+    const quotedTable = quoteTable(dialect, table);
+    const id = dialect.quote(checkName(idColumn, 'idColumn'));
+    const index = dialect.quote(checkName(indexColumn, 'indexColumn'));
+
+    if (typeof batchSize !== 'number' || Math.floor(batchSize) !== batchSize || batchSize < 1) {
+        throw new InvalidArgumentError(`Invalid batchSize: expected a positive integer, got ${describeValue(batchSize)}`, 'batchSize', batchSize);
+    }
+    if (!Array.isArray(changes)) {
+        throw new InvalidArgumentError(`Invalid changes: expected an array, got ${describeValue(changes)}`, 'changes', changes);
+    }
+
+    const rows = changes.map((change, position) => {
+        const newIndex = change && (change.newIndex !== undefined ? change.newIndex : change.index);
+        if (!change || change.id === undefined || change.id === null) {
+            throw new InvalidArgumentError(
+                `Invalid changes: entry ${position} has no id (map rebalance positions to row ids first)`,
+                'changes',
+                change
+            );
+        }
+        if (typeof newIndex !== 'string') {
+            throw new InvalidArgumentError(`Invalid changes: entry ${position} has no newIndex`, 'changes', change);
+        }
+        if (checkOldIndex && typeof change.oldIndex !== 'string') {
+            throw new InvalidArgumentError(`Invalid changes: entry ${position} has no oldIndex to check`, 'changes', change);
+        }
+        return { id: change.id, newIndex, oldIndex: change.oldIndex };
+    });
+
+    const statements = [];
+    for (let start = 0; start < rows.length; start += batchSize) {
+        const values = [];
+        const param = value => {
+            values.push(value);
+            return dialect.placeholder(values.length);
+        };
+
+        const cases = rows.slice(start, start + batchSize).map(row => {
+            const condition = checkOldIndex
+                ? `${id} = ${param(row.id)} AND ${index} = ${param(row.oldIndex)}`
+                : `${id} = ${param(row.id)}`;
+            return `WHEN ${condition} THEN ${param(row.newIndex)}`;
+        });
+        const ids = rows.slice(start, start + batchSize).map(row => param(row.id));
+
+        statements.push({
+            text: `UPDATE ${quotedTable} SET ${index} = CASE ${cases.join(' ')} ELSE ${index} END WHERE ${id} IN (${ids.join(', ')})`,
+            values
+        });
+    }
+    return statements;
+}
+
+/**
+ * Recommends how to make the database order keys exactly like the library,
+ * i.e. by comparing bytes instead of using a locale-aware collation
+ * @param {Object} options
+ * @param {string} options.dialect - 'postgres', 'mysql' or 'sqlite'
+ * @param {string} options.table - Table holding the index column
+ * @param {string} [options.indexColumn='index'] - Column holding the index
+ * @param {number} [options.maxKeyLength=255] - Longest key the column must hold (the VARCHAR length in MySQL)
+ * @param {boolean} [options.nullable=true] - Whether the MySQL migration keeps the column nullable;
+ *   pass false for a NOT NULL column, since MODIFY would otherwise drop the constraint
+ * @returns {{orderBy: string, columnType: string, migration: string|null}} An ORDER BY clause comparing
+ *   bytes, the column type to use for new tables, and a statement converting an existing column
+ *   (null for SQLite, whose default collation already compares bytes)
+ */
+function recommendCollation(options = {}) {
+    const {
+        dialect: dialectName,
+        table,
+        indexColumn = 'index',
+        maxKeyLength = DEFAULT_KEY_LENGTH,
+        nullable = true
+    } = options;
+    const dialect = getDialect(dialectName);
+    const quotedTable = quoteTable(dialect, table);
+    const index = dialect.quote(checkName(indexColumn, 'indexColumn'));
+
+    if (typeof maxKeyLength !== 'number' || Math.floor(maxKeyLength) !== maxKeyLength ||
+        maxKeyLength < 1 || maxKeyLength > MAX_VARCHAR_LENGTH) {
+        throw new InvalidArgumentError(
+            `Invalid maxKeyLength: expected an integer from 1 to ${MAX_VARCHAR_LENGTH}, got ${describeValue(maxKeyLength)}`,
+            'maxKeyLength',
+            maxKeyLength
+        );
+    }
+    if (typeof nullable !== 'boolean') {
+        throw new InvalidArgumentError(`Invalid nullable: expected a boolean, got ${describeValue(nullable)}`, 'nullable', nullable);
+    }
+
+    return {
+        orderBy: `ORDER BY ${index} ${dialect.collation}`,
+        columnType: dialect.columnType(maxKeyLength),
+        migration: dialect.alterColumn(quotedTable, index, maxKeyLength, nullable)
+    };
+}
+
+module.exports = {
+    generateUpdateStatements,
+    recommendCollation
+};
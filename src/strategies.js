@@ -0,0 +1,61 @@
+/**
+ * Index strategies: one interface over the ways keys can be written and
+ * generated, so each list type can pick its own.
+ *
+ * A strategy is an object with six methods. Bounds are keys, or null for an
+ * open end of the list:
+ *
+ *   between(prevIndex, nextIndex)            A key between two bounds (both null for an empty list)
+ *   before(nextIndex)                        A key before the first one
+ *   after(prevIndex)                         A key after the last one
+ *   bulk(prevIndex, nextIndex, count, opts)  count keys between two bounds, in list order;
+ *                                            opts.layout is 'spread' or 'append'
+ *   compare(a, b)                            Negative, zero or positive, in key order
+ *   isValid(key)                             Whether a string is a key of this strategy
+ *
+ * createStrategy builds the built-in ones. Any object with these methods can
+ * be given to createIndexer as its strategy option, or to setDefaultStrategy,
+ * and moveItems and resolveDuplicates work on top of it.
+ */
+
+const { createIndexer, readStrategy } = require('./indexer');
+const { compareIndexes } = require('./compare');
+const { isIndex } = require('./encoding');
+const { isCompactIndex } = require('./compact');
+const { InvalidArgumentError, describeValue } = require('./errors');
+
+/**
+ * Creates one of the built-in strategies
+ * @param {string} [name='numeric'] - 'numeric' (float bisection with jitter, exact digit arithmetic for
+ *   tight gaps), 'string-digit' (exact digit arithmetic only) or 'compact' (base-62 or base-95 keys)
+ * @param {Object} [options] - createIndexer options other than strategy, e.g. seed, siteId, order or alphabet;
+ *   between, before, after and bulk also take the options of generateFractionalIndex and generateBulkIndexes
+ * @returns {{name: string, between: Function, before: Function, after: Function, bulk: Function,
+ *   compare: Function, isValid: Function}} The strategy
+ */
+function createStrategy(name = 'numeric', options = {}) {
+    if (typeof name !== 'string') {
+        throw new InvalidArgumentError(`Invalid strategy: expected "numeric", "string-digit" or "compact", got ${describeValue(name)}`, 'strategy', name);
+    }
+    const indexerOptions = {};
+    Object.keys(options).forEach(key => {
+        indexerOptions[key] = options[key];
+    });
+    indexerOptions.strategy = name;
+    const indexer = createIndexer(indexerOptions);
+    const { alphabet } = readStrategy(indexerOptions);
+
+    return {
+        name,
+        between: (prevIndex, nextIndex, generateOptions) => indexer.generateFractionalIndex(prevIndex, nextIndex, generateOptions),
+        before: (nextIndex, generateOptions) => indexer.generateFractionalIndex(null, nextIndex, generateOptions),
+        after: (prevIndex, generateOptions) => indexer.generateFractionalIndex(prevIndex, null, generateOptions),
+        bulk: (prevIndex, nextIndex, count, bulkOptions) => indexer.generateBulkIndexes(prevIndex, nextIndex, count, bulkOptions),
+        compare: (a, b) => compareIndexes(a, b, { alphabet }),
+        isValid: key => (alphabet === 'decimal' ? isIndex(key) : isCompactIndex(key, alphabet))
+    };
+}
+
+module.exports = {
+    createStrategy
+};
@@ -0,0 +1,113 @@
+const { compareDecimal, subtractDecimal } = require('./decimal');
+const { encodeIndex, decodeIndex } = require('./encoding');
+const { needsRebalance, readThresholds } = require('./rebalance');
+const { readIndex } = require('./compare');
+const { InvalidArgumentError, describeValue, assertPropertyName } = require('./errors');
+
+/**
+ * Audits a persisted list of indexes and reports everything that could break ordering
+ * @param {Array<Object|string>} list - Stored rows (or bare index strings), in any order
+ * @param {Object} [options]
+ * @param {string} [options.key='index'] - Property holding the index on each row
+ * @param {number} [options.minGap=1e-9] - Gap size treated as exhausted when computing headroom
+ * @returns {Object} A JSON-serializable report with `valid`, the problems found and gap statistics
+ */
+function validateIndexes(list, options = {}) {
+    if (!Array.isArray(list)) {
+        throw new InvalidArgumentError(`Invalid list: expected an array, got ${describeValue(list)}`, 'list', list);
+    }
+    const { key = 'index' } = options;
+    assertPropertyName(key, 'key');
+    // The same threshold rebalance uses: the indexer's default minSafeGap, below which generation
+    // leaves the float path
+    const { minGap } = readThresholds({ minGap: options.minGap });
+
+    const entries = [];
+    const invalid = [];
+    const nonCanonical = [];
+
+    list.forEach((item, position) => {
+        const index = readIndex(item, key);
+        let value;
+        let canonical;
+        try {
+            // Numeric columns are reported as non-canonical rather than invalid
+            value = decodeIndex(typeof index === 'number' ? String(index) : index);
+            canonical = encodeIndex(value);
+        } catch (error) {
+            invalid.push({ position, index: index === undefined ? null : index });
+            return;
+        }
+
+        if (index !== canonical) {
+            nonCanonical.push({ position, index, canonical });
+        }
+        entries.push({ position, index: String(index), value });
+    });
+
+    const byValue = entries.slice().sort((a, b) => compareDecimal(a.value, b.value) || a.position - b.position);
+    const byString = entries.slice().sort((a, b) => (a.index < b.index ? -1 : a.index > b.index ? 1 : 0));
+
+    // Numerically equal indexes, even if spelled differently ("0.5" and "0.50")
+    const duplicates = [];
+    for (let i = 0; i < byValue.length; i++) {
+        let end = i;
+        while (end + 1 < byValue.length && compareDecimal(byValue[i].value, byValue[end + 1].value) === 0) end++;
+        if (end > i) {
+            duplicates.push({
+                index: byValue[i].index,
+                positions: byValue.slice(i, end + 1).map(entry => entry.position)
+            });
+        }
+        i = end;
+    }
+
+    // Neighbors in byte order that are reversed in numeric order - these rows
+    // sort differently in a database ORDER BY than in the library
+    const orderMismatches = [];
+    for (let i = 1; i < byString.length; i++) {
+        const first = byString[i - 1];
+        const second = byString[i];
+        if (compareDecimal(first.value, second.value) > 0) {
+            orderMismatches.push({
+                positions: [first.position, second.position],
+                indexes: [first.index, second.index]
+            });
+        }
+    }
+
+    // Smallest gap between distinct neighbors, and how often it can still be halved
+    let minGapEntry = null;
+    let gapsNeedingRebalance = 0;
+    for (let i = 1; i < byValue.length; i++) {
+        const prev = byValue[i - 1];
+        const next = byValue[i];
+        if (compareDecimal(prev.value, next.value) === 0) continue;
+
+        const size = subtractDecimal(next.value, prev.value);
+        if (minGapEntry === null || compareDecimal(size, minGapEntry.size) < 0) {
+            minGapEntry = { size, prevIndex: prev.index, nextIndex: next.index };
+        }
+        if (needsRebalance(prev.index, next.index, { minGap })) gapsNeedingRebalance++;
+    }
+
+    const headroom = minGapEntry === null
+        ? null
+        : Math.max(0, Math.floor(Math.log(Number(minGapEntry.size) / minGap) / Math.LN2));
+
+    return {
+        valid: invalid.length === 0 && nonCanonical.length === 0 && duplicates.length === 0 && orderMismatches.length === 0,
+        count: list.length,
+        invalid,
+        nonCanonical,
+        duplicates,
+        orderMismatches,
+        minGap: minGapEntry,
+        headroom,
+        gapsNeedingRebalance
+    };
+}
+
+module.exports = {
+    validateIndexes
+};
@@ -0,0 +1,162 @@
+const assert = require('assert');
+const {
+    createIndexer,
+    OrderedList,
+    decodeIndex,
+    InvalidArgumentError
+} = require('../src/index');
+const { compareDecimal } = require('../src/decimal');
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+function longest(keys) {
+    return Math.max.apply(null, keys.map(key => key.length));
+}
+
+function assertAscending(keys) {
+    for (let i = 1; i < keys.length; i++) {
+        assert.ok(compareDecimal(decodeIndex(keys[i - 1]), decodeIndex(keys[i])) < 0, `${keys[i - 1]} should sort before ${keys[i]}`);
+    }
+}
+
+// Types n items one after another below the same anchor, like a user pressing Enter in a list
+function typeAfter(indexer, prev, next, n) {
+    const keys = [];
+    for (let i = 0; i < n; i++) {
+        prev = indexer.generateFractionalIndex(prev, next);
+        keys.push(prev);
+    }
+    return keys;
+}
+
+// Inserts n items one above another, each right before the item inserted last
+function typeBefore(indexer, prev, next, n) {
+    const keys = [];
+    for (let i = 0; i < n; i++) {
+        next = indexer.generateFractionalIndex(prev, next);
+        keys.unshift(next);
+    }
+    return keys;
+}
+
+function testSequentialInserts() {
+    console.log('\n🧪 === Testing Adaptive Allocation ===');
+
+    const indexer = createIndexer({ allocation: 'adaptive', jitter: false });
+
+    // The first insert bisects; the run that follows stays close to the edge being extended
+    const after = typeAfter(indexer, '0.1', '0.2', 4);
+    assert.deepStrictEqual(after, ['0.15', '0.166', '0.1745', '0.1796']);
+    assertAscending(['0.1'].concat(after, ['0.2']));
+
+    const before = typeBefore(createIndexer({ allocation: 'adaptive', jitter: false }), '0.1', '0.2', 4);
+    assert.deepStrictEqual(before, ['0.1197', '0.1247', '0.133', '0.15']);
+
+    // Runs at the start of the list shrink toward zero far slower than halving
+    const prepends = typeBefore(createIndexer({ allocation: 'adaptive', jitter: false }), null, '0.5', 1000);
+    assertAscending(prepends);
+    assert.ok(longest(prepends) <= 14, `1000 prepends need ${longest(prepends)} characters`);
+
+    // Anything else breaks the run and bisects again
+    const broken = createIndexer({ allocation: 'adaptive', jitter: false });
+    const first = broken.generateFractionalIndex('0.1', '0.2');
+    broken.generateFractionalIndex('0.3', '0.4');
+    assert.strictEqual(broken.generateFractionalIndex(first, '0.2'), '0.18');
+
+    // Midpoint allocation (the default) is unchanged
+    assert.deepStrictEqual(typeAfter(createIndexer({ jitter: false }), '0.1', '0.2', 3), ['0.15', '0.18', '0.19']);
+    console.log(`✅ Runs of inserts keep their keys next to the edge being extended`);
+}
+
+function testModes() {
+    console.log('\n🧪 === Testing Adaptive Allocation Across Modes ===');
+
+    // Jitter, site ids and compact keys keep their guarantees inside a run
+    const jittered = typeAfter(createIndexer({ allocation: 'adaptive', seed: 4, siteId: 7 }), '0.1', '0.2', 300);
+    assertAscending(['0.1'].concat(jittered, ['0.2']));
+
+    const compact = typeAfter(createIndexer({ allocation: 'adaptive', alphabet: 'base62', jitter: false }), '0V', '11', 300);
+    assert.deepStrictEqual(compact.slice().sort(), compact);
+    assert.ok(longest(compact) <= 5, `300 compact inserts need ${longest(compact)} characters`);
+
+    // In descending order the edge follows the list, not the keys
+    const descending = typeAfter(createIndexer({ allocation: 'adaptive', order: 'descending', jitter: false }), '0.2', '0.1', 4);
+    assert.deepStrictEqual(descending, ['0.15', '0.133', '0.1247', '0.1197']);
+
+    // OrderedList passes the option on, so typing into a list is detected as a run
+    const list = new OrderedList([{ id: 0, index: '0.1' }, { id: 'end', index: '0.2' }], { allocation: 'adaptive', jitter: false });
+    for (let i = 1; i <= 200; i++) list.insertAfter(i - 1, { id: i });
+    assert.strictEqual(list.toArray()[200].id, 200);
+    assert.ok(longest(list.toArray().map(item => item.index)) <= 10);
+    console.log('✅ Jitter, site ids, compact keys, descending lists and OrderedList all allocate adaptively');
+}
+
+// Key length after n sequential inserts between two neighbors, for both allocations
+function testBenchmark() {
+    console.log('\n🧪 === Benchmark: Key Length of Sequential Inserts ===');
+
+    const sizes = [10, 100, 1000, 10000];
+    const rows = [];
+    sizes.forEach(n => {
+        const row = { inserts: n };
+        ['midpoint', 'adaptive'].forEach(allocation => {
+            // Bisection doubles the work per digit; cap it where it is already clearly linear
+            const count = allocation === 'midpoint' ? Math.min(n, 1000) : n;
+            const started = Date.now();
+            const keys = typeAfter(createIndexer({ allocation, seed: 11 }), '0.1', '0.2', count);
+            row[allocation] = count === n ? longest(keys) : null;
+            row[`${allocation} ms`] = count === n ? Date.now() - started : null;
+        });
+        rows.push(row);
+    });
+    console.table(rows);
+
+    // Bisection spends a digit every ~3.3 inserts; adaptive runs about two digits per tenfold
+    const byCount = {};
+    rows.forEach(row => {
+        byCount[row.inserts] = row;
+    });
+    assert.ok(byCount[1000].midpoint > 300, 'midpoint allocation grows linearly');
+    assert.ok(byCount[10000].adaptive - byCount[10].adaptive <= 8, 'adaptive allocation grows logarithmically');
+    assert.ok(byCount[10000].adaptive <= 30);
+    console.log(`✅ 10000 sequential inserts need ${byCount[10000].adaptive} characters (midpoint: ${byCount[1000].midpoint} after 1000)`);
+}
+
+function testInvalidOptions() {
+    console.log('\n🧪 === Testing Allocation Option Validation ===');
+
+    [() => createIndexer({ allocation: 'smart' }), () => new OrderedList([], { allocation: true })].forEach(fn => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError);
+        assert.strictEqual(error.argument, 'allocation');
+    });
+    console.log('✅ Unknown allocations raise InvalidArgumentError');
+}
+
+function runAllocationTests() {
+    console.log('🚀 Running Adaptive Allocation Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testSequentialInserts();
+        testModes();
+        testBenchmark();
+        testInvalidOptions();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All adaptive allocation tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runAllocationTests();
@@ -0,0 +1,288 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const acorn = require('acorn');
+const { createIndexer } = require('../src/index');
+const { version } = require('../package.json');
+
+const BUNDLE_PATH = path.join(__dirname, '..', 'dist', 'frac-indexes.es5.js');
+
+function testES5Syntax() {
+    console.log('\n🧪 === Testing ES5 Bundle Syntax ===');
+
+    const code = fs.readFileSync(BUNDLE_PATH, 'utf8');
+    assert.ok(code.startsWith(`/*! frac-indexes v${version} `), 'bundle should carry the package version');
+
+    // Throws on any ES2015+ syntax (let/const, arrows, classes, template literals, ...)
+    acorn.parse(code, { ecmaVersion: 5, sourceType: 'script' });
+    console.log(`✅ ${code.length} bytes parse as plain ES5`);
+}
+
+function testBrowserGlobal() {
+    console.log('\n🧪 === Testing the Browser Global ===');
+
+    // A bare script context, as in a browser: no module object, and no Math.imul as on older engines
+    const window = {};
+    const legacyMath = Object.create(Math, { imul: { value: undefined } });
+    const sandbox = { window, Math: legacyMath };
+    const before = Object.keys(sandbox).sort();
+    vm.runInContext(fs.readFileSync(BUNDLE_PATH, 'utf8'), vm.createContext(sandbox));
+
+    assert.deepStrictEqual(Object.keys(sandbox).sort(), before, 'the bundle should not leak helpers into the global scope');
+    assert.deepStrictEqual(Object.keys(window), ['FractionalIndexing']);
+
+    const lib = window.FractionalIndexing;
+    assert.strictEqual(typeof lib.generateFractionalIndex, 'function');
+    const first = lib.generateFractionalIndex(null, null);
+    const second = lib.generateFractionalIndex(first, null);
+    assert.ok(first < second);
+    console.log('✅ FractionalIndexing is the only global the bundle defines');
+}
+
+function testSeededParity() {
+    console.log('\n🧪 === Testing ES5 Bundle Against the Source ===');
+
+    const es5 = require('../dist/frac-indexes.es5');
+    assert.deepStrictEqual(Object.keys(es5).sort(), Object.keys(require('../src/index')).sort());
+
+    const run = indexer => {
+        const indexes = indexer.generateBulkIndexes(null, null, 20);
+        indexes.splice(5, 0, indexer.generateFractionalIndex(indexes[4], indexes[5]));
+        return indexes.concat(indexer.generateRelocationIndexes(indexes[0], indexes[1], 5));
+    };
+    assert.deepStrictEqual(run(es5.createIndexer({ seed: 'bundle' })), run(createIndexer({ seed: 'bundle' })));
+    console.log('✅ Same exports and same seeded output as src/');
+}
+
+// Runs fn and returns what it threw, failing if it did not throw
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+// Types one key after another, each right after the key typed last
+function typeAfter(indexer, prev, next, n) {
+    const keys = [];
+    for (let i = 0; i < n; i++) {
+        prev = indexer.generateFractionalIndex(prev, next);
+        keys.push(prev);
+    }
+    return keys;
+}
+
+// Appends, prepends and inserts between random neighbors, keeping the keys sorted
+function fillList(lib, indexer, n, seed) {
+    const random = lib.createSeededRandom(seed);
+    const keys = [];
+    for (let i = 0; i < n; i++) {
+        const position = Math.floor(random() * (keys.length + 1));
+        keys.splice(position, 0, indexer.generateFractionalIndex(position > 0 ? keys[position - 1] : null, position < keys.length ? keys[position] : null));
+    }
+    return keys;
+}
+
+// Each feature, run the same way against src/ and against the bundle
+const FEATURES = [
+    ['20,000 appends past 1.0 and 10.0', lib => typeAfter(lib.createIndexer({ seed: 'appends' }), null, null, 20000)],
+    ['500 subdivisions of one gap', lib => typeAfter(lib.createIndexer({ seed: 'gap' }), '0.001', '0.002', 500)],
+    ['legacy key migration', lib => lib.migrateIndexes(['0.5', '0.9995', '1.0005', '9.5', '10.25', '100.75'])],
+    ['seeded indexer session', lib => {
+        const indexer = lib.createIndexer({ seed: 99 });
+        const indexes = indexer.generateBulkIndexes(null, null, 5);
+        indexes.splice(2, 0, indexer.generateFractionalIndex(indexes[1], indexes[2]));
+        indexes.unshift(indexer.generateFractionalIndex(null, indexes[0]));
+        return indexes.concat(indexer.generateRelocationIndexes(indexes[indexes.length - 1], null, 3));
+    }],
+    ['relocation into tight ranges', lib => [lib.createIndexer({ seed: 1 }), lib.createIndexer({ jitter: false })].map(indexer => [
+        ['0.5', '0.50001'],
+        ['0.123456789012345', '0.123456789012346'],
+        ['0.00000000000000000001', '0.00000000000000000002']
+    ].map(([prevIndex, nextIndex]) => indexer.generateRelocationIndexes(prevIndex, nextIndex, 50)))],
+    ['bulk layouts', lib => ['spread', 'append'].map(layout => lib.createIndexer({ seed: 5 }).generateBulkIndexes('0.1', '0.2', 30, { layout }))],
+    ['moveItems', lib => {
+        const indexes = lib.createIndexer({ jitter: false }).generateBulkIndexes(null, null, 4);
+        const list = ['a', 'b', 'c', 'd'].map((id, i) => ({ id, index: indexes[i] }));
+        return lib.createIndexer({ seed: 4 }).moveItems(list, ['d', 'a'], 1);
+    }],
+    ['resolveDuplicates', lib => lib.createIndexer({ seed: 8 }).resolveDuplicates([{ id: 1, index: '0.3' }, { id: 2, index: '0.3' }, { id: 3, index: '0.3' }])],
+    ['site ids', lib => lib.createIndexer({ siteId: 42, seed: 3 }).generateBulkIndexes('0.1', '0.2', 5)],
+    ['compact keys', lib => ['base62', 'base95'].map(alphabet => {
+        const indexer = lib.createIndexer({ alphabet, seed: 11 });
+        return indexer.generateBulkIndexes('11', '12', 25).concat(indexer.generateFractionalIndex('11', '12'));
+    }).concat([lib.convertIndexes(lib.createIndexer({ jitter: false }).generateBulkIndexes(null, null, 20), { to: 'base95' })])],
+    ['OrderedList', lib => {
+        const list = new lib.OrderedList([], { seed: 3 });
+        list.insertAt(0, { id: 'a' });
+        list.insertAfter('a', { id: 'b' });
+        list.insertBefore('a', { id: 'c' });
+        list.move(['a'], 0);
+        return [list.toArray(), list.size];
+    }],
+    ['OrderedTree', lib => {
+        const tree = new lib.OrderedTree([
+            { id: '1.4', parentId: '1', index: '0.0007870335' },
+            { id: '2', parentId: null, index: '0.6' },
+            { id: '1.2.1', parentId: '1.2', index: '0.5' },
+            { id: '1', index: '0.3' },
+            { id: '1.2', parentId: '1', index: '0.0007637572' }
+        ], { seed: 5 });
+        return [tree.move(['1.4'], '1.2', 0), tree.pathKeys()];
+    }],
+    ['generation metadata', lib => [
+        lib.createIndexer({ seed: 9, maxKeyLength: 100 }).generateBulkIndexes('0.1', '0.2', 4, { withMetadata: true }),
+        // Bounds float math cannot split: the midpoint rounds back onto the lower bound
+        lib.createIndexer({ random: () => 0.5, logger: null })
+            .generateFractionalIndex('p9007199254740992', 'p9007199254740994', { withMetadata: true })
+    ]],
+    ['descending order and negative keys', lib => {
+        const indexer = lib.createIndexer({ allowNegative: true, order: 'descending', seed: 6 });
+        return [
+            indexer.generateBulkIndexes('0.5', null, 4),
+            indexer.generateFractionalIndex('0.001', null),
+            lib.encodeIndex('-3.25'),
+            lib.decodeIndex('-X00.5')
+        ];
+    }],
+    ['adaptive allocation', lib => typeAfter(lib.createIndexer({ allocation: 'adaptive', seed: 12 }), '0.1', '0.2', 50)],
+    ['key comparison', lib => {
+        const keys = lib.createIndexer({ seed: 3 }).generateBulkIndexes(null, null, 300).reverse();
+        return [lib.sortByIndex(keys), lib.findNeighbors(lib.sortByIndex(keys), keys[0]), lib.compareIndexes('9.5', '10.5')];
+    }],
+    ['index strategies', lib => ['numeric', 'string-digit', 'compact']
+        .map(name => lib.createStrategy(name, { seed: 6 }).bulk(null, null, 5))
+        .concat([lib.createStrategy('string-digit', { jitter: false }).after('p9007199254740993')])],
+    ['key spacing and precision', lib => fillList(lib, lib.createIndexer({ seed: 8, stepSize: 0.05, jitterRatio: 0.5, precision: 9 }), 100, 3)],
+    ['SQL statements', lib => lib.generateUpdateStatements(
+        [{ id: 0, newIndex: '0.1' }, { id: 1, newIndex: '0.2' }, { id: 2, newIndex: '0.3' }],
+        { dialect: 'mysql', table: 't' }
+    )],
+    ['op logs', lib => {
+        const log = lib.createOpLog({ seed: 'doc-6' });
+        const a = log.insert('a', null, null);
+        const c = log.insert('c', a, null);
+        log.insert('b', a, c);
+        const [d, e] = log.insertBulk(['d', 'e', 'f'], c, null, { layout: 'append' });
+        log.relocate([{ id: 'd', index: d }, { id: 'e', index: e }], null, a);
+        log.undo();
+        return [log.ops(), lib.replayOpLog(JSON.stringify(log))];
+    }]
+];
+
+function testFeatureParity() {
+    console.log('\n🧪 === Testing Every Feature in the ES5 Bundle ===');
+
+    const es5 = require('../dist/frac-indexes.es5');
+    const src = require('../src/index');
+    FEATURES.forEach(([name, run]) => {
+        assert.deepStrictEqual(run(es5), run(src), `${name} should match src/`);
+    });
+    console.log(`✅ ${FEATURES.length} features give the same results as src/`);
+}
+
+// Runs in the sandbox before the bundle: removes the ES2015+ runtime APIs an ES5 engine lacks,
+// and leaves Map as IE11 has it (no iterable constructor, no iterators, set returns nothing)
+const LEGACY_RUNTIME = `
+    ['log2', 'log10', 'trunc', 'sign', 'imul', 'clz32', 'fround', 'hypot', 'cbrt', 'expm1', 'log1p'].forEach(function (name) { delete Math[name]; });
+    ['isInteger', 'isSafeInteger', 'isFinite', 'isNaN', 'parseFloat', 'parseInt'].forEach(function (name) { delete Number[name]; });
+    ['assign', 'entries', 'values', 'fromEntries', 'getOwnPropertySymbols'].forEach(function (name) { delete Object[name]; });
+    ['from', 'of'].forEach(function (name) { delete Array[name]; });
+    ['includes', 'find', 'findIndex', 'fill', 'flat', 'flatMap', 'keys', 'values', 'entries'].forEach(function (name) { delete Array.prototype[name]; });
+    ['includes', 'startsWith', 'endsWith', 'repeat', 'padStart', 'padEnd', 'codePointAt', 'trimStart', 'trimEnd'].forEach(function (name) { delete String.prototype[name]; });
+    delete String.fromCodePoint;
+    delete String.raw;
+    ['Symbol', 'Promise', 'Reflect', 'Proxy', 'WeakSet'].forEach(function (name) { delete this[name]; }, this);
+
+    var NativeMap = Map;
+    var nativeSet = NativeMap.prototype.set;
+    Map = function Map() { return new NativeMap(); };
+    Map.prototype = NativeMap.prototype;
+    NativeMap.prototype.set = function (key, value) { nativeSet.call(this, key, value); };
+    ['keys', 'values', 'entries'].forEach(function (name) { delete NativeMap.prototype[name]; });
+`;
+
+function testLegacyRuntime() {
+    console.log('\n🧪 === Testing the ES5 Bundle Without ES2015+ APIs ===');
+
+    const sandbox = { window: {} };
+    const context = vm.createContext(sandbox);
+    vm.runInContext(LEGACY_RUNTIME, context);
+    assert.strictEqual(vm.runInContext('typeof Math.log2 + typeof Symbol + new Map([[1, 2]]).size', context), 'undefinedundefined0');
+    vm.runInContext(fs.readFileSync(BUNDLE_PATH, 'utf8'), context);
+
+    // The results come from another realm, so they are compared as JSON
+    const lib = sandbox.window.FractionalIndexing;
+    const src = require('../src/index');
+    const legacyFeatures = FEATURES.concat([
+        ['validateIndexes', lib => lib.validateIndexes(['0.1', '0.2', '0.2', '0.1000000000001', 'x'])]
+    ]);
+    legacyFeatures.forEach(([name, run]) => {
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(run(lib))), JSON.parse(JSON.stringify(run(src))), `${name} should run without ES2015+ APIs`);
+    });
+    console.log(`✅ ${legacyFeatures.length} features run on an ES5 runtime with IE11's Map`);
+}
+
+function testErrorParity() {
+    console.log('\n🧪 === Testing ES5 Error Parity ===');
+
+    const es5 = require('../dist/frac-indexes.es5');
+    const { generateFractionalIndex } = require('../src/index');
+    const cases = [
+        [() => es5.generateFractionalIndex('abc', '0.5'), es5.InvalidIndexError],
+        [() => es5.generateFractionalIndex(undefined, null), es5.InvalidIndexError],
+        [() => es5.generateFractionalIndex('0.5', '0.5'), es5.InvalidRangeError],
+        [() => es5.generateBulkIndexes(null, null, -1), es5.InvalidCountError],
+        [() => es5.createIndexer({ jitter: 1 }), es5.InvalidArgumentError],
+        [() => es5.replayOpLog('{"version":1,"options":{},"ops":[{"type":"remove","ids":[1],"oldIndexes":["0.5"]}]}'), es5.ReplayError]
+    ];
+    cases.forEach(([fn, ErrorClass]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof ErrorClass);
+        assert.ok(error instanceof es5.FractionalIndexError);
+        assert.ok(error instanceof Error);
+        assert.strictEqual(error.name, ErrorClass.name);
+        assert.ok(error.stack, 'errors should carry a stack trace');
+    });
+
+    const error = catchError(() => es5.generateFractionalIndex('0.5', 'x'));
+    assert.strictEqual(error.message, catchError(() => generateFractionalIndex('0.5', 'x')).message);
+    assert.strictEqual(error.argument, 'nextIndex');
+    console.log('✅ ES5 build throws the same error types and messages');
+}
+
+function testPackagePaths() {
+    console.log('\n🧪 === Testing the Bundle Entry Points ===');
+
+    const es5 = require('frac-indexes/es5');
+    assert.strictEqual(require('frac-indexes/src/es5-indexing'), es5, 'the legacy ES5 path should keep working');
+    assert.strictEqual(require('../dist/frac-indexes.es5'), es5);
+    console.log('✅ frac-indexes/es5 and the legacy path resolve to the bundle');
+}
+
+function runBuildTests() {
+    console.log('🚀 Running Build Output Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testES5Syntax();
+        testBrowserGlobal();
+        testSeededParity();
+        testFeatureParity();
+        testLegacyRuntime();
+        testErrorParity();
+        testPackagePaths();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All build tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runBuildTests();
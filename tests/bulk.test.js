@@ -0,0 +1,114 @@
+const assert = require('assert');
+const { generateBulkIndexes, createIndexer, decodeIndex, InvalidArgumentError } = require('../src/index');
+const { compareDecimal, subtractDecimal, midpointDecimal } = require('../src/decimal');
+
+// Helper function to assert that indexes are unique, ascending and strictly inside the bounds
+function assertStrictlyInside(indexes, prevIndex, nextIndex) {
+    const bounded = [prevIndex, ...indexes, nextIndex].filter(index => index !== null);
+    for (let i = 1; i < bounded.length; i++) {
+        assert.ok(
+            compareDecimal(decodeIndex(bounded[i - 1]), decodeIndex(bounded[i])) < 0,
+            `${bounded[i]} should follow ${bounded[i - 1]}`
+        );
+    }
+}
+
+function longest(indexes) {
+    return Math.max(...indexes.map(index => index.length));
+}
+
+function testLogarithmicKeyGrowth() {
+    console.log('\n🧪 === Testing Key Growth with Batch Size ===');
+
+    const indexer = createIndexer({ jitter: false });
+    const lengths = [10, 100, 1000, 10000].map(count => {
+        const indexes = indexer.generateBulkIndexes('0.001', '0.002', count);
+        assertStrictlyInside(indexes, '0.001', '0.002');
+        return longest(indexes);
+    });
+
+    // Each tenfold increase in count costs about one more digit
+    for (let i = 1; i < lengths.length; i++) {
+        assert.ok(lengths[i] - lengths[i - 1] <= 2, `key length jumped from ${lengths[i - 1]} to ${lengths[i]}`);
+    }
+    assert.ok(lengths[3] - lengths[0] <= 4, `key length grew from ${lengths[0]} to ${lengths[3]}`);
+    assert.ok(lengths[3] <= 11, `10,000 keys should need at most 11 characters, got ${lengths[3]}`);
+    console.log(`✅ Longest key for 10 / 100 / 1,000 / 10,000 items: ${lengths.join(' / ')}`);
+
+    // Jitter adds a fixed number of digits, independent of count
+    const jittered = generateBulkIndexes('0.001', '0.002', 1000);
+    assertStrictlyInside(jittered, '0.001', '0.002');
+    assert.ok(longest(jittered) <= lengths[2] + 5);
+    console.log(`✅ Jittered keys stay short too (longest: ${longest(jittered)})`);
+}
+
+function testEvenSpread() {
+    console.log('\n🧪 === Testing Spread Layout ===');
+
+    const indexes = createIndexer({ jitter: false }).generateBulkIndexes('0.001', '0.002', 50);
+    const gaps = [subtractDecimal(indexes[0], '0.001')]
+        .concat(indexes.slice(1).map((index, i) => subtractDecimal(index, indexes[i])))
+        .concat(subtractDecimal('0.002', indexes[49]));
+
+    // No item is crammed against nextIndex any more
+    const smallest = Math.min(...gaps.map(Number));
+    const largest = Math.max(...gaps.map(Number));
+    assert.ok(largest / smallest <= 1.1, `gaps range from ${smallest} to ${largest}`);
+    console.log(`✅ 50 items spread evenly (gaps ${smallest} to ${largest})`);
+
+    assert.deepStrictEqual(createIndexer({ jitter: false }).generateBulkIndexes('0.001', '0.002', 3), ['0.00125', '0.0015', '0.00175']);
+    assert.deepStrictEqual(createIndexer({ jitter: false }).generateBulkIndexes('0.5', null, 3), ['0.501', '0.502', '0.503']);
+    console.log('✅ Open-ended batches step forward like appends');
+}
+
+function testAppendLayout() {
+    console.log('\n🧪 === Testing Append Layout ===');
+
+    const indexer = createIndexer({ jitter: false });
+    let prevIndex = '0.001';
+    const nextIndex = '0.002';
+    const batches = [];
+
+    // Loading a list page by page: each batch leaves the upper half free for the next
+    for (let page = 0; page < 20; page++) {
+        const batch = indexer.generateBulkIndexes(prevIndex, nextIndex, 25, { layout: 'append' });
+        assertStrictlyInside(batch, prevIndex, nextIndex);
+        const half = midpointDecimal(decodeIndex(prevIndex), decodeIndex(nextIndex));
+        assert.ok(compareDecimal(decodeIndex(batch[24]), half) <= 0, `batch ${page} should stay in the lower half`);
+        batches.push(...batch);
+        prevIndex = batch[batch.length - 1];
+    }
+    assertStrictlyInside(batches, '0.001', '0.002');
+    console.log(`✅ 20 appended batches of 25 stay ordered (longest key: ${longest(batches)})`);
+
+    const error = (() => {
+        try {
+            generateBulkIndexes(null, null, 2, { layout: 'random' });
+        } catch (thrown) {
+            return thrown;
+        }
+    })();
+    assert.ok(error instanceof InvalidArgumentError);
+    assert.strictEqual(error.argument, 'layout');
+    console.log('✅ Unknown layouts are rejected');
+}
+
+function runBulkTests() {
+    console.log('🚀 Running Bulk Generation Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testLogarithmicKeyGrowth();
+        testEvenSpread();
+        testAppendLayout();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All bulk generation tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runBulkTests();
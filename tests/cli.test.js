@@ -0,0 +1,193 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { main } = require('../bin/frac-indexes');
+const { validateIndexes, decodeIndex } = require('../src/index');
+const { compareDecimal } = require('../src/decimal');
+
+const BIN = path.join(__dirname, '..', 'bin', 'frac-indexes.js');
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'frac-indexes-cli-'));
+
+// Runs the CLI in-process and captures what it prints
+function run(...argv) {
+    let stdout = '';
+    let stderr = '';
+    const code = main(argv, {
+        stdout: { write: text => { stdout += text; } },
+        stderr: { write: text => { stderr += text; } }
+    });
+    return { code, stdout, stderr };
+}
+
+// Deletes a temporary directory and everything in it (fs.rmSync needs Node 14.14)
+function removeDir(dir) {
+    fs.readdirSync(dir).forEach(name => {
+        const file = path.join(dir, name);
+        if (fs.lstatSync(file).isDirectory()) {
+            removeDir(file);
+        } else {
+            fs.unlinkSync(file);
+        }
+    });
+    fs.rmdirSync(dir);
+}
+
+function writeFile(name, contents) {
+    const file = path.join(TMP, name);
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+function testGenerate() {
+    console.log('\n🧪 === Testing between / bulk ===');
+
+    const between = run('between', '0.1', '0.2', '--seed', '1');
+    assert.strictEqual(between.code, 0);
+    const key = between.stdout.trim();
+    assert.ok(compareDecimal('0.1', key) < 0 && compareDecimal(key, '0.2') < 0, `${key} should be between the bounds`);
+    assert.strictEqual(run('between', '0.1', '0.2', '--seed', '1').stdout, between.stdout, 'seeded runs repeat');
+    assert.strictEqual(run('between', 'null', 'null').code, 0);
+
+    const bulk = run('bulk', 'null', '0.5', '4', '--layout', 'append');
+    const keys = bulk.stdout.trim().split('\n');
+    assert.strictEqual(keys.length, 4);
+    keys.forEach(index => assert.ok(compareDecimal(decodeIndex(index), '0.25') < 0, `${index} should be in the lower half`));
+    console.log(`✅ between printed ${key}; bulk printed ${keys.length} keys`);
+}
+
+function testValidate() {
+    console.log('\n🧪 === Testing validate ===');
+
+    const good = writeFile('good.ndjson', '{"id":1,"position":"0.1"}\n{"id":2,"position":"0.2"}\n');
+    const report = run('validate', good, '--key', 'position');
+    assert.strictEqual(report.code, 0);
+    assert.strictEqual(JSON.parse(report.stdout).valid, true);
+
+    const bad = writeFile('bad.csv', 'id,index\n1,0.1\n2,0.1\n3,oops\n');
+    const failed = run('validate', bad);
+    assert.strictEqual(failed.code, 1, 'an invalid list exits with 1');
+    const parsed = JSON.parse(failed.stdout);
+    assert.strictEqual(parsed.duplicates.length, 1);
+    assert.strictEqual(parsed.invalid.length, 1);
+    console.log('✅ validate prints the report and sets the exit code');
+}
+
+function testRewrite() {
+    console.log('\n🧪 === Testing resolve / rebalance ===');
+
+    const csv = 'id,index,title\n1,0.1,"Buy milk, eggs"\n2,0.3,"Say ""hi"""\n3,0.1,Walk\n4,0.2,Read\n';
+    const input = writeFile('tasks.csv', csv);
+    const output = path.join(TMP, 'tasks.fixed.csv');
+
+    // Without --out nothing is written
+    const dryRun = run('resolve', input);
+    assert.strictEqual(dryRun.code, 0);
+    assert.ok(/@@ row 3 @@\n- 3,0\.1,Walk\n\+ 3,0\.1\d*,Walk\n/.test(dryRun.stdout), dryRun.stdout);
+    assert.ok(/1 of 4 rows changed \(dry run/.test(dryRun.stdout), dryRun.stdout);
+    assert.strictEqual(fs.readFileSync(input, 'utf8'), csv);
+
+    run('resolve', input, '--out', output);
+    const lines = fs.readFileSync(output, 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 5);
+    assert.strictEqual(lines[1], '1,0.1,"Buy milk, eggs"', 'unchanged rows are written back byte for byte');
+    assert.strictEqual(lines[2], '2,0.3,"Say ""hi"""');
+    assert.ok(validateIndexes(lines.slice(1).map(line => line.split(',')[1])).valid);
+
+    // Crowded JSON rows get respread, in place in the file order
+    const rows = [
+        { id: 'a', index: '0.5' },
+        { id: 'b', index: '0.1' },
+        { id: 'c', index: '0.1000000000000000000000000000000000001' }
+    ];
+    const json = writeFile('rows.json', JSON.stringify(rows));
+    const rebalanced = path.join(TMP, 'rows.out.json');
+    const result = run('rebalance', json, '--out', rebalanced);
+    assert.strictEqual(result.code, 0);
+    const written = JSON.parse(fs.readFileSync(rebalanced, 'utf8'));
+    assert.deepStrictEqual(written.map(row => row.id), ['a', 'b', 'c']);
+    assert.ok(compareDecimal(decodeIndex(written[1].index), decodeIndex(written[2].index)) < 0);
+    assert.ok(written[2].index.length < rows[2].index.length, 'the long key should be rewritten');
+    assert.strictEqual(run('validate', rebalanced).code, 0);
+    console.log('✅ resolve and rebalance print a row diff and write only with --out');
+}
+
+function testErrors() {
+    console.log('\n🧪 === Testing CLI Errors ===');
+
+    assert.strictEqual(run().code, 2);
+    assert.strictEqual(run('--help').code, 0);
+    assert.strictEqual(run('shuffle').code, 2);
+    assert.strictEqual(run('between', '0.1').code, 2);
+    assert.strictEqual(run('bulk', 'null', 'null', 'three').code, 2);
+    assert.strictEqual(run('validate', path.join(TMP, 'rows.txt')).code, 2, 'unknown extensions need --format');
+    assert.strictEqual(run('between', '0.1', '0.2', '--bogus').code, 2);
+    assert.strictEqual(run('between', '0.1', '0.2', '--seed').code, 2, 'options need their value');
+    assert.strictEqual(run('between', '0.1', '0.2', '--help=yes').code, 2);
+
+    const range = run('between', '0.2', '0.1');
+    assert.strictEqual(range.code, 1);
+    assert.ok(/^frac-indexes: Invalid range/.test(range.stderr), range.stderr);
+
+    assert.strictEqual(run('validate', path.join(TMP, 'missing.json')).code, 1);
+    assert.strictEqual(run('validate', writeFile('broken.json', '{"id": 1')).code, 1);
+    assert.strictEqual(run('rebalance', writeFile('invalid.ndjson', '{"index":"nope"}\n')).code, 1);
+    console.log('✅ Usage mistakes exit with 2, bad input with 1');
+}
+
+function testArguments() {
+    console.log('\n🧪 === Testing CLI Arguments ===');
+
+    const spaced = run('between', '0.1', '0.2', '--seed', '7');
+    const joined = run('between', '0.1', '0.2', '--seed=7');
+    assert.strictEqual(spaced.code, 0);
+    assert.strictEqual(joined.stdout, spaced.stdout, '--name=value and --name value are the same');
+
+    const negative = run('between', '-Z.5', '0.1', '--seed=1');
+    assert.strictEqual(negative.code, 0, 'negative keys are positionals, not options');
+    assert.strictEqual(compareDecimal(decodeIndex('-Z.5'), decodeIndex(negative.stdout.trim())) < 0, true);
+
+    assert.strictEqual(run('--', 'between', '0.1', '0.2').code, 0, '-- ends the options');
+    assert.strictEqual(run('between', '0.1', '0.2', '--', '--seed').code, 2, 'after -- everything is positional');
+    console.log('✅ Options take their value joined or spaced, and negative keys stay positional');
+}
+
+function testExecutable() {
+    console.log('\n🧪 === Testing the Installed Binary ===');
+
+    const result = spawnSync(process.execPath, [BIN, 'bulk', '0.1', '0.2', '3'], { encoding: 'utf8', timeout: 30000 });
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout.trim().split('\n').length, 3);
+    assert.ok(fs.readFileSync(BIN, 'utf8').startsWith('#!/usr/bin/env node'));
+    assert.strictEqual(require('../package.json').bin['frac-indexes'], 'bin/frac-indexes.js');
+
+    const failed = spawnSync(process.execPath, [BIN, 'between', 'x', 'null'], { encoding: 'utf8', timeout: 30000 });
+    assert.strictEqual(failed.status, 1);
+    console.log('✅ The bin script runs standalone and returns exit codes');
+}
+
+function runCliTests() {
+    console.log('🚀 Running Command-Line Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testGenerate();
+        testValidate();
+        testRewrite();
+        testErrors();
+        testArguments();
+        testExecutable();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All command-line tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    } finally {
+        removeDir(TMP);
+    }
+}
+
+runCliTests();
@@ -0,0 +1,196 @@
+const assert = require('assert');
+const {
+    createIndexer,
+    generateBulkIndexes,
+    isCompactIndex,
+    convertIndex,
+    convertIndexes,
+    decodeIndex,
+    InvalidIndexError,
+    InvalidRangeError,
+    InvalidArgumentError
+} = require('../src/index');
+const { compareDecimal } = require('../src/decimal');
+
+// Byte order is what databases and Array.prototype.sort use for these keys
+function byteCompare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function assertAscending(keys, message) {
+    for (let i = 1; i < keys.length; i++) {
+        assert.ok(byteCompare(keys[i - 1], keys[i]) < 0, `${message}: ${keys[i - 1]} should sort before ${keys[i]}`);
+    }
+}
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+function testAppendsAndPrepends() {
+    console.log('\n🧪 === Testing Compact Appends and Prepends ===');
+
+    ['base62', 'base95'].forEach(alphabet => {
+        const indexer = createIndexer({ alphabet, seed: 3 });
+        const keys = [indexer.generateFractionalIndex(null, null)];
+        for (let i = 0; i < 500; i++) keys.push(indexer.generateFractionalIndex(keys[keys.length - 1], null));
+        for (let i = 0; i < 200; i++) keys.unshift(indexer.generateFractionalIndex(null, keys[0]));
+
+        assertAscending(keys, alphabet);
+        keys.forEach(key => assert.ok(isCompactIndex(key, alphabet), `${key} should be a ${alphabet} key`));
+        const longest = Math.max(...keys.map(key => key.length));
+        console.log(`✅ ${alphabet}: 700 appends/prepends stay ordered, longest key ${longest} chars`);
+    });
+
+    const exact = createIndexer({ alphabet: 'base62', jitter: false });
+    assert.strictEqual(exact.generateFractionalIndex(null, null), '11');
+    assert.strictEqual(exact.generateFractionalIndex('11', null), '12');
+    assert.strictEqual(exact.generateFractionalIndex(null, '11'), '0V');
+    assert.strictEqual(exact.generateFractionalIndex('11', '12'), '11V');
+    console.log('✅ Without jitter, keys are the shortest midpoints');
+}
+
+function testTightGaps() {
+    console.log('\n🧪 === Testing Compact Keys in Tight Gaps ===');
+
+    ['base62', 'base95'].forEach(alphabet => {
+        [createIndexer({ alphabet, seed: 9 }), createIndexer({ alphabet, jitter: false })].forEach(indexer => {
+            let prev = indexer.generateFractionalIndex(null, null);
+            const next = indexer.generateFractionalIndex(prev, null);
+            for (let i = 0; i < 200; i++) {
+                const key = indexer.generateFractionalIndex(prev, next);
+                assertAscending([prev, key, next], `${alphabet} insert ${i}`);
+                prev = key;
+            }
+        });
+    });
+
+    // A compact key carries log2(62) ≈ 6 bits per character against log2(10) ≈ 3.3
+    const decimal = createIndexer({ jitter: false });
+    const base62 = createIndexer({ alphabet: 'base62', jitter: false });
+    let [decPrev, decNext] = ['0.1', '0.2'];
+    let [b62Prev, b62Next] = ['11', '12'];
+    for (let i = 0; i < 100; i++) {
+        decPrev = decimal.generateFractionalIndex(decPrev, decNext);
+        b62Prev = base62.generateFractionalIndex(b62Prev, b62Next);
+    }
+    assert.ok(b62Prev.length * 1.5 < decPrev.length, `${b62Prev} should be much shorter than ${decPrev}`);
+    console.log(`✅ 200 inserts into one gap stay ordered; after 100 halvings: ${b62Prev.length} vs ${decPrev.length} chars`);
+}
+
+function testBulkAndRelocation() {
+    console.log('\n🧪 === Testing Compact Bulk and Relocation ===');
+
+    const ranges = [[null, null], ['11', '12'], ['11', null], [null, '0V'], ['11zz', '12'], ['1A', '1A01']];
+    ['base62', 'base95'].forEach(alphabet => {
+        const indexer = createIndexer({ alphabet, seed: 'bulk' });
+        ranges.forEach(([prev, next]) => {
+            const keys = indexer.generateBulkIndexes(prev, next, 100);
+            assert.strictEqual(keys.length, 100);
+            assertAscending([prev, ...keys, next].filter(key => key !== null), `${alphabet} bulk (${prev}, ${next})`);
+
+            const packed = indexer.generateBulkIndexes(prev, next, 20, { layout: 'append' });
+            assertAscending([prev, ...packed, next].filter(key => key !== null), `${alphabet} append (${prev}, ${next})`);
+
+            const moved = indexer.generateRelocationIndexes(prev, next, 30, false);
+            assertAscending([prev, ...moved, next].filter(key => key !== null), `${alphabet} relocation (${prev}, ${next})`);
+        });
+    });
+
+    // The append layout leaves the upper half of the gap free
+    const packed = createIndexer({ alphabet: 'base62', jitter: false }).generateBulkIndexes('11', '12', 10, { layout: 'append' });
+    assert.ok(byteCompare(packed[packed.length - 1], '11V') < 0, `${packed.join(', ')} should stay below 11V`);
+
+    // Rough length check: 1000 keys need about two base-62 digits below the bounds
+    const many = createIndexer({ alphabet: 'base62', jitter: false }).generateBulkIndexes('11', '12', 1000);
+    assert.ok(Math.max(...many.map(key => key.length)) <= 5, `${many[999]} is longer than expected`);
+    console.log('✅ Batches stay ordered and inside their bounds in both layouts');
+}
+
+function testConversion() {
+    console.log('\n🧪 === Testing Conversion Between Representations ===');
+
+    assert.strictEqual(convertIndex('0.5', { to: 'base62' }), '0V');
+    assert.strictEqual(convertIndex('a1', { to: 'base62' }), '11');
+    assert.strictEqual(convertIndex('d1000.5', { to: 'base62' }), '2G8V');
+    assert.strictEqual(convertIndex('2G8V', { from: 'base62' }), 'd1000.5');
+    assert.strictEqual(convertIndex('0V', { from: 'base62', to: 'base95' }), '0O');
+
+    // A real list, including keys a single digit apart and legacy unencoded input
+    const decimal = createIndexer({ seed: 5 });
+    const list = decimal.generateBulkIndexes(null, null, 50);
+    for (let i = 0; i < 30; i++) list.splice(10, 0, decimal.generateFractionalIndex(list[9], list[10]));
+    list.push('9.5', 'b10.25', 'b10.2500000000000000000001');
+
+    ['base62', 'base95'].forEach(alphabet => {
+        const compact = convertIndexes(list, { to: alphabet });
+        assertAscending(compact, `decimal → ${alphabet}`);
+        compact.forEach(key => assert.ok(isCompactIndex(key, alphabet)));
+
+        const back = convertIndexes(compact, { from: alphabet });
+        for (let i = 1; i < back.length; i++) {
+            assert.ok(compareDecimal(decodeIndex(back[i - 1]), decodeIndex(back[i])) < 0, `${back[i - 1]} < ${back[i]}`);
+        }
+        assert.ok(
+            compact.join('').length < list.join('').length,
+            `${alphabet} keys should be shorter than the decimal ones`
+        );
+    });
+
+    const crossed = convertIndexes(convertIndexes(list, { to: 'base62' }), { from: 'base62', to: 'base95' });
+    assertAscending(crossed, 'base62 → base95');
+    console.log(`✅ Converted lists keep their order (${list.length} keys, both directions)`);
+}
+
+function testInvalidInput() {
+    console.log('\n🧪 === Testing Invalid Compact Input ===');
+
+    const indexer = createIndexer({ alphabet: 'base62' });
+    ['0.5', '', '10', '1', '2A', '0V0', 'x1', null].forEach(key => {
+        assert.strictEqual(isCompactIndex(key, 'base62'), false, `${key} should not be a base62 key`);
+    });
+    assert.ok(catchError(() => indexer.generateFractionalIndex('0.5', null)) instanceof InvalidIndexError);
+    assert.ok(catchError(() => indexer.generateFractionalIndex('12', '11')) instanceof InvalidRangeError);
+    assert.ok(catchError(() => indexer.generateFractionalIndex(null, '0')) instanceof InvalidRangeError);
+    assert.ok(catchError(() => convertIndexes(['0.7', '0.5'], { to: 'base62' })) instanceof InvalidRangeError);
+
+    const cases = [
+        [() => createIndexer({ alphabet: 'base64' }), 'alphabet'],
+        [() => convertIndex('0.5', { to: 'hex' }), 'to'],
+        [() => convertIndex('11', { from: 'base36' }), 'from'],
+        [() => convertIndexes('0.5', { to: 'base62' }), 'sortedIndexes']
+    ];
+    cases.forEach(([fn, argument]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError, `${argument} should raise InvalidArgumentError`);
+        assert.strictEqual(error.argument, argument);
+    });
+    console.log('✅ Malformed keys, ranges and alphabets raise typed errors');
+}
+
+function runCompactTests() {
+    console.log('🚀 Running Compact Alphabet Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testAppendsAndPrepends();
+        testTightGaps();
+        testBulkAndRelocation();
+        testConversion();
+        testInvalidInput();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All compact alphabet tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runCompactTests();
@@ -0,0 +1,164 @@
+const assert = require('assert');
+const {
+    createIndexer,
+    createSeededRandom,
+    compareIndexes,
+    sortByIndex,
+    findNeighbors,
+    InvalidIndexError,
+    InvalidArgumentError
+} = require('../src/index');
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+// Fisher-Yates with a seeded source, so failures reproduce
+function shuffle(values, seed) {
+    const random = createSeededRandom(seed);
+    const copy = values.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const swap = copy[i];
+        copy[i] = copy[j];
+        copy[j] = swap;
+    }
+    return copy;
+}
+
+function testCompareIndexes() {
+    console.log('\n🧪 === Testing compareIndexes ===');
+
+    // Ascending pairs that string comparison, Number() or both get wrong
+    const pairs = [
+        ['9.5', '10.5'],                          // legacy keys: "10.5" < "9.5" as strings
+        ['0.1', '0.10000000000000000001'],        // equal as Numbers
+        ['-Y6.75', '-Z.5'],                       // -3.25 < -0.5; Number() cannot read either
+        ['-Z.75', '0.5'],
+        ['0.9', 'a1.5'],
+        ['a9.5', 'b10.5']
+    ];
+    pairs.forEach(([a, b]) => {
+        assert.ok(compareIndexes(a, b) < 0, `${a} should sort before ${b}`);
+        assert.ok(compareIndexes(b, a) > 0, `${b} should sort after ${a}`);
+    });
+    assert.strictEqual(compareIndexes('a2', 'a2'), 0);
+    assert.strictEqual(compareIndexes('0.5', '0.50'), 0, 'decimal keys are compared by value');
+
+    // Compact keys are compared byte by byte, so "Z" sorts before "a"
+    assert.ok(compareIndexes('0V', '11', { alphabet: 'base62' }) < 0);
+    assert.ok(compareIndexes('0Z', '0a', { alphabet: 'base62' }) < 0);
+    assert.ok(compareIndexes('0!', '0~', { alphabet: 'base95' }) < 0);
+    console.log(`✅ ${pairs.length} pairs compare by value, wherever strings or Numbers disagree`);
+}
+
+function testSortByIndex() {
+    console.log('\n🧪 === Testing sortByIndex ===');
+
+    const indexer = createIndexer({ seed: 21, allowNegative: true });
+    let keys = indexer.generateBulkIndexes(null, null, 200);
+    keys = indexer.generateBulkIndexes(null, keys[0], 50).concat(keys, indexer.generateBulkIndexes(keys[keys.length - 1], null, 1100));
+    assert.ok(keys.some(key => key.charAt(0) === '-') && keys.some(key => key.charAt(0) === 'a'), 'keys below zero and beyond 1.0');
+
+    const items = shuffle(keys, 5).map((index, i) => ({ id: i, index }));
+    const sorted = sortByIndex(items);
+    assert.deepStrictEqual(sorted.map(item => item.index), keys);
+    assert.notStrictEqual(sorted, items, 'a new array');
+    assert.strictEqual(items[0].id, 0, 'the input is left as it was');
+
+    // Bare keys, another property, descending order and ties
+    assert.deepStrictEqual(sortByIndex(['10.5', '9.5', '-Z.5']), ['-Z.5', '9.5', '10.5']);
+    assert.deepStrictEqual(sortByIndex([{ rank: 'a2' }, { rank: '0.5' }], 'rank'), [{ rank: '0.5' }, { rank: 'a2' }]);
+    assert.deepStrictEqual(sortByIndex(['0.5', 'a2', '0.7'], 'index', { order: 'descending' }), ['a2', '0.7', '0.5']);
+    const ties = [{ id: 1, index: '0.50' }, { id: 2, index: '0.2' }, { id: 3, index: '0.5' }];
+    assert.deepStrictEqual(sortByIndex(ties).map(item => item.id), [2, 1, 3], 'equal keys keep their order');
+    assert.deepStrictEqual(sortByIndex(['11', '0V', '0a'], 'index', { alphabet: 'base62' }), ['0V', '0a', '11']);
+    console.log(`✅ ${keys.length} shuffled keys sort back into generation order`);
+}
+
+function testFindNeighbors() {
+    console.log('\n🧪 === Testing findNeighbors ===');
+
+    const list = ['-Z.5', '0.25', '0.5', '0.5', 'a3'].map((index, i) => ({ id: i, index }));
+    assert.deepStrictEqual(findNeighbors(list, '0.3'), { position: 2, prevIndex: '0.25', nextIndex: '0.5' });
+    assert.deepStrictEqual(findNeighbors(list, '-Y1'), { position: 0, prevIndex: null, nextIndex: '-Z.5' });
+    assert.deepStrictEqual(findNeighbors(list, 'b10'), { position: 5, prevIndex: 'a3', nextIndex: null });
+    assert.deepStrictEqual(findNeighbors([], '0.5'), { position: 0, prevIndex: null, nextIndex: null });
+
+    // Items with the key itself are skipped, so a key can be regenerated between its neighbors
+    assert.deepStrictEqual(findNeighbors(list, '0.50'), { position: 2, prevIndex: '0.25', nextIndex: 'a3' });
+
+    // A replica placing a remote key: every lookup lands between a key's two neighbors
+    const indexer = createIndexer({ seed: 8 });
+    const keys = indexer.generateBulkIndexes(null, null, 500);
+    for (let i = 0; i < keys.length; i += 7) {
+        const { position, prevIndex, nextIndex } = findNeighbors(keys, keys[i]);
+        assert.strictEqual(position, i);
+        assert.strictEqual(prevIndex, i > 0 ? keys[i - 1] : null);
+        assert.strictEqual(nextIndex, i < keys.length - 1 ? keys[i + 1] : null);
+        indexer.generateFractionalIndex(prevIndex, nextIndex);
+    }
+
+    // Descending lists, other properties and compact keys
+    const descending = sortByIndex(list, 'index', { order: 'descending' });
+    assert.deepStrictEqual(findNeighbors(descending, '0.3', { order: 'descending' }), { position: 3, prevIndex: '0.5', nextIndex: '0.25' });
+    assert.deepStrictEqual(findNeighbors([{ rank: '0.1' }, { rank: '0.2' }], '0.15', { key: 'rank' }), { position: 1, prevIndex: '0.1', nextIndex: '0.2' });
+    assert.deepStrictEqual(findNeighbors(['0V', '11'], '0a', { alphabet: 'base62' }), { position: 1, prevIndex: '0V', nextIndex: '11' });
+    console.log('✅ Binary search finds the position and the neighbors to generate between');
+}
+
+function testInvalidInput() {
+    console.log('\n🧪 === Testing Comparison Input Validation ===');
+
+    const indexErrors = [
+        [() => compareIndexes('abc', '0.5'), 'a'],
+        [() => compareIndexes('0.5', 0.7), 'b'],
+        [() => compareIndexes('0V', '0.5', { alphabet: 'base62' }), 'b'],
+        [() => sortByIndex([{ index: '0.5' }, { position: 2 }]), 'index'],
+        [() => findNeighbors(['0.5'], '1.5e3'), 'index']
+    ];
+    indexErrors.forEach(([fn, argument]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidIndexError, `${argument} should raise InvalidIndexError`);
+        assert.strictEqual(error.argument, argument);
+    });
+
+    const argumentErrors = [
+        [() => compareIndexes('0.5', '0.7', { alphabet: 'base64' }), 'alphabet'],
+        [() => sortByIndex('0.5'), 'items'],
+        [() => sortByIndex([], 'index', { order: 'desc' }), 'order'],
+        [() => findNeighbors(null, '0.5'), 'sortedItems']
+    ];
+    argumentErrors.forEach(([fn, argument]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError, `${argument} should raise InvalidArgumentError`);
+        assert.strictEqual(error.argument, argument);
+    });
+    console.log(`✅ ${indexErrors.length + argumentErrors.length} malformed inputs raise typed errors`);
+}
+
+function runCompareTests() {
+    console.log('🚀 Running Key Comparison Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testCompareIndexes();
+        testSortByIndex();
+        testFindNeighbors();
+        testInvalidInput();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All key comparison tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runCompareTests();
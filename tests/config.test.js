@@ -0,0 +1,250 @@
+const assert = require('assert');
+const {
+    createIndexer,
+    createStrategy,
+    createSeededRandom,
+    OrderedList,
+    OrderedTree,
+    decodeIndex,
+    InvalidArgumentError
+} = require('../src/index');
+const { compareDecimal } = require('../src/decimal');
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+// Fraction digits of a key (the complement digits for negative keys)
+function decimals(key) {
+    return (key.split('.')[1] || '').length;
+}
+
+// Appends, prepends and inserts between random neighbors, keeping the keys sorted
+function fillList(indexer, n, seed) {
+    const random = createSeededRandom(seed);
+    const keys = [];
+    for (let i = 0; i < n; i++) {
+        const position = Math.floor(random() * (keys.length + 1));
+        keys.splice(position, 0, indexer.generateFractionalIndex(position > 0 ? keys[position - 1] : null, position < keys.length ? keys[position] : null));
+    }
+    return keys;
+}
+
+function assertAscending(keys) {
+    for (let i = 1; i < keys.length; i++) {
+        assert.ok(compareDecimal(decodeIndex(keys[i - 1]), decodeIndex(keys[i])) < 0, `${keys[i - 1]} should sort before ${keys[i]}`);
+    }
+}
+
+function testDefaults() {
+    console.log('\n🧪 === Testing Default Configuration ===');
+
+    // Spelling the defaults out generates the same keys as leaving them out
+    const explicit = createIndexer({ seed: 9, stepSize: 0.001, jitterRatio: 0.25, minSafeGap: 1e-9 });
+    assert.deepStrictEqual(fillList(explicit, 200, 1), fillList(createIndexer({ seed: 9 }), 200, 1));
+
+    // Without precision, keys computed with floats get 10 places wherever they go
+    const indexer = createIndexer({ seed: 2 });
+    const first = indexer.generateFractionalIndex(null, null);
+    const second = indexer.generateFractionalIndex(first, null);
+    assert.strictEqual(decimals(first), 10);
+    assert.strictEqual(decimals(second), 10);
+    assert.strictEqual(decimals(indexer.generateFractionalIndex(null, first)), 10);
+    assert.strictEqual(decimals(indexer.generateFractionalIndex(first, second)), 10);
+    // Unjittered midpoints are exact, so they stay short
+    assert.strictEqual(createIndexer({ jitter: false }).generateFractionalIndex('0.1', '0.2'), '0.15');
+    console.log('✅ Omitted options keep the original spacing, with one width for float keys');
+}
+
+function testStepSize() {
+    console.log('\n🧪 === Testing stepSize ===');
+
+    const board = createIndexer({ stepSize: 10, jitter: false });
+    assert.strictEqual(board.generateFractionalIndex(null, null), 'a5.0000000000');
+    assert.strictEqual(board.generateFractionalIndex('a5', null), 'b15.0000000000');
+    assert.strictEqual(board.generateFractionalIndex(null, 'a5'), 'a2.5000000000');
+    assert.deepStrictEqual(board.generateBulkIndexes('a5', null, 3), ['b15', 'b25', 'b35']);
+
+    // Prepends below zero step back by the same amount
+    const feed = createIndexer({ stepSize: 0.5, allowNegative: true, jitter: false });
+    assert.strictEqual(decodeIndex(feed.generateFractionalIndex(null, '0.25')), '-0.25');
+
+    // Jitter at open ends stays below a tenth of the step
+    const jittered = createIndexer({ stepSize: 0.01, seed: 4 });
+    let prev = jittered.generateFractionalIndex(null, null);
+    for (let i = 0; i < 100; i++) {
+        const next = jittered.generateFractionalIndex(prev, null);
+        const step = Number(decodeIndex(next)) - Number(decodeIndex(prev));
+        assert.ok(step >= 0.01 - 1e-9 && step < 0.011 + 1e-9, `step of ${step}`);
+        prev = next;
+    }
+
+    // The string-digit strategy steps exactly
+    const digits = createStrategy('string-digit', { stepSize: 0.25, jitter: false });
+    assert.strictEqual(digits.after('0.5'), '0.75');
+    assert.deepStrictEqual(digits.bulk('0.5', null, 2), ['0.75', 'a1']);
+    console.log('✅ Appends, prepends and batches at open ends step by stepSize');
+}
+
+function testPrecision() {
+    console.log('\n🧪 === Testing precision ===');
+
+    // Every key has the same width, with and without jitter
+    [{ seed: 5 }, { jitter: false }].forEach(options => {
+        const fixed = createIndexer({ precision: 8, ...options });
+        const keys = fillList(fixed, 300, 2);
+        assertAscending(keys);
+        keys.forEach(key => assert.strictEqual(decimals(key), 8, `${key} has 8 decimal places`));
+    });
+
+    const board = createIndexer({ stepSize: 10, precision: 4, jitter: false });
+    assert.strictEqual(board.generateFractionalIndex('a5.0000', 'b15.0000'), 'b10.0000');
+
+    // Batches, relocations, moves, adaptive runs and prepends below zero keep the width too
+    [{ seed: 8 }, { jitter: false }].forEach(options => {
+        const fixed = createIndexer({ precision: 6, ...options });
+        const keys = [].concat(
+            fixed.generateBulkIndexes(null, null, 5),
+            fixed.generateBulkIndexes('0.1', '0.2', 40),
+            fixed.generateBulkIndexes('0.1', '0.2', 3, { layout: 'append' }),
+            fixed.generateBulkIndexes('0.5', null, 4),
+            fixed.generateRelocationIndexes('0.100100', '0.100200', 20),
+            fixed.generateRelocationIndexes('0.3', '0.4', 3, false),
+            fixed.moveItems([{ id: 1, index: '0.1' }, { id: 2, index: '0.2' }, { id: 3, index: '0.3' }], [1, 3], 1).map(change => change.index)
+        );
+        const adaptive = createIndexer({ precision: 6, allocation: 'adaptive', ...options });
+        let prev = '0.1';
+        for (let i = 0; i < 30; i++) {
+            prev = adaptive.generateFractionalIndex(prev, '0.2');
+            keys.push(prev);
+        }
+        const feed = createIndexer({ precision: 6, allowNegative: true, ...options });
+        let head = '0.0005';
+        for (let i = 0; i < 5; i++) {
+            head = feed.generateFractionalIndex(null, head);
+            keys.push(head);
+        }
+        keys.forEach(key => assert.strictEqual(decimals(key), 6, `${key} has 6 decimal places`));
+    });
+
+    // The exact fallbacks keep the width while a key of that width fits, even next to longer keys
+    const fixed = createIndexer({ precision: 6, jitter: false });
+    const fitting = fixed.generateFractionalIndex('0.100001', '0.100004', { withMetadata: true });
+    assert.strictEqual(fitting.index, '0.100003');
+    assert.strictEqual(fitting.metadata.fallback, 'precision');
+    assert.strictEqual(fixed.generateFractionalIndex('p1234567890123456.7891234', null), 'p1234567890123456.790123');
+
+    // Gaps with no key of that width inside fall back to exact digits, which are as long as needed
+    const result = fixed.generateFractionalIndex('0.100001', '0.100002', { withMetadata: true });
+    assert.strictEqual(result.index, '0.1000015');
+    assert.strictEqual(result.metadata.fallback, 'precision');
+    assert.deepStrictEqual(fixed.generateBulkIndexes('0.100001', '0.100003', 2), ['0.10000166', '0.10000233']);
+    console.log('✅ precision gives every key one fixed width, on every generation path');
+}
+
+function testJitterAndGaps() {
+    console.log('\n🧪 === Testing jitterRatio and minSafeGap ===');
+
+    // Jittered keys land in the centered share of the gap
+    const narrow = createIndexer({ jitterRatio: 0.1, seed: 6 });
+    const wide = createIndexer({ jitterRatio: 0.9, seed: 6 });
+    let spread = 0;
+    for (let i = 0; i < 200; i++) {
+        const value = Number(narrow.generateFractionalIndex('0.1', '0.2'));
+        assert.ok(value >= 0.145 && value <= 0.155, `${value} is within 5% of the midpoint`);
+        spread = Math.max(spread, Math.abs(Number(wide.generateFractionalIndex('0.1', '0.2')) - 0.15));
+    }
+    assert.ok(spread > 0.03, 'a wider ratio spreads keys further');
+    assert.strictEqual(createIndexer({ jitterRatio: 0, seed: 6 }).generateFractionalIndex('0.1', '0.2'), '0.1500000000');
+
+    // Gaps at or below minSafeGap use exact digits
+    const cautious = createIndexer({ minSafeGap: 0.001, seed: 7 });
+    assert.strictEqual(cautious.generateFractionalIndex('0.1', '0.1005', { withMetadata: true }).metadata.fallback, 'precision');
+    assert.strictEqual(cautious.generateFractionalIndex('0.1', '0.2', { withMetadata: true }).metadata.fallback, null);
+    assert.strictEqual(createIndexer({ seed: 7 }).generateFractionalIndex('0.1', '0.1005', { withMetadata: true }).metadata.fallback, null);
+    console.log('✅ jitterRatio bounds the jitter and minSafeGap picks the exact fallback');
+}
+
+function testLists() {
+    console.log('\n🧪 === Testing Configuration in Lists ===');
+
+    const list = new OrderedList([], { stepSize: 100, precision: 3, jitter: false });
+    list.insertAt(0, { id: 1 });
+    list.insertAt(1, { id: 2 });
+    list.insertAt(1, { id: 3 });
+    assert.deepStrictEqual(list.toArray().map(item => item.index), ['b50.000', 'c100.000', 'c150.000']);
+
+    const tree = new OrderedTree([], { stepSize: 1, jitter: false });
+    tree.insertAt(null, 0, { id: 'a' });
+    tree.insertAt(null, 1, { id: 'b' });
+    assert.deepStrictEqual(tree.toArray().map(item => item.index), ['0.5000000000', 'a1.5000000000']);
+    console.log('✅ OrderedList and OrderedTree pass the options on');
+}
+
+function testInvalidOptions() {
+    console.log('\n🧪 === Testing Configuration Validation ===');
+
+    const cases = [
+        [{ stepSize: 0 }, 'stepSize'],
+        [{ stepSize: 2000000 }, 'stepSize'],
+        [{ stepSize: 0.0000001 }, 'stepSize'],
+        [{ stepSize: 0.1 + 0.2 }, 'stepSize'],
+        [{ stepSize: '0.01' }, 'stepSize'],
+        [{ jitterRatio: 1 }, 'jitterRatio'],
+        [{ jitterRatio: -0.1 }, 'jitterRatio'],
+        [{ jitterRatio: NaN }, 'jitterRatio'],
+        [{ minSafeGap: 1e-16 }, 'minSafeGap'],
+        [{ minSafeGap: 2 }, 'minSafeGap'],
+        [{ minSafeGap: 1e-11 }, 'minSafeGap'],
+        [{ precision: 6, minSafeGap: 1e-7 }, 'minSafeGap'],
+        [{ precision: 16 }, 'precision'],
+        [{ precision: 7.5 }, 'precision'],
+        [{ precision: 3 }, 'precision'],
+        [{ stepSize: 0.0001, precision: 4 }, 'precision'],
+        [{ siteId: 1, precision: 8 }, 'precision'],
+        [{ strategy: 'compact', stepSize: 1 }, 'stepSize'],
+        [{ strategy: 'string-digit', precision: 10 }, 'precision'],
+        [{ strategy: 'string-digit', jitterRatio: 0.5 }, 'jitterRatio'],
+        [{ strategy: createStrategy(), minSafeGap: 1e-8 }, 'minSafeGap']
+    ];
+    cases.forEach(([options, argument]) => {
+        const error = catchError(() => createIndexer(options));
+        assert.ok(error instanceof InvalidArgumentError, `${argument} should raise InvalidArgumentError`);
+        assert.strictEqual(error.argument, argument);
+    });
+    assert.strictEqual(catchError(() => new OrderedList([], { precision: 0 })).argument, 'precision');
+
+    // The bounds themselves are accepted
+    [{ stepSize: 0.000001, precision: 7, minSafeGap: 1e-7 }, { stepSize: 1000000, precision: 1 }, { jitterRatio: 0, minSafeGap: 1 }].forEach(options => {
+        assert.strictEqual(typeof createIndexer(options).generateFractionalIndex(null, null), 'string');
+    });
+    console.log(`✅ ${cases.length} out-of-bounds settings raise InvalidArgumentError`);
+}
+
+function runConfigTests() {
+    console.log('🚀 Running Key Spacing Configuration Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testDefaults();
+        testStepSize();
+        testPrecision();
+        testJitterAndGaps();
+        testLists();
+        testInvalidOptions();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All key spacing configuration tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runConfigTests();
@@ -1,4 +1,4 @@
-const { generateFractionalIndex, generateBulkIndexes, generateRelocationIndexes } = require('../src/index');
+const { generateFractionalIndex, generateBulkIndexes, generateRelocationIndexes, decodeIndex } = require('../src/index');
 
 // Helper function to create items with titles and indexes
 function createItem(title, index) {
@@ -7,9 +7,9 @@ function createItem(title, index) {
 
 // Helper function to check if an index falls within bounds
 function isWithinBounds(index, prevIndex, nextIndex) {
-    const num = Number(index);
-    const prevNum = prevIndex ? Number(prevIndex) : -Infinity;
-    const nextNum = nextIndex ? Number(nextIndex) : Infinity;
+    const num = Number(decodeIndex(index));
+    const prevNum = prevIndex ? Number(decodeIndex(prevIndex)) : -Infinity;
+    const nextNum = nextIndex ? Number(decodeIndex(nextIndex)) : Infinity;
     return num > prevNum && num < nextNum;
 }
 
@@ -0,0 +1,157 @@
+const assert = require('assert');
+const {
+    resolveDuplicates,
+    createIndexer,
+    validateIndexes,
+    decodeIndex,
+    InvalidIndexError,
+    InvalidArgumentError
+} = require('../src/index');
+const { compareDecimal } = require('../src/decimal');
+
+// Applies updates to copies of the rows and returns them sorted by their new index
+function applyUpdates(rows, updates, key = 'index') {
+    const copies = rows.map(row => Object.assign({}, row));
+    updates.forEach(update => {
+        assert.strictEqual(copies[update.position][key], update.oldIndex);
+        copies[update.position][key] = update.newIndex;
+    });
+    return copies.sort((a, b) => compareDecimal(decodeIndex(a[key]), decodeIndex(b[key])));
+}
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+function testMinimalRepair() {
+    console.log('\n🧪 === Testing Minimal Duplicate Repair ===');
+
+    const rows = [
+        { id: 'e', index: '0.5' },
+        { id: 'a', index: '0.1' },
+        { id: 'c', index: '0.3' },
+        { id: 'b', index: '0.3' },
+        { id: 'd', index: '0.3' },
+        { id: 'f', index: '0.7' }
+    ];
+    const updates = resolveDuplicates(rows);
+
+    // Only the duplicates after the first one move, and only them
+    assert.deepStrictEqual(updates.map(update => update.position), [2, 4]);
+    const repaired = applyUpdates(rows, updates);
+    assert.deepStrictEqual(repaired.map(row => row.id), ['a', 'b', 'c', 'd', 'e', 'f']);
+    assert.strictEqual(repaired[1].index, '0.3', 'the first duplicate keeps its key');
+    assert.ok(validateIndexes(repaired).valid);
+
+    assert.deepStrictEqual(resolveDuplicates([{ id: 1, index: '0.1' }, { id: 2, index: '0.2' }]), []);
+    assert.deepStrictEqual(resolveDuplicates([]), []);
+    console.log('✅ n duplicates cost n - 1 writes; other rows are untouched');
+}
+
+function testTiebreaks() {
+    console.log('\n🧪 === Testing Tiebreak Order ===');
+
+    const rows = [
+        { id: 3, index: '0.4', syncedAt: 100 },
+        { id: 1, index: '0.4', syncedAt: 300 },
+        { id: 2, index: '0.4', syncedAt: 200 }
+    ];
+    const byId = applyUpdates(rows, resolveDuplicates(rows));
+    assert.deepStrictEqual(byId.map(row => row.id), [1, 2, 3]);
+
+    const byTime = applyUpdates(rows, resolveDuplicates(rows, { tiebreak: 'syncedAt' }));
+    assert.deepStrictEqual(byTime.map(row => row.id), [3, 2, 1]);
+
+    const newestFirst = applyUpdates(rows, resolveDuplicates(rows, { tiebreak: (a, b) => b.syncedAt - a.syncedAt }));
+    assert.deepStrictEqual(newestFirst.map(row => row.id), [1, 2, 3]);
+
+    // Without a usable tiebreak, input order decides - including for bare strings
+    const strings = ['0.2', '0.2', '0.1'];
+    const updates = resolveDuplicates(strings);
+    assert.deepStrictEqual(updates.map(update => update.position), [1]);
+    console.log('✅ Duplicates are ordered by property, comparator or input order');
+}
+
+function testEdgeCases() {
+    console.log('\n🧪 === Testing Duplicate Edge Cases ===');
+
+    // Equal values spelled differently are duplicates too
+    const spelled = [{ id: 1, index: '0.5' }, { id: 2, index: '0.50' }, { id: 3, index: '0.500000001' }];
+    const repaired = applyUpdates(spelled, resolveDuplicates(spelled));
+    assert.deepStrictEqual(repaired.map(row => row.id), [1, 2, 3]);
+
+    // Duplicates at the end of the list, beyond 1.0, legacy keys and a custom key property
+    const tail = [{ id: 1, pos: '9.5' }, { id: 2, pos: 'a9.5' }, { id: 3, pos: 'b10' }, { id: 4, pos: 'b10' }];
+    const tailUpdates = resolveDuplicates(tail, { key: 'pos' });
+    assert.deepStrictEqual(tailUpdates.map(update => update.position), [1, 3]);
+    assert.deepStrictEqual(applyUpdates(tail, tailUpdates, 'pos').map(row => row.id), [1, 2, 3, 4]);
+
+    // A big pile-up in a tight gap
+    const pile = [];
+    for (let i = 0; i < 200; i++) pile.push({ id: i, index: '0.12345678901234567' });
+    pile.push({ id: 'next', index: '0.12345678901234568' });
+    const pileUpdates = resolveDuplicates(pile);
+    assert.strictEqual(pileUpdates.length, 199);
+    const sorted = applyUpdates(pile, pileUpdates);
+    assert.strictEqual(sorted[sorted.length - 1].id, 'next');
+    assert.ok(validateIndexes(sorted).valid);
+    console.log('✅ Non-canonical spellings, list ends, legacy keys and tight gaps are handled');
+}
+
+function testIndexerOptions() {
+    console.log('\n🧪 === Testing resolveDuplicates Through an Indexer ===');
+
+    const exact = createIndexer({ jitter: false });
+    assert.deepStrictEqual(
+        exact.resolveDuplicates([{ id: 1, index: '0.1' }, { id: 2, index: '0.1' }, { id: 3, index: '0.2' }]),
+        [{ position: 1, oldIndex: '0.1', newIndex: '0.15' }]
+    );
+
+    const compact = createIndexer({ alphabet: 'base62', jitter: false });
+    assert.deepStrictEqual(
+        compact.resolveDuplicates([{ id: 2, index: '11' }, { id: 1, index: '11' }, { id: 3, index: '12' }]),
+        [{ position: 0, oldIndex: '11', newIndex: '11V' }]
+    );
+    console.log('✅ Indexer jitter and alphabet are honored');
+}
+
+function testInvalidInput() {
+    console.log('\n🧪 === Testing resolveDuplicates Validation ===');
+
+    assert.strictEqual(catchError(() => resolveDuplicates('0.1')).argument, 'items');
+    assert.ok(catchError(() => resolveDuplicates('0.1')) instanceof InvalidArgumentError);
+    assert.strictEqual(catchError(() => resolveDuplicates([], { tiebreak: 3 })).argument, 'tiebreak');
+
+    const error = catchError(() => resolveDuplicates([{ id: 1, index: '0.1' }, { id: 2, index: 'oops' }]));
+    assert.ok(error instanceof InvalidIndexError);
+    assert.strictEqual(error.index, 'oops');
+    assert.match(error.message, /position 1/);
+    console.log('✅ Malformed input raises typed errors');
+}
+
+function runDuplicateTests() {
+    console.log('🚀 Running Duplicate Resolution Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testMinimalRepair();
+        testTiebreaks();
+        testEdgeCases();
+        testIndexerOptions();
+        testInvalidInput();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All duplicate resolution tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runDuplicateTests();
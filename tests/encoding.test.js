@@ -0,0 +1,114 @@
+const assert = require('assert');
+const { generateFractionalIndex, generateBulkIndexes, createIndexer, encodeIndex, decodeIndex, migrateIndexes } = require('../src/index');
+
+// Helper function to assert that plain string comparison sees the list as ordered
+function assertStringOrdered(indexes) {
+    for (let i = 1; i < indexes.length; i++) {
+        assert.ok(indexes[i - 1] < indexes[i], `"${indexes[i - 1]}" should sort before "${indexes[i]}"`);
+    }
+}
+
+function testEncodeDecode() {
+    console.log('\n🧪 === Testing Index Encoding ===');
+
+    assert.strictEqual(encodeIndex('0.0005'), '0.0005');
+    assert.strictEqual(encodeIndex('1.0005'), 'a1.0005');
+    assert.strictEqual(encodeIndex('10.5'), 'b10.5');
+    assert.strictEqual(encodeIndex('007.25'), 'a7.25');
+    assert.strictEqual(decodeIndex('b10.5'), '10.5');
+    assert.strictEqual(decodeIndex('0.0005'), '0.0005');
+    assert.strictEqual(decodeIndex('12.5'), '12.5'); // legacy unprefixed key
+
+    assert.throws(() => decodeIndex('c10.5'), /Invalid index/);
+    assert.throws(() => encodeIndex('abc'), /Invalid index/);
+
+    assertStringOrdered(['0.9999', 'a1', 'a9.99', 'b10', 'b99.5', 'c100']);
+    console.log('✅ Encoded indexes compare byte-wise in numeric order');
+}
+
+function testUnboundedAppends() {
+    console.log('\n🧪 === Testing 20,000 Appends ===');
+
+    const indexes = [generateFractionalIndex(null, null)];
+    for (let i = 0; i < 20000; i++) {
+        indexes.push(generateFractionalIndex(indexes[indexes.length - 1], null));
+    }
+
+    assertStringOrdered(indexes);
+    console.log(`✅ String order holds from ${indexes[0]} to ${indexes[indexes.length - 1]}`);
+}
+
+function testMixedLegacyBounds() {
+    console.log('\n🧪 === Testing Generation Around Legacy Keys ===');
+
+    const between = generateFractionalIndex('9.9', '10.1');
+    assert.ok(/^[ab]\d/.test(between), `${between} should be encoded`);
+    assert.ok(Number(decodeIndex(between)) > 9.9 && Number(decodeIndex(between)) < 10.1);
+
+    const bulk = generateBulkIndexes('a9.5', 'b10.5', 5);
+    assertStringOrdered(['a9.5', ...bulk, 'b10.5']);
+    console.log(`✅ Generated ${between} and ${bulk.length} bulk keys around the 10.0 boundary`);
+}
+
+function testLargeKeys() {
+    console.log('\n🧪 === Testing Keys Beyond Float Precision ===');
+
+    const warnings = [];
+    const indexer = createIndexer({ jitter: false, logger: { warn: message => warnings.push(message) } });
+    const jittered = createIndexer({ seed: 3, logger: { warn: message => warnings.push(message) } });
+
+    // 16 integer digits leave floats no room for the step: appends add on the strings
+    const long = 'p1234567890123456.79';
+    const afterLong = indexer.generateFractionalIndex(long, null, { withMetadata: true });
+    assert.strictEqual(afterLong.index, 'p1234567890123456.791');
+    assert.strictEqual(afterLong.metadata.fallback, 'precision');
+    assertStringOrdered([long, jittered.generateFractionalIndex(long, null)]);
+
+    // From 22 integer digits toFixed writes exponents, which are no keys at all
+    const huge = 'v1234567890123456789012.5';
+    assert.strictEqual(indexer.generateFractionalIndex(huge, null), 'v1234567890123456789012.501');
+    const appends = [huge];
+    for (let i = 0; i < 5; i++) appends.push(jittered.generateFractionalIndex(appends[appends.length - 1], null));
+    assertStringOrdered(appends);
+
+    // Between two such keys the exact midpoint is used, without a boundary warning
+    const between = jittered.generateFractionalIndex('v1000000000000000000000', 'v2000000000000000000000', { withMetadata: true });
+    assert.strictEqual(between.index, 'v1500000000000000000000');
+    assert.strictEqual(between.metadata.fallback, 'precision');
+    assert.deepStrictEqual(warnings, []);
+    console.log(`✅ Appended ${afterLong.index} and ${appends[1]} in string order`);
+}
+
+function testMigration() {
+    console.log('\n🧪 === Testing Legacy Key Migration ===');
+
+    const legacy = ['0.5', '0.9995', '1.0005', '9.5', '10.25', '100.75'];
+    const migrated = migrateIndexes(legacy);
+
+    assert.deepStrictEqual(migrated, ['0.5', '0.9995', 'a1.0005', 'a9.5', 'b10.25', 'c100.75']);
+    assertStringOrdered(migrated);
+    assert.deepStrictEqual(migrateIndexes(migrated), migrated);
+    console.log('✅ Migration keeps values and fixes string order');
+}
+
+function runEncodingTests() {
+    console.log('🚀 Running Lexicographic Encoding Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testEncodeDecode();
+        testUnboundedAppends();
+        testMixedLegacyBounds();
+        testLargeKeys();
+        testMigration();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All encoding tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runEncodingTests();
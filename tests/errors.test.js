@@ -0,0 +1,141 @@
+const assert = require('assert');
+const {
+    generateFractionalIndex,
+    generateBulkIndexes,
+    generateRelocationIndexes,
+    createIndexer,
+    createSeededRandom,
+    encodeIndex,
+    decodeIndex,
+    migrateIndexes,
+    needsRebalance,
+    rebalance,
+    validateIndexes,
+    findNeighbors,
+    FractionalIndexError,
+    InvalidIndexError,
+    InvalidRangeError,
+    InvalidCountError,
+    InvalidArgumentError
+} = require('../src/index');
+
+// Runs fn and returns what it threw, failing if it did not throw
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+function testInvalidIndexes() {
+    console.log('\n🧪 === Testing Invalid Index Arguments ===');
+
+    const error = catchError(() => generateFractionalIndex('abc', '0.5'));
+    assert.ok(error instanceof InvalidIndexError);
+    assert.ok(error instanceof FractionalIndexError);
+    assert.ok(error instanceof Error);
+    assert.strictEqual(error.name, 'InvalidIndexError');
+    assert.strictEqual(error.index, 'abc');
+    assert.strictEqual(error.argument, 'prevIndex');
+
+    // Only null marks an open end; undefined, numbers and blank strings are mistakes
+    [undefined, 0.5, NaN, '', ' ', '-0.5', '1e-7', {}].forEach(value => {
+        const thrown = catchError(() => generateFractionalIndex(null, value));
+        assert.ok(thrown instanceof InvalidIndexError, `${String(value)} should be rejected`);
+        assert.strictEqual(thrown.argument, 'nextIndex');
+    });
+    assert.match(catchError(() => generateFractionalIndex(undefined, null)).message, /use null for an open end/);
+
+    assert.ok(catchError(() => decodeIndex(0.5)) instanceof InvalidIndexError);
+    assert.ok(catchError(() => encodeIndex(12)) instanceof InvalidIndexError);
+    assert.ok(catchError(() => migrateIndexes(['0.5', 'x'])) instanceof InvalidIndexError);
+    console.log('✅ Malformed indexes raise InvalidIndexError naming the argument');
+}
+
+function testInvalidRanges() {
+    console.log('\n🧪 === Testing Invalid Ranges ===');
+
+    const error = catchError(() => generateFractionalIndex('0.5', '0.5'));
+    assert.ok(error instanceof InvalidRangeError);
+    assert.strictEqual(error.prevIndex, '0.5');
+    assert.strictEqual(error.nextIndex, '0.5');
+
+    assert.ok(catchError(() => generateFractionalIndex('0.6', '0.5')) instanceof InvalidRangeError);
+    assert.ok(catchError(() => generateFractionalIndex(null, '0')) instanceof InvalidRangeError);
+    assert.ok(catchError(() => needsRebalance('0.6', '0.5')) instanceof InvalidRangeError);
+    assert.ok(catchError(() => rebalance(['0.6', '0.5'])) instanceof InvalidRangeError);
+
+    // Bounds are checked even when nothing would be generated
+    assert.ok(catchError(() => generateBulkIndexes('0.6', '0.5', 0)) instanceof InvalidRangeError);
+    assert.ok(catchError(() => generateRelocationIndexes('0.6', '0.5', 0)) instanceof InvalidRangeError);
+    console.log('✅ Out-of-order bounds raise InvalidRangeError with both bounds attached');
+}
+
+function testInvalidCounts() {
+    console.log('\n🧪 === Testing Invalid Counts ===');
+
+    [-1, 1.5, '3', NaN, Infinity, null, undefined].forEach(count => {
+        const bulkError = catchError(() => generateBulkIndexes(null, null, count));
+        assert.ok(bulkError instanceof InvalidCountError, `${String(count)} should be rejected`);
+        assert.strictEqual(bulkError.count, count);
+        assert.ok(catchError(() => generateRelocationIndexes(null, null, count)) instanceof InvalidCountError);
+    });
+
+    assert.deepStrictEqual(generateBulkIndexes(null, null, 0), []);
+    assert.deepStrictEqual(generateRelocationIndexes('0.1', '0.2', 0), []);
+    console.log('✅ Counts must be non-negative integers; 0 still returns an empty array');
+}
+
+function testInvalidArguments() {
+    console.log('\n🧪 === Testing Invalid Options and Arguments ===');
+
+    const cases = [
+        [() => createIndexer({ random: 0.5 }), 'random'],
+        [() => createIndexer({ seed: {} }), 'seed'],
+        [() => createIndexer({ jitter: 'no' }), 'jitter'],
+        [() => createSeededRandom(null), 'seed'],
+        [() => generateRelocationIndexes(null, null, 2, 'yes'), 'distributeEvenly'],
+        [() => migrateIndexes('0.5'), 'indexes'],
+        [() => rebalance(null), 'sortedIndexes'],
+        [() => rebalance(['0.5'], { minGap: 'x' }), 'minGap'],
+        [() => rebalance(['0.5'], { targetGap: 0 }), 'targetGap'],
+        [() => rebalance(['0.5'], { maxLength: 2.5 }), 'maxLength'],
+        [() => needsRebalance('0.5', null, { maxLength: '3' }), 'maxLength'],
+        [() => needsRebalance('0.5', null, { minGap: NaN }), 'minGap'],
+        [() => validateIndexes({}), 'list'],
+        [() => validateIndexes(['0.5'], { key: 5 }), 'key'],
+        [() => validateIndexes(['0.5'], { minGap: -1 }), 'minGap'],
+        [() => findNeighbors([], '0.5', { key: '' }), 'key'],
+        [() => createIndexer().resolveDuplicates([], { key: null }), 'key'],
+        [() => createIndexer().moveItems([], [], 0, { idKey: 1 }), 'idKey']
+    ];
+    cases.forEach(([fn, argument]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError, `${argument} should raise InvalidArgumentError`);
+        assert.strictEqual(error.argument, argument);
+    });
+    console.log(`✅ ${cases.length} malformed options and arguments raise InvalidArgumentError`);
+}
+
+function runErrorTests() {
+    console.log('🚀 Running Input Validation Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testInvalidIndexes();
+        testInvalidRanges();
+        testInvalidCounts();
+        testInvalidArguments();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All validation error tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runErrorTests();
@@ -0,0 +1,50 @@
+import assert from 'assert';
+import { createRequire } from 'module';
+import fracIndexes, { generateFractionalIndex, createIndexer, InvalidIndexError } from 'frac-indexes';
+import * as wrapper from '../src/index.mjs';
+
+const require = createRequire(import.meta.url);
+
+function testNamedExports() {
+    console.log('\n🧪 === Testing ES Module Exports ===');
+
+    const commonjs = require('frac-indexes');
+    const named = Object.keys(wrapper).filter(name => name !== 'default').sort();
+
+    assert.deepStrictEqual(named, Object.keys(commonjs).sort(), 'every CommonJS export should have a named ESM export');
+    named.forEach(name => assert.strictEqual(wrapper[name], commonjs[name], `${name} should be the same object`));
+    assert.strictEqual(fracIndexes, commonjs);
+    console.log(`✅ ${named.length} named exports match the CommonJS build`);
+}
+
+function testPackageEntryPoints() {
+    console.log('\n🧪 === Testing Package Entry Points ===');
+
+    const first = generateFractionalIndex(null, null);
+    assert.ok(generateFractionalIndex(first, null) > first);
+    assert.throws(() => generateFractionalIndex('abc', null), InvalidIndexError);
+    assert.deepStrictEqual(
+        createIndexer({ seed: 3 }).generateBulkIndexes(null, null, 10),
+        require('frac-indexes').createIndexer({ seed: 3 }).generateBulkIndexes(null, null, 10)
+    );
+    console.log('✅ import and require resolve through the exports map');
+}
+
+function runESMTests() {
+    console.log('🚀 Running ES Module Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testNamedExports();
+        testPackageEntryPoints();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All ES module tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runESMTests();
@@ -1,4 +1,4 @@
-const { generateFractionalIndex, generateBulkIndexes, generateRelocationIndexes } = require('../src/index');
+const { generateFractionalIndex, generateBulkIndexes, generateRelocationIndexes, compareIndexes } = require('../src/index');
 
 // Helper function to create items with titles and indexes
 function createItem(title, index) {
@@ -19,7 +19,7 @@ function displayItems(items, description) {
     
     // Verify ordering
     const isCorrectOrder = items.every((item, i) => 
-        i === 0 || item.index > items[i - 1].index
+        i === 0 || compareIndexes(items[i - 1].index, item.index) < 0
     );
     
     console.log(`✅ Ordering is ${isCorrectOrder ? 'CORRECT' : 'INCORRECT'}`);
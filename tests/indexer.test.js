@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { createIndexer, createSeededRandom } = require('../src/index');
+
+// Helper function to run the same sequence of operations against an indexer
+function buildList(indexer) {
+    const indexes = indexer.generateBulkIndexes(null, null, 5);
+    indexes.splice(2, 0, indexer.generateFractionalIndex(indexes[1], indexes[2]));
+    indexes.unshift(indexer.generateFractionalIndex(null, indexes[0]));
+    indexes.push(...indexer.generateRelocationIndexes(indexes[indexes.length - 1], null, 3));
+    return indexes;
+}
+
+function testSeededRandom() {
+    console.log('\n🧪 === Testing Seeded Random Source ===');
+
+    const first = createSeededRandom(1234);
+    const second = createSeededRandom(1234);
+    const values = Array.from({ length: 1000 }, () => first());
+
+    assert.deepStrictEqual(values, Array.from({ length: 1000 }, () => second()));
+    assert.ok(values.every(value => value >= 0 && value < 1));
+    assert.notStrictEqual(createSeededRandom('session-a')(), createSeededRandom('session-b')());
+    console.log('✅ Equal seeds produce equal sequences in [0, 1)');
+}
+
+function testReproducibleIndexers() {
+    console.log('\n🧪 === Testing Reproducible Indexers ===');
+
+    assert.deepStrictEqual(buildList(createIndexer({ seed: 'replay' })), buildList(createIndexer({ seed: 'replay' })));
+    console.log('✅ Seeded indexers replay identically');
+
+    let calls = 0;
+    const custom = createIndexer({ random: () => { calls++; return 0.25; } });
+    buildList(custom);
+    assert.ok(calls > 0, 'custom random source should be used for jitter');
+    console.log(`✅ Custom random source was called ${calls} times`);
+}
+
+function testJitterDisabled() {
+    console.log('\n🧪 === Testing jitter: false ===');
+
+    const indexer = createIndexer({ jitter: false, random: () => { throw new Error('random should not be called'); } });
+    const indexes = buildList(indexer);
+
+    assert.deepStrictEqual(indexes, buildList(createIndexer({ jitter: false })));
+    assert.strictEqual(indexer.generateFractionalIndex('0.001', '0.002'), '0.0015');
+    for (let i = 1; i < indexes.length; i++) {
+        assert.ok(indexes[i - 1] < indexes[i], `${indexes[i - 1]} should sort before ${indexes[i]}`);
+    }
+    console.log(`✅ Deterministic keys: ${indexes.join(', ')}`);
+}
+
+function runIndexerTests() {
+    console.log('🚀 Running Indexer Factory Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testSeededRandom();
+        testReproducibleIndexers();
+        testJitterDisabled();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All indexer tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runIndexerTests();
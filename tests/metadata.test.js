@@ -0,0 +1,186 @@
+const assert = require('assert');
+const {
+    createIndexer,
+    generateFractionalIndex,
+    generateBulkIndexes,
+    OrderedList,
+    InvalidArgumentError
+} = require('../src/index');
+
+// Bounds that float math cannot split: their midpoint rounds back onto the lower bound
+const UNSPLITTABLE = ['p9007199254740992', 'p9007199254740994'];
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+function testMetadataShape() {
+    console.log('\n🧪 === Testing Generation Metadata ===');
+
+    const indexer = createIndexer({ seed: 1 });
+    const empty = indexer.generateFractionalIndex(null, null, { withMetadata: true });
+    assert.deepStrictEqual(Object.keys(empty), ['index', 'metadata']);
+    assert.deepStrictEqual(Object.keys(empty.metadata), ['position', 'count', 'keyLength', 'gap', 'headroom', 'fallback']);
+    assert.strictEqual(empty.metadata.position, 'empty');
+    assert.strictEqual(empty.metadata.keyLength, empty.index.length);
+    assert.strictEqual(empty.metadata.gap, null);
+    assert.strictEqual(empty.metadata.fallback, null);
+
+    assert.strictEqual(indexer.generateFractionalIndex(null, '0.5', { withMetadata: true }).metadata.position, 'start');
+    assert.strictEqual(indexer.generateFractionalIndex('0.5', null, { withMetadata: true }).metadata.position, 'end');
+    const between = indexer.generateFractionalIndex('0.1', '0.35', { withMetadata: true }).metadata;
+    assert.strictEqual(between.position, 'between');
+    assert.strictEqual(between.gap, 0.25);
+
+    const bulk = indexer.generateBulkIndexes('0.1', '0.2', 5, { withMetadata: true });
+    assert.strictEqual(bulk.indexes.length, 5);
+    assert.strictEqual(bulk.metadata.count, 5);
+    assert.strictEqual(bulk.metadata.keyLength, Math.max.apply(null, bulk.indexes.map(index => index.length)));
+    assert.deepStrictEqual(indexer.generateBulkIndexes(null, null, 0, { withMetadata: true }), { indexes: [], metadata: null });
+
+    // Without the option, results are unchanged
+    assert.strictEqual(typeof generateFractionalIndex(null, null), 'string');
+    assert.ok(Array.isArray(generateBulkIndexes(null, null, 3, { withMetadata: false })));
+
+    const compact = createIndexer({ alphabet: 'base62', seed: 1 }).generateFractionalIndex('0V', '11', { withMetadata: true });
+    assert.strictEqual(compact.metadata.gap, 0.5);
+    assert.ok(compact.metadata.headroom > between.headroom, 'base-62 digits carry more bits');
+    console.log('✅ Position, count, key length and gap describe each call');
+}
+
+function testHeadroom() {
+    console.log('\n🧪 === Testing Headroom ===');
+
+    // Keep inserting at the same spot until the key length budget runs out
+    const indexer = createIndexer({ jitter: false, maxKeyLength: 30 });
+    let next = '0.2';
+    let previous = Infinity;
+    let exhaustedAt = null;
+    for (let i = 0; exhaustedAt === null; i++) {
+        const { index, metadata } = indexer.generateFractionalIndex('0.1', next, { withMetadata: true });
+        assert.ok(metadata.headroom <= previous, 'headroom only shrinks while the gap does');
+        previous = metadata.headroom;
+        if (metadata.headroom === 0) exhaustedAt = index.length;
+        next = index;
+    }
+    assert.ok(exhaustedAt >= 28 && exhaustedAt <= 31, `headroom ran out at ${exhaustedAt} characters`);
+
+    // A fresh gap has far more headroom than a crowded one, and a longer budget adds to it
+    const crowded = createIndexer({ jitter: false }).generateFractionalIndex('0.1', '0.1000000000000000001', { withMetadata: true });
+    const fresh = createIndexer({ jitter: false }).generateFractionalIndex('0.1', '0.2', { withMetadata: true });
+    const roomy = createIndexer({ jitter: false, maxKeyLength: 1000 }).generateFractionalIndex('0.1', '0.2', { withMetadata: true });
+    assert.ok(crowded.metadata.headroom + 50 < fresh.metadata.headroom);
+    assert.ok(fresh.metadata.headroom < roomy.metadata.headroom);
+    console.log(`✅ Headroom counts down to 0 as keys approach maxKeyLength (fresh gap: ${fresh.metadata.headroom})`);
+}
+
+function testFallbacksAndLogger() {
+    console.log('\n🧪 === Testing Fallbacks and the Logger ===');
+
+    const warnings = [];
+    const logger = { warn: (message, details) => warnings.push({ message, details }) };
+    const indexer = createIndexer({ random: () => 0.5, logger });
+
+    const boundary = indexer.generateFractionalIndex(UNSPLITTABLE[0], UNSPLITTABLE[1], { withMetadata: true });
+    assert.strictEqual(boundary.index, 'p9007199254740993');
+    assert.strictEqual(boundary.metadata.fallback, 'boundary');
+    assert.strictEqual(warnings.length, 1);
+    assert.strictEqual(warnings[0].message, 'Boundary violation detected, using safe midpoint');
+    assert.deepStrictEqual(warnings[0].details, {
+        prevIndex: UNSPLITTABLE[0],
+        nextIndex: UNSPLITTABLE[1],
+        candidate: '9007199254740992.0000000000'
+    });
+
+    const tight = indexer.generateFractionalIndex('0.1', '0.1000000000001', { withMetadata: true });
+    assert.strictEqual(tight.metadata.fallback, 'precision');
+    assert.strictEqual(warnings.length, 1, 'exact arithmetic on tight gaps is expected, not a warning');
+
+    // The default logger is the console; null silences it
+    const originalWarn = console.warn;
+    const printed = [];
+    console.warn = message => printed.push(message);
+    try {
+        createIndexer({ random: () => 0.5 }).generateFractionalIndex(UNSPLITTABLE[0], UNSPLITTABLE[1]);
+        createIndexer({ random: () => 0.5, logger: null }).generateFractionalIndex(UNSPLITTABLE[0], UNSPLITTABLE[1]);
+    } finally {
+        console.warn = originalWarn;
+    }
+    assert.deepStrictEqual(printed, ['Boundary violation detected, using safe midpoint']);
+    console.log('✅ Fallbacks are reported in the metadata and through the pluggable logger');
+}
+
+function testOnGenerate() {
+    console.log('\n🧪 === Testing the onGenerate Hook ===');
+
+    const events = [];
+    const indexer = createIndexer({ seed: 4, onGenerate: metadata => events.push(metadata) });
+    const first = indexer.generateFractionalIndex(null, null);
+    indexer.generateBulkIndexes(first, null, 3);
+    indexer.generateBulkIndexes(first, null, 0);
+    indexer.generateRelocationIndexes(null, first, 2, false);
+    indexer.moveItems([{ id: 1, index: '0.1' }, { id: 2, index: '0.2' }, { id: 3, index: '0.3' }], [3], 0);
+    indexer.resolveDuplicates([{ id: 1, index: '0.1' }, { id: 2, index: '0.1' }]);
+    assert.deepStrictEqual(events.map(event => event.count), [1, 3, 2, 1, 1], 'one event per generating call');
+    assert.deepStrictEqual(events.map(event => event.position), ['empty', 'end', 'start', 'start', 'end']);
+
+    const listEvents = [];
+    const list = new OrderedList([{ id: 1, index: first }], { onGenerate: metadata => listEvents.push(metadata) });
+    list.insertAfter(1, { id: 2 });
+    assert.strictEqual(listEvents.length, 1);
+
+    // Alerting before a list needs rebalancing: the alert fires while keys still fit the budget
+    const alerts = [];
+    const watched = createIndexer({ jitter: false, maxKeyLength: 40, onGenerate: m => m.headroom < 20 && alerts.push(m) });
+    let next = '0.2';
+    while (alerts.length === 0) next = watched.generateFractionalIndex('0.1', next);
+    assert.ok(next.length < 40 - 3, `the alert came at ${next.length} characters`);
+    console.log(`✅ onGenerate fires once per call, including from moves and lists (${events.length} events)`);
+}
+
+function testInvalidOptions() {
+    console.log('\n🧪 === Testing Metadata Option Validation ===');
+
+    const cases = [
+        [() => createIndexer({ logger: console.warn }), 'logger'],
+        [() => createIndexer({ logger: {} }), 'logger'],
+        [() => createIndexer({ onGenerate: 'metrics' }), 'onGenerate'],
+        [() => createIndexer({ maxKeyLength: 0 }), 'maxKeyLength'],
+        [() => createIndexer({ maxKeyLength: 12.5 }), 'maxKeyLength'],
+        [() => generateFractionalIndex(null, null, { withMetadata: 'yes' }), 'withMetadata'],
+        [() => generateBulkIndexes(null, null, 2, { withMetadata: 1 }), 'withMetadata']
+    ];
+    cases.forEach(([fn, argument]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError, `${argument} should raise InvalidArgumentError`);
+        assert.strictEqual(error.argument, argument);
+    });
+    console.log(`✅ ${cases.length} malformed options raise InvalidArgumentError`);
+}
+
+function runMetadataTests() {
+    console.log('🚀 Running Generation Metadata Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testMetadataShape();
+        testHeadroom();
+        testFallbacksAndLogger();
+        testOnGenerate();
+        testInvalidOptions();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All generation metadata tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runMetadataTests();
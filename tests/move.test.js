@@ -0,0 +1,141 @@
+const assert = require('assert');
+const {
+    moveItems,
+    createIndexer,
+    generateBulkIndexes,
+    decodeIndex,
+    InvalidArgumentError
+} = require('../src/index');
+const { compareDecimal } = require('../src/decimal');
+
+function makeList(ids) {
+    const indexes = generateBulkIndexes(null, null, ids.length);
+    return ids.map((id, i) => ({ id, index: indexes[i] }));
+}
+
+// Applies the changes and returns the ids in their new order
+function applyChanges(list, changes) {
+    const updated = new Map(changes.map(change => [change.id, change.index]));
+    return list
+        .map(item => ({ id: item.id, index: updated.has(item.id) ? updated.get(item.id) : item.index }))
+        .sort((a, b) => compareDecimal(decodeIndex(a.index), decodeIndex(b.index)))
+        .map(item => item.id);
+}
+
+// Reference result: take the moved items out, then splice them back in at toPosition
+function expectedOrder(list, ids, toPosition) {
+    const moved = list.filter(item => ids.indexOf(item.id) !== -1).map(item => item.id);
+    const remaining = list.filter(item => ids.indexOf(item.id) === -1).map(item => item.id);
+    remaining.splice(toPosition, 0, ...moved);
+    return remaining;
+}
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+function testNonContiguousMoves() {
+    console.log('\n🧪 === Testing Non-Contiguous Moves ===');
+
+    const list = makeList(['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+    const changes = moveItems(list, ['f', 'b'], 0);
+    // Relative order comes from the list, not from the ids argument
+    assert.deepStrictEqual(changes.map(change => change.id), ['b', 'f']);
+    assert.deepStrictEqual(applyChanges(list, changes), ['b', 'f', 'a', 'c', 'd', 'e', 'g']);
+
+    const toEnd = moveItems(list, ['a', 'c', 'e'], 4);
+    assert.deepStrictEqual(applyChanges(list, toEnd), ['b', 'd', 'f', 'g', 'a', 'c', 'e']);
+    console.log('✅ Scattered items land together, in list order');
+}
+
+function testMovesAroundOldPositions() {
+    console.log('\n🧪 === Testing Moves Next to the Moved Items ===');
+
+    // The classic mistake: using a moved item's old key as a neighbor
+    const list = makeList(['a', 'b', 'c', 'd', 'e']);
+    assert.deepStrictEqual(applyChanges(list, moveItems(list, ['b', 'd'], 2)), ['a', 'c', 'b', 'd', 'e']);
+    assert.deepStrictEqual(applyChanges(list, moveItems(list, ['a'], 1)), ['b', 'a', 'c', 'd', 'e']);
+    assert.deepStrictEqual(applyChanges(list, moveItems(list, ['e'], 4)), ['a', 'b', 'c', 'd', 'e']);
+    assert.deepStrictEqual(applyChanges(list, moveItems(list, ['a', 'b', 'c', 'd', 'e'], 0)), ['a', 'b', 'c', 'd', 'e']);
+
+    // Every combination of moved items and destination on a small list
+    const ids = ['a', 'b', 'c', 'd', 'e', 'f'];
+    const full = makeList(ids);
+    let checked = 0;
+    for (let mask = 1; mask < 1 << ids.length; mask++) {
+        const moving = ids.filter((id, i) => mask & (1 << i));
+        for (let toPosition = 0; toPosition <= ids.length - moving.length; toPosition++) {
+            const changes = moveItems(full, moving.slice().reverse(), toPosition);
+            assert.strictEqual(changes.length, moving.length);
+            assert.deepStrictEqual(applyChanges(full, changes), expectedOrder(full, moving, toPosition));
+            checked++;
+        }
+    }
+    console.log(`✅ ${checked} move combinations match the remove-then-insert result`);
+}
+
+function testOptions() {
+    console.log('\n🧪 === Testing moveItems Options ===');
+
+    const rows = [{ key: 1, position: '0.1' }, { key: 2, position: '0.2' }, { key: 3, position: '0.3' }];
+    const exact = createIndexer({ jitter: false });
+    assert.deepStrictEqual(
+        exact.moveItems(rows, [3], 1, { idKey: 'key', indexKey: 'position' }),
+        [{ id: 3, index: '0.15' }]
+    );
+    assert.deepStrictEqual(exact.moveItems(rows.map(row => ({ id: row.key, index: row.position })), [], 0), []);
+
+    const compact = createIndexer({ alphabet: 'base62', jitter: false });
+    assert.deepStrictEqual(
+        compact.moveItems([{ id: 'x', index: '11' }, { id: 'y', index: '12' }, { id: 'z', index: '13' }], ['x'], 1),
+        [{ id: 'x', index: '12V' }]
+    );
+    console.log('✅ Custom property names and alphabets are supported');
+}
+
+function testInvalidInput() {
+    console.log('\n🧪 === Testing moveItems Validation ===');
+
+    const list = makeList(['a', 'b', 'c']);
+    const cases = [
+        [() => moveItems('list', ['a'], 0), 'list'],
+        [() => moveItems(list, 'a', 0), 'ids'],
+        [() => moveItems(list, ['a', 'a'], 0), 'ids'],
+        [() => moveItems(list, ['x'], 0), 'ids'],
+        [() => moveItems(list, ['a'], 3), 'toPosition'],
+        [() => moveItems(list, ['a'], -1), 'toPosition'],
+        [() => moveItems(list, ['a'], 0.5), 'toPosition']
+    ];
+    cases.forEach(([fn, argument]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError, `${argument} should raise InvalidArgumentError`);
+        assert.strictEqual(error.argument, argument);
+    });
+    console.log(`✅ ${cases.length} invalid calls raise InvalidArgumentError`);
+}
+
+function runMoveTests() {
+    console.log('🚀 Running moveItems Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testNonContiguousMoves();
+        testMovesAroundOldPositions();
+        testOptions();
+        testInvalidInput();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All moveItems tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runMoveTests();
@@ -0,0 +1,271 @@
+const assert = require('assert');
+const {
+    createOpLog,
+    replayOpLog,
+    invertOp,
+    sortByIndex,
+    ReplayError,
+    InvalidArgumentError
+} = require('../src/index');
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+// Applies the keys an op wrote to a map of id -> key, like a caller persisting them would
+function applyOp(keys, op) {
+    const ids = op.type === 'insert' ? [op.id] : op.ids;
+    const indexes = op.type === 'insert' ? [op.index] : op.indexes;
+    ids.forEach((id, i) => {
+        if (op.type === 'remove') {
+            keys.delete(id);
+        } else {
+            keys.set(id, indexes[i]);
+        }
+    });
+}
+
+function toItems(keys, options = {}) {
+    const items = [];
+    keys.forEach((index, id) => items.push({ id, index }));
+    return sortByIndex(items, 'index', options);
+}
+
+// An editing session: inserts, a pasted batch, a drag of two items and an undo
+function recordSession(log) {
+    const keys = new Map();
+    const record = () => applyOp(keys, log.ops()[log.ops().length - 1]);
+
+    const a = log.insert('a', null, null);
+    record();
+    const c = log.insert('c', a, null);
+    record();
+    log.insert('b', a, c);
+    record();
+    log.insertBulk(['d', 'e', 'f'], c, null, { layout: 'append' });
+    record();
+    // Drag d and e to the top
+    const moving = ['d', 'e'].map(id => ({ id, index: keys.get(id) }));
+    log.relocate(moving, null, a);
+    record();
+    log.insert('g', keys.get('e'), a);
+    record();
+    applyOp(keys, log.undo());
+    return keys;
+}
+
+function testRecording() {
+    console.log('\n🧪 === Testing Recording ===');
+
+    const log = createOpLog({ seed: 'doc-1' });
+    const keys = recordSession(log);
+    const ops = log.ops();
+    assert.deepStrictEqual(ops.map(op => op.type), ['insert', 'insert', 'insert', 'bulkInsert', 'relocate', 'insert', 'remove']);
+
+    // Each op holds the neighbor keys it was placed between and the keys it produced
+    assert.deepStrictEqual(ops[2], { type: 'insert', id: 'b', prevIndex: ops[0].index, nextIndex: ops[1].index, index: ops[2].index });
+    assert.deepStrictEqual(ops[4].oldIndexes, ops[3].indexes.slice(0, 2));
+    assert.strictEqual(ops[4].nextIndex, ops[0].index);
+    assert.deepStrictEqual(ops[6], { type: 'remove', ids: ['g'], oldIndexes: [ops[5].index] });
+    assert.deepStrictEqual(toItems(keys).map(item => item.id), ['d', 'e', 'a', 'b', 'c', 'f']);
+
+    // The log hands out copies
+    log.ops()[0].index = 'changed';
+    assert.notStrictEqual(log.ops()[0].index, 'changed');
+
+    // The same seed and calls record the same keys
+    assert.deepStrictEqual(createOpLog({ seed: 'doc-1' }).ops(), []);
+    const again = createOpLog({ seed: 'doc-1' });
+    recordSession(again);
+    assert.deepStrictEqual(again.ops(), ops);
+    console.log(`✅ ${ops.length} ops record their neighbors and the keys they produced`);
+}
+
+function testReplay() {
+    console.log('\n🧪 === Testing Replay ===');
+
+    const log = createOpLog({ seed: 'doc-2' });
+    const keys = recordSession(log);
+    const json = JSON.stringify(log);
+    assert.strictEqual(JSON.parse(json).version, 1);
+    assert.deepStrictEqual(JSON.parse(json).options, { seed: 'doc-2' });
+
+    // Replaying the JSON on an empty list rebuilds the same items and keys
+    assert.deepStrictEqual(replayOpLog(json), toItems(keys));
+    assert.deepStrictEqual(replayOpLog(log), toItems(keys));
+    assert.deepStrictEqual(replayOpLog(log.toJSON()), toItems(keys));
+
+    // Without a seed, the log picks one and records it
+    const unseeded = createOpLog();
+    const unseededKeys = recordSession(unseeded);
+    assert.strictEqual(typeof unseeded.toJSON().options.seed, 'number');
+    assert.deepStrictEqual(replayOpLog(JSON.stringify(unseeded)), toItems(unseededKeys));
+
+    // The recorded options come back: compact keys, descending lists, adaptive runs, site ids
+    [
+        { seed: 3, alphabet: 'base62' },
+        { seed: 4, order: 'descending', allowNegative: true },
+        { seed: 5, allocation: 'adaptive', siteId: 7 },
+        { seed: 6, strategy: 'string-digit', stepSize: 1 }
+    ].forEach(options => {
+        const configured = createOpLog({ ...options, logger: null });
+        const configuredKeys = recordSession(configured);
+        const { options: recorded } = JSON.parse(JSON.stringify(configured));
+        assert.deepStrictEqual(recorded, options, 'logger is not recorded');
+        assert.deepStrictEqual(replayOpLog(JSON.stringify(configured)), toItems(configuredKeys, options));
+    });
+    console.log('✅ Replaying a log from JSON rebuilds the list it was recorded on');
+}
+
+function testInvert() {
+    console.log('\n🧪 === Testing Undo ===');
+
+    const log = createOpLog({ seed: 'doc-3' });
+    const keys = new Map();
+    const a = log.insert('a', null, null);
+    const [b, c] = log.insertBulk(['b', 'c'], a, null);
+    log.relocate([{ id: 'c', index: c }], null, a);
+    log.ops().forEach(op => applyOp(keys, op));
+    const before = toItems(keys);
+
+    // Undoing the relocation puts c back at its old key, and undoing that moves it again
+    const restore = log.undo();
+    assert.deepStrictEqual(restore, { type: 'restore', ids: ['c'], oldIndexes: [log.ops()[2].indexes[0]], indexes: [c] });
+    applyOp(keys, restore);
+    assert.deepStrictEqual(toItems(keys).map(item => item.id), ['a', 'b', 'c']);
+    applyOp(keys, log.undo());
+    assert.deepStrictEqual(toItems(keys), before);
+
+    // c has moved since the batch was inserted, so the batch can only be undone once the moves are
+    const error = catchError(() => log.undo(1));
+    assert.ok(error instanceof InvalidArgumentError && error.argument === 'position');
+    assert.ok(/item "c" of op 1 was changed by a later op/.test(error.message), error.message);
+
+    // Undoing a batch removes it; undoing the removal brings back the same keys
+    const batch = createOpLog({ seed: 'doc-3' });
+    const batchKeys = new Map();
+    const [batchB, batchC] = batch.insertBulk(['b', 'c'], batch.insert('a', null, null), null);
+    batch.ops().forEach(op => applyOp(batchKeys, op));
+    const inserted = toItems(batchKeys);
+    applyOp(batchKeys, batch.undo());
+    assert.deepStrictEqual(toItems(batchKeys).map(item => item.id), ['a']);
+    const revived = batch.undo();
+    assert.deepStrictEqual(revived, { type: 'restore', ids: ['b', 'c'], oldIndexes: null, indexes: [batchB, batchC] });
+    applyOp(batchKeys, revived);
+    assert.deepStrictEqual(toItems(batchKeys), inserted);
+    assert.deepStrictEqual(invertOp(revived), batch.ops()[2]);
+    assert.deepStrictEqual(replayOpLog(batch), inserted);
+
+    // Inverses are ops like any other, so the log still replays
+    assert.deepStrictEqual(replayOpLog(JSON.stringify(log)), before);
+    assert.deepStrictEqual(invertOp(invertOp(log.ops()[2])), { type: 'restore', ids: ['c'], oldIndexes: [c], indexes: log.ops()[2].indexes });
+    console.log('✅ Undos invert batches, relocations, removals and earlier undos');
+}
+
+function testTampering() {
+    console.log('\n🧪 === Testing Replay Divergence ===');
+
+    const log = createOpLog({ seed: 'doc-4' });
+    recordSession(log);
+    const data = () => JSON.parse(JSON.stringify(log));
+    const cases = [];
+
+    // A key edited after the fact
+    let edited = data();
+    edited.ops[2].index = '0.9';
+    cases.push([edited, 2, /generated .* instead of the recorded 0\.9/]);
+
+    // Ops out of order: the random source, and so the keys, no longer line up
+    edited = data();
+    edited.ops.splice(0, 2, edited.ops[1], edited.ops[0]);
+    cases.push([edited, 0]);
+
+    // Another seed
+    edited = data();
+    edited.options.seed = 'doc-5';
+    cases.push([edited, 0]);
+
+    // Neighbors that were not next to each other
+    edited = data();
+    edited.ops.splice(2, 1);
+    edited.ops.splice(2, 0, { ...data().ops[3], ids: ['x', 'y', 'z'], prevIndex: data().ops[0].index, nextIndex: null });
+    cases.push([edited, 2]);
+
+    // A relocation of items that have other keys, and a removal of an item that is not there
+    edited = data();
+    edited.ops[4].oldIndexes = ['0.5', '0.6'];
+    cases.push([edited, 4, /has key .*, not 0\.5/]);
+    edited = data();
+    edited.ops[6].ids = ['q'];
+    cases.push([edited, 6, /item "q" is not in the list/]);
+
+    cases.forEach(([tampered, step, message]) => {
+        const error = catchError(() => replayOpLog(JSON.stringify(tampered)));
+        assert.ok(error instanceof ReplayError, `op ${step} should raise ReplayError, got ${error}`);
+        assert.strictEqual(error.step, step, error.message);
+        assert.deepStrictEqual(error.op, tampered.ops[step]);
+        if (message) assert.ok(message.test(error.message), error.message);
+    });
+
+    // An item inserted twice
+    const twice = createOpLog({ seed: 1 });
+    const first = twice.insert('a', null, null);
+    twice.insert('a', first, null);
+    assert.strictEqual(catchError(() => replayOpLog(twice)).step, 1);
+    console.log(`✅ ${cases.length + 1} logs that do not rebuild their list raise ReplayError at the first bad op`);
+}
+
+function testInvalidInput() {
+    console.log('\n🧪 === Testing Op Log Input Validation ===');
+
+    const log = createOpLog({ seed: 1 });
+    const cases = [
+        [() => createOpLog({ random: Math.random }), 'random'],
+        [() => createOpLog({ strategy: { between: () => 'm' } }), 'strategy'],
+        [() => createOpLog({ seed: true }), 'seed'],
+        [() => log.insert({ id: 1 }, null, null), 'id'],
+        [() => log.insertBulk(['a', 'a'], null, null), 'ids'],
+        [() => log.insertBulk('ab', null, null), 'ids'],
+        [() => log.relocate(['a'], null, null), 'items'],
+        [() => log.undo(), 'position'],
+        [() => invertOp({ type: 'move' }), 'op'],
+        [() => replayOpLog('{"version":1'), 'log'],
+        [() => replayOpLog({ version: 2, options: {}, ops: [] }), 'log'],
+        [() => replayOpLog({ version: 1, options: { random: 1 }, ops: [] }), 'log']
+    ];
+    cases.forEach(([fn, argument]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError, `${argument} should raise InvalidArgumentError, got ${error}`);
+        assert.strictEqual(error.argument, argument);
+    });
+    assert.deepStrictEqual(log.ops(), [], 'failed calls record nothing');
+    assert.deepStrictEqual(replayOpLog({ version: 1, options: {}, ops: [] }), []);
+    console.log(`✅ ${cases.length} malformed logs, ops and arguments raise InvalidArgumentError`);
+}
+
+function runOpLogTests() {
+    console.log('🚀 Running Op Log Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testRecording();
+        testReplay();
+        testInvert();
+        testTampering();
+        testInvalidInput();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All op log tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runOpLogTests();
@@ -0,0 +1,197 @@
+const assert = require('assert');
+const {
+    OrderedList,
+    createIndexer,
+    generateBulkIndexes,
+    decodeIndex,
+    InvalidIndexError,
+    InvalidArgumentError
+} = require('../src/index');
+const { compareDecimal } = require('../src/decimal');
+
+function ids(list) {
+    return list.toArray().map(item => item.id);
+}
+
+// The list's order must always match the order of its indexes
+function assertConsistent(list) {
+    const items = list.toArray();
+    for (let i = 1; i < items.length; i++) {
+        assert.ok(
+            compareDecimal(decodeIndex(items[i - 1].index), decodeIndex(items[i].index)) < 0,
+            `${items[i - 1].index} should sort before ${items[i].index}`
+        );
+    }
+    items.forEach((item, position) => assert.strictEqual(list.indexOf(item.id), position));
+}
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+function testConstruction() {
+    console.log('\n🧪 === Testing OrderedList Construction ===');
+
+    const source = [
+        { id: 'c', index: 'b10.5', title: 'Third' },
+        { id: 'a', index: '0.5', title: 'First' },
+        { id: 'b', index: '9.5', title: 'Second' }
+    ];
+    const list = new OrderedList(source);
+    assert.deepStrictEqual(ids(list), ['a', 'b', 'c'], 'legacy and encoded keys sort by value');
+    assert.strictEqual(list.size, 3);
+    assert.strictEqual(list.get('b').title, 'Second');
+    assert.ok(list.has('c') && !list.has('d'));
+    assert.strictEqual(list.indexOf('d'), -1);
+
+    // The list works on copies, so callers' objects are never changed behind their back
+    list.insertAfter('a', { id: 'x' });
+    assert.notStrictEqual(list.get('a'), source[1]);
+    assert.strictEqual(source.length, 3);
+    assert.deepStrictEqual(new OrderedList().toArray(), []);
+    console.log('✅ Items are sorted by index value and copied');
+}
+
+function testInserts() {
+    console.log('\n🧪 === Testing OrderedList Inserts ===');
+
+    const list = new OrderedList([], { seed: 1 });
+    assert.deepStrictEqual(list.insertAt(0, { id: 1 }).map(change => change.id), [1]);
+    list.insertAt(1, { id: 3 });
+    const [change] = list.insertBefore(3, { id: 2, index: 'ignored' });
+    assert.strictEqual(change.id, 2);
+    assert.strictEqual(list.get(2).index, change.index);
+    list.insertAfter(3, { id: 4 });
+    list.insertAt(0, { id: 0 });
+    assert.deepStrictEqual(ids(list), [0, 1, 2, 3, 4]);
+    assertConsistent(list);
+
+    // Many inserts into the same gap still keep the list and its keys in step
+    for (let i = 0; i < 200; i++) list.insertAfter(1, { id: `n${i}` });
+    assert.strictEqual(list.size, 205);
+    assert.strictEqual(list.indexOf('n0'), 201);
+    assertConsistent(list);
+    console.log('✅ insertAt / insertBefore / insertAfter return one write each');
+}
+
+function testMoves() {
+    console.log('\n🧪 === Testing OrderedList Moves ===');
+
+    const indexes = generateBulkIndexes(null, null, 6);
+    const list = new OrderedList(['a', 'b', 'c', 'd', 'e', 'f'].map((id, i) => ({ id, index: indexes[i] })), { seed: 2 });
+
+    const changes = list.move(['e', 'b'], 0);
+    assert.deepStrictEqual(changes.map(change => change.id), ['e', 'b']);
+    assert.deepStrictEqual(ids(list), ['e', 'b', 'a', 'c', 'd', 'f']);
+    assertConsistent(list);
+
+    // targetPosition counts the items left behind, so size - ids.length is the end
+    list.move(['a'], 5);
+    assert.deepStrictEqual(ids(list), ['e', 'b', 'c', 'd', 'f', 'a']);
+    list.move(['f', 'e'], 2);
+    assert.deepStrictEqual(ids(list), ['b', 'c', 'f', 'e', 'd', 'a']);
+    assertConsistent(list);
+
+    // Unmoved items keep their keys
+    const before = list.get('c').index;
+    list.move(['a', 'd'], 1);
+    assert.strictEqual(list.get('c').index, before);
+    assert.deepStrictEqual(list.move([], 0), []);
+
+    // The keys are the ones moveItems generates, handed out in the given order
+    const items = ['a', 'b', 'c', 'd'].map((id, i) => ({ id, index: indexes[i] }));
+    const expected = createIndexer({ seed: 7 }).moveItems(items, ['d', 'a'], 1).map(change => change.index);
+    assert.deepStrictEqual(new OrderedList(items, { seed: 7 }).move(['d', 'a'], 1), [{ id: 'd', index: expected[0] }, { id: 'a', index: expected[1] }]);
+    console.log('✅ move keeps the given order and only rewrites moved items');
+}
+
+function testRemove() {
+    console.log('\n🧪 === Testing OrderedList Remove ===');
+
+    const list = new OrderedList([{ id: 1, index: '0.1' }, { id: 2, index: '0.2' }, { id: 3, index: '0.3' }]);
+    assert.strictEqual(list.remove(2).index, '0.2');
+    assert.deepStrictEqual(ids(list), [1, 3]);
+    assert.ok(!list.has(2));
+    list.insertAfter(1, { id: 2 });
+    assertConsistent(list);
+    console.log('✅ remove returns the item and leaves neighbors untouched');
+}
+
+function testOptions() {
+    console.log('\n🧪 === Testing OrderedList Options ===');
+
+    const list = new OrderedList(
+        [{ key: 'b', position: '12' }, { key: 'a', position: '11' }],
+        { idKey: 'key', indexKey: 'position', alphabet: 'base62', jitter: false }
+    );
+    assert.deepStrictEqual(list.insertAfter('a', { key: 'x' }), [{ id: 'x', index: '11V' }]);
+    assert.deepStrictEqual(list.toArray().map(item => item.key), ['a', 'x', 'b']);
+
+    const first = new OrderedList([], { seed: 7 });
+    const second = new OrderedList([], { seed: 7 });
+    assert.deepStrictEqual(first.insertAt(0, { id: 1 }), second.insertAt(0, { id: 1 }));
+
+    // Every option the list does not read itself reaches createIndexer
+    const indexerOptions = { seed: 3, siteId: 12, stepSize: 4, jitterRatio: 0.5 };
+    const direct = createIndexer(indexerOptions);
+    const forwarded = new OrderedList([{ id: 1, index: '0.5' }], indexerOptions);
+    assert.deepStrictEqual(forwarded.insertAt(1, { id: 2 }), [{ id: 2, index: direct.generateFractionalIndex('0.5', null) }]);
+    assert.strictEqual(catchError(() => new OrderedList([], { minSafeGap: -1 })).argument, 'minSafeGap');
+    console.log('✅ Custom property names, alphabets, seeds and indexer options are honored');
+}
+
+function testInvalidInput() {
+    console.log('\n🧪 === Testing OrderedList Validation ===');
+
+    const list = new OrderedList([{ id: 1, index: '0.1' }]);
+    const cases = [
+        [() => new OrderedList('items'), 'items'],
+        [() => new OrderedList([{ index: '0.1' }]), 'items'],
+        [() => new OrderedList([{ id: 1, index: '0.1' }, { id: 1, index: '0.2' }]), 'items'],
+        [() => new OrderedList([], { idKey: '' }), 'idKey'],
+        [() => new OrderedList([], { alphabet: 'base64' }), 'alphabet'],
+        [() => list.insertAt(2, { id: 2 }), 'position'],
+        [() => list.insertAt(0, { id: 1 }), 'item'],
+        [() => list.insertBefore(9, { id: 2 }), 'id'],
+        [() => list.move([1, 1], 0), 'ids'],
+        [() => list.move([1], 1), 'targetPosition'],
+        [() => list.remove(9), 'id']
+    ];
+    cases.forEach(([fn, argument]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError, `${argument} should raise InvalidArgumentError`);
+        assert.strictEqual(error.argument, argument);
+    });
+    assert.ok(catchError(() => new OrderedList([{ id: 1, index: 0.5 }])) instanceof InvalidIndexError);
+    assert.ok(catchError(() => new OrderedList([{ id: 1, index: '0.5' }], { alphabet: 'base62' })) instanceof InvalidIndexError);
+    assert.deepStrictEqual(ids(list), [1], 'failed calls leave the list unchanged');
+    console.log(`✅ ${cases.length + 2} invalid calls raise typed errors`);
+}
+
+function runOrderedListTests() {
+    console.log('🚀 Running OrderedList Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testConstruction();
+        testInserts();
+        testMoves();
+        testRemove();
+        testOptions();
+        testInvalidInput();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All OrderedList tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runOrderedListTests();
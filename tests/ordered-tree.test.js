@@ -0,0 +1,283 @@
+const assert = require('assert');
+const {
+    OrderedTree,
+    createSeededRandom,
+    compareIndexes,
+    createIndexer,
+    decodeIndex,
+    InvalidIndexError,
+    InvalidArgumentError
+} = require('../src/index');
+const { compareDecimal } = require('../src/decimal');
+
+function ids(items) {
+    return items.map(item => item.id);
+}
+
+// Siblings must always be in index order, and sorted path keys must give depth-first order
+function assertConsistent(tree, alphabet = 'decimal') {
+    const compare = alphabet === 'decimal'
+        ? (a, b) => compareDecimal(decodeIndex(a), decodeIndex(b))
+        : (a, b) => compareIndexes(a, b, { alphabet });
+    const order = tree.toArray();
+    [null].concat(ids(order)).forEach(parentId => {
+        const children = tree.children(parentId);
+        for (let i = 1; i < children.length; i++) {
+            assert.ok(
+                compare(children[i - 1].index, children[i].index) < 0,
+                `${children[i - 1].index} should sort before ${children[i].index}`
+            );
+        }
+    });
+    const sorted = tree.pathKeys().sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    assert.deepStrictEqual(sorted.map(entry => entry.id), ids(order), 'path keys should sort depth-first');
+}
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+// Task 1 > (Task 1.2 > Task 1.2.1), Task 1.4; Task 2
+function outline(options) {
+    return new OrderedTree([
+        { id: '1.4', parentId: '1', index: '0.0007870335' },
+        { id: '2', parentId: null, index: '0.6' },
+        { id: '1.2.1', parentId: '1.2', index: '0.5' },
+        { id: '1', index: '0.3' },
+        { id: '1.2', parentId: '1', index: '0.0007637572' }
+    ], options);
+}
+
+function testConstruction() {
+    console.log('\n🧪 === Testing OrderedTree Construction ===');
+
+    const tree = outline();
+    assert.deepStrictEqual(ids(tree.toArray()), ['1', '1.2', '1.2.1', '1.4', '2']);
+    assert.deepStrictEqual(ids(tree.children()), ['1', '2']);
+    assert.deepStrictEqual(ids(tree.children('1')), ['1.2', '1.4']);
+    assert.deepStrictEqual(ids(tree.toArray('1.2')), ['1.2', '1.2.1']);
+    assert.strictEqual(tree.get('1').parentId, null, 'a missing parent id means top level');
+    assert.strictEqual(tree.depth('1.2.1'), 2);
+    assert.strictEqual(tree.size, 5);
+    assert.ok(tree.has('1.4') && !tree.has('3'));
+
+    // Deep outlines are walked without recursion
+    const chain = [];
+    for (let i = 0; i < 20000; i++) chain.push({ id: i, parentId: i === 0 ? null : i - 1, index: '0.5' });
+    assert.strictEqual(new OrderedTree(chain).toArray().length, 20000);
+    assert.deepStrictEqual(new OrderedTree().toArray(), []);
+
+    // Every option the tree does not read itself reaches createIndexer
+    const indexerOptions = { seed: 3, siteId: 12, stepSize: 4, jitterRatio: 0.5 };
+    const direct = createIndexer(indexerOptions);
+    const forwarded = outline(indexerOptions);
+    assert.strictEqual(forwarded.appendChild('1', { id: 'x' })[0].index, direct.generateFractionalIndex('0.0007870335', null));
+    console.log('✅ Items are grouped by parent, sorted by index and walked depth-first');
+}
+
+function testInserts() {
+    console.log('\n🧪 === Testing Child Inserts ===');
+
+    const tree = outline({ seed: 1 });
+    const before = tree.get('1.4').index;
+
+    const [write] = tree.insertAt('1', 1, { id: '1.3' });
+    assert.strictEqual(write.id, '1.3');
+    assert.strictEqual(write.parentId, '1');
+    assert.strictEqual(tree.get('1.3').index, write.index);
+    assert.strictEqual(tree.get('1.4').index, before, 'siblings keep their keys');
+
+    tree.appendChild('1.4', { id: '1.4.1' });
+    tree.appendChild('1.4', { id: '1.4.2' });
+    tree.insertBefore('1.4.1', { id: '1.4.0' });
+    tree.insertAfter('2', { id: '3' });
+    tree.appendChild(null, { id: '4' });
+    assert.deepStrictEqual(ids(tree.toArray()), ['1', '1.2', '1.2.1', '1.3', '1.4', '1.4.0', '1.4.1', '1.4.2', '2', '3', '4']);
+    assert.strictEqual(tree.get('1.4.0').parentId, '1.4');
+    assertConsistent(tree);
+    console.log('✅ Inserting a child writes one key and leaves its siblings alone');
+}
+
+function testMoves() {
+    console.log('\n🧪 === Testing Subtree Moves ===');
+
+    const tree = outline({ seed: 2 });
+    const childKey = tree.get('1.2.1').index;
+
+    // Re-parenting a subtree only rewrites the moved item
+    const writes = tree.move(['1.2'], '2', 0);
+    assert.deepStrictEqual(ids(writes), ['1.2']);
+    assert.strictEqual(writes[0].parentId, '2');
+    assert.strictEqual(tree.get('1.2.1').index, childKey, 'descendants keep their keys');
+    assert.deepStrictEqual(ids(tree.toArray()), ['1', '1.4', '2', '1.2', '1.2.1']);
+
+    // Several subtrees land together, in the order given, among the remaining children
+    tree.appendChild('1', { id: '1.5' });
+    tree.move(['2', '1.5'], '1', 1);
+    assert.deepStrictEqual(ids(tree.toArray()), ['1', '1.4', '2', '1.2', '1.2.1', '1.5']);
+    tree.move(['1.4'], '1', 2);
+    assert.deepStrictEqual(ids(tree.children('1')), ['2', '1.5', '1.4']);
+
+    // Promoting to the top level
+    tree.move(['1.2'], null, 0);
+    assert.strictEqual(tree.depth('1.2.1'), 1);
+    assert.deepStrictEqual(tree.move([], '1', 0), []);
+    assertConsistent(tree);
+    console.log('✅ Moved subtrees keep their shape; only the moved roots get new keys');
+}
+
+function testRemove() {
+    console.log('\n🧪 === Testing Subtree Removal ===');
+
+    const tree = outline();
+    assert.deepStrictEqual(ids(tree.remove('1.2')), ['1.2', '1.2.1']);
+    assert.ok(!tree.has('1.2.1'));
+    assert.strictEqual(tree.size, 3);
+    assert.deepStrictEqual(ids(tree.children('1')), ['1.4']);
+    console.log('✅ Removing an item removes its subtree');
+}
+
+function testPathKeys() {
+    console.log('\n🧪 === Testing Path Keys ===');
+
+    const tree = outline();
+    assert.strictEqual(tree.pathKey('1.2.1'), '0.3!0.0007637572!0.5');
+    assert.deepStrictEqual(tree.pathKeys('1.2'), [
+        { id: '1.2', path: '0.3!0.0007637572' },
+        { id: '1.2.1', path: '0.3!0.0007637572!0.5' }
+    ]);
+
+    // Legacy keys and trailing zeros are normalized so every segment sorts byte by byte
+    const legacy = new OrderedTree([
+        { id: 'a', index: '9.5' },
+        { id: 'b', index: '12.50' },
+        { id: 'a1', parentId: 'a', index: '0.10' },
+        { id: 'a2', parentId: 'a', index: '0.1000001' }
+    ]);
+    assert.strictEqual(legacy.pathKey('b'), 'b12.5');
+    assert.strictEqual(legacy.pathKey('a1'), 'a9.5!0.1');
+    assertConsistent(legacy);
+
+    // A random outline stays consistent through many edits
+    const random = createSeededRandom(17);
+    const edited = new OrderedTree([], { seed: 17 });
+    for (let i = 0; i < 400; i++) {
+        const existing = ids(edited.toArray());
+        const pick = () => existing[Math.floor(random() * existing.length)];
+        const parentId = existing.length === 0 || random() < 0.2 ? null : pick();
+        const count = edited.children(parentId).length;
+        if (i % 5 === 4 && existing.length > 1) {
+            const id = pick();
+            if (parentId !== id && (parentId === null || edited.pathKey(parentId).indexOf(edited.pathKey(id)) !== 0)) {
+                const remaining = edited.children(parentId).filter(item => item.id !== id).length;
+                edited.move([id], parentId, Math.floor(random() * (remaining + 1)));
+            }
+        } else {
+            edited.insertAt(parentId, Math.floor(random() * (count + 1)), { id: `n${i}` });
+        }
+    }
+    assertConsistent(edited);
+
+    // Compact keys, and a separator below the space for base95
+    const compact = new OrderedTree([{ id: 1, index: '1V' }, { id: 2, parentId: 1, index: '0V' }], { alphabet: 'base62' });
+    assert.strictEqual(compact.pathKey(2), '1V!0V');
+    const printable = new OrderedTree([{ id: 1, index: '1V' }], { alphabet: 'base95', separator: '\u001f' });
+    printable.appendChild(1, { id: 2 });
+    assert.ok(printable.pathKey(2).indexOf('1V\u001f') === 0);
+    console.log(`✅ Sorted path keys match depth-first order (${edited.size} items after random edits)`);
+}
+
+function testCompactTrees() {
+    console.log('\n🧪 === Testing Compact-Key Trees ===');
+
+    // '0V V' sorts after '0V' but before the children of '0V', so the separator must sort below the space
+    const printable = new OrderedTree([
+        { id: 'a', index: '0V' },
+        { id: 'b', index: '0V V' },
+        { id: 'a1', parentId: 'a', index: '0V' }
+    ], { alphabet: 'base95', seed: 5 });
+    assert.strictEqual(printable.pathKey('a1'), '0V\u001f0V');
+    assertConsistent(printable, 'base95');
+
+    ['base62', 'base95'].forEach((alphabet, n) => {
+        const random = createSeededRandom(23 + n);
+        const tree = new OrderedTree([], { alphabet, seed: 23 + n });
+        for (let i = 0; i < 200; i++) {
+            const existing = ids(tree.toArray());
+            const pick = () => existing[Math.floor(random() * existing.length)];
+            const parentId = existing.length === 0 || random() < 0.3 ? null : pick();
+            if (i % 4 === 3 && existing.length > 1) {
+                const id = pick();
+                if (parentId !== id && (parentId === null || tree.pathKey(parentId).indexOf(tree.pathKey(id)) !== 0)) {
+                    const remaining = tree.children(parentId).filter(item => item.id !== id).length;
+                    tree.move([id], parentId, Math.floor(random() * (remaining + 1)));
+                }
+            } else {
+                tree.insertAt(parentId, Math.floor(random() * (tree.children(parentId).length + 1)), { id: `n${i}` });
+            }
+        }
+        assertConsistent(tree, alphabet);
+    });
+    console.log('✅ base62 and base95 trees work with their default separators');
+}
+
+function testInvalidInput() {
+    console.log('\n🧪 === Testing OrderedTree Validation ===');
+
+    const cases = [
+        [() => new OrderedTree({}), 'items'],
+        [() => new OrderedTree([{ id: 1, parentId: 9, index: '0.5' }]), 'items'],
+        [() => new OrderedTree([{ id: 1, parentId: 2, index: '0.5' }, { id: 2, parentId: 1, index: '0.5' }]), 'items'],
+        [() => new OrderedTree([{ id: 1, index: '0.5' }, { id: 1, index: '0.6' }]), 'items'],
+        [() => new OrderedTree([], { parentKey: '' }), 'parentKey'],
+        [() => new OrderedTree([], { separator: '/' }), 'separator'],
+        [() => new OrderedTree([], { alphabet: 'base95', separator: '!' }), 'separator'],
+        [() => outline().insertAt('9', 0, { id: 'x' }), 'parentId'],
+        [() => outline().insertAt('1', 3, { id: 'x' }), 'position'],
+        [() => outline().move(['1'], '1.2.1', 0), 'parentId'],
+        [() => outline().move(['1.2'], '1.2', 0), 'parentId'],
+        [() => outline().move(['1', '1.2.1'], null, 0), 'ids'],
+        [() => outline().move(['2', '2'], null, 0), 'ids'],
+        [() => outline().move(['2'], null, 2), 'targetPosition'],
+        [() => outline().pathKey('9'), 'id']
+    ];
+    cases.forEach(([fn, argument], i) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError, `case ${i} should raise InvalidArgumentError`);
+        assert.strictEqual(error.argument, argument, `case ${i}`);
+    });
+
+    const error = catchError(() => new OrderedTree([{ id: 1, index: 'oops' }]));
+    assert.ok(error instanceof InvalidIndexError);
+    assert.strictEqual(error.index, 'oops');
+    console.log(`✅ ${cases.length + 1} invalid calls raise typed errors`);
+}
+
+function runOrderedTreeTests() {
+    console.log('🚀 Running OrderedTree Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testConstruction();
+        testInserts();
+        testMoves();
+        testRemove();
+        testPathKeys();
+        testCompactTrees();
+        testInvalidInput();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All OrderedTree tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runOrderedTreeTests();
@@ -0,0 +1,255 @@
+const assert = require('assert');
+const {
+    createIndexer,
+    encodeIndex,
+    decodeIndex,
+    isIndex,
+    needsRebalance,
+    rebalance,
+    validateIndexes,
+    OrderedList,
+    OrderedTree,
+    InvalidRangeError,
+    InvalidArgumentError,
+    InvalidIndexError,
+    convertIndex
+} = require('../src/index');
+const { compareDecimal } = require('../src/decimal');
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+function assertByteOrder(keys, message) {
+    const sorted = keys.slice().sort();
+    assert.deepStrictEqual(sorted, keys, message);
+}
+
+function testNegativeEncoding() {
+    console.log('\n🧪 === Testing Negative Key Encoding ===');
+
+    const cases = [
+        ['-0.5', '-Z.5'],
+        ['-0.25', '-Z.75'],
+        ['-0.001', '-Z.999'],
+        ['-1', '-Y9'],
+        ['-3.25', '-Y6.75'],
+        ['-10', '-X90'],
+        ['-99.5', '-X00.5']
+    ];
+    cases.forEach(([value, key]) => {
+        assert.strictEqual(encodeIndex(value), key);
+        assert.strictEqual(decodeIndex(key), value);
+        assert.ok(isIndex(key));
+    });
+    assert.strictEqual(encodeIndex('-0.000'), '0.000', 'negative zero is zero');
+
+    // Byte order matches value order across zero and integer digit counts
+    const values = ['-12345.678', '-100', '-99.5', '-10', '-9.99', '-1', '-0.999', '-0.5', '-0.45', '-0.0001', '0', '0.0001', '0.5', '1', '12.5'];
+    assertByteOrder(values.map(encodeIndex), 'negative keys sort before positive ones, most negative first');
+
+    // A complement that leaves the wrong number of integer digits is not a key
+    ['-Z', '-Z5', '-Y0', '-Y9.1', '-Z.0', '-0.5', '-a1.5', '--Z.5'].forEach(key => {
+        assert.ok(!isIndex(key), `${key} should not be a valid index`);
+    });
+    assert.ok(isIndex('-X09'));
+
+    const report = validateIndexes(['-Y6.75', '-Z.5', '0.5', '-Z.50']);
+    assert.deepStrictEqual(report.nonCanonical, [{ position: 3, index: '-Z.50', canonical: '-Z.5' }]);
+    assert.deepStrictEqual(report.duplicates, [{ index: '-Z.5', positions: [1, 3] }]);
+    assert.deepStrictEqual(report.orderMismatches, []);
+
+    const error = catchError(() => convertIndex('-Z.5', { to: 'base62' }));
+    assert.ok(error instanceof InvalidIndexError);
+    console.log(`✅ ${cases.length} negative values round-trip and sort byte by byte`);
+}
+
+function testSymmetricPrepends() {
+    console.log('\n🧪 === Testing Prepends Below Zero ===');
+
+    // Halving toward zero runs out of float precision after a few dozen prepends
+    const halving = createIndexer({ jitter: false });
+    let first = '0.5';
+    for (let i = 0; i < 60; i++) first = halving.generateFractionalIndex(null, first);
+    assert.ok(first.length > 20, `halving prepends reach ${first.length} characters`);
+
+    // Stepping back keeps keys as short as appends do
+    const indexer = createIndexer({ allowNegative: true, jitter: false });
+    const keys = [indexer.generateFractionalIndex(null, null)];
+    for (let i = 0; i < 2000; i++) keys.unshift(indexer.generateFractionalIndex(null, keys[0]));
+    assertByteOrder(keys);
+    const longest = Math.max.apply(null, keys.map(key => key.length));
+    assert.ok(longest <= 12, `2000 prepends keep keys at ${longest} characters`);
+    assert.strictEqual(keys[keys.length - 2], '-Z.9995');
+
+    // Jittered and replicated keys stay between their bounds too
+    const jittered = createIndexer({ allowNegative: true, seed: 3, siteId: 42 });
+    const feed = [jittered.generateFractionalIndex(null, null)];
+    for (let i = 0; i < 500; i++) {
+        const position = i % 3 === 0 ? 0 : 1 + (i % feed.length);
+        const prev = position === 0 ? null : feed[position - 1];
+        const next = position < feed.length ? feed[position] : null;
+        feed.splice(position, 0, jittered.generateFractionalIndex(prev, next));
+    }
+    assertByteOrder(feed);
+    for (let i = 1; i < feed.length; i++) {
+        assert.ok(compareDecimal(decodeIndex(feed[i - 1]), decodeIndex(feed[i])) < 0);
+    }
+
+    // Batches step back as well, and ranges can straddle zero
+    assert.deepStrictEqual(indexer.generateBulkIndexes(null, '-Z.5', 3), ['-Z.497', '-Z.498', '-Z.499']);
+    assert.deepStrictEqual(indexer.generateBulkIndexes('-Z.5', '0.5', 3), ['-Z.75', '0', '0.25']);
+    assert.strictEqual(indexer.generateFractionalIndex('-Y6.75', '-Z.5'), '-Y8');
+
+    // Without the option there is still nothing before zero
+    const error = catchError(() => createIndexer().generateFractionalIndex(null, '-Z.5'));
+    assert.ok(error instanceof InvalidRangeError);
+    assert.match(error.message, /no index can be generated before -Z\.5/);
+    console.log(`✅ Prepends step below zero like appends step up (${keys[0]} after 2000)`);
+}
+
+function testDescendingOrder() {
+    console.log('\n🧪 === Testing Descending Order ===');
+
+    const indexer = createIndexer({ order: 'descending', jitter: false });
+
+    // Inserting at the head of a descending list steps forward like an append
+    const feed = [indexer.generateFractionalIndex(null, null)];
+    for (let i = 0; i < 2000; i++) feed.unshift(indexer.generateFractionalIndex(null, feed[0]));
+    assertByteOrder(feed.slice().reverse(), 'the head holds the highest key');
+    assert.ok(Math.max.apply(null, feed.map(key => key.length)) <= 13, 'head inserts grow keys like appends do');
+
+    // Bounds and batches are in list order: highest key first
+    assert.strictEqual(indexer.generateFractionalIndex('0.5', '0.4'), '0.45');
+    assert.deepStrictEqual(indexer.generateBulkIndexes('0.5', '0.4', 3), ['0.475', '0.45', '0.425']);
+    assert.deepStrictEqual(indexer.generateBulkIndexes('0.5', '0.1', 3, { layout: 'append' }), ['0.45', '0.4', '0.35']);
+    assert.deepStrictEqual(indexer.generateBulkIndexes(null, '0.4', 3), ['0.403', '0.402', '0.401']);
+    assert.deepStrictEqual(indexer.generateRelocationIndexes('0.5', '0.1', 2, false), ['0.433', '0.366']);
+
+    const reversed = catchError(() => indexer.generateFractionalIndex('0.4', '0.5'));
+    assert.ok(reversed instanceof InvalidRangeError);
+    assert.strictEqual(reversed.prevIndex, '0.4');
+    assert.match(reversed.message, /in descending order prevIndex \(0\.4\) must be greater than nextIndex \(0\.5\)/);
+    assert.match(catchError(() => indexer.generateFractionalIndex('0', null)).message, /no index can be generated after 0/);
+    assert.strictEqual(catchError(() => indexer.generateFractionalIndex('oops', '0.5')).argument, 'prevIndex');
+
+    // Moves and duplicate repairs work on lists in display order
+    const list = [{ id: 1, index: '0.3' }, { id: 2, index: '0.2' }, { id: 3, index: '0.1' }];
+    assert.deepStrictEqual(indexer.moveItems(list, [3], 0), [{ id: 3, index: '0.3010000000' }]);
+    assert.deepStrictEqual(indexer.moveItems(list, [1], 1), [{ id: 1, index: '0.15' }]);
+    assert.deepStrictEqual(
+        indexer.resolveDuplicates([{ id: 1, index: '0.3' }, { id: 2, index: '0.3' }, { id: 3, index: '0.1' }]),
+        [{ position: 1, oldIndex: '0.3', newIndex: '0.2' }]
+    );
+
+    // Metadata describes positions as the list shows them
+    assert.strictEqual(indexer.generateFractionalIndex(null, '0.4', { withMetadata: true }).metadata.position, 'start');
+    assert.strictEqual(indexer.generateFractionalIndex('0.5', '0.4', { withMetadata: true }).metadata.gap, 0.1);
+
+    // Compact keys, and both modes together for feeds that grow at either end
+    const compact = createIndexer({ alphabet: 'base62', order: 'descending', jitter: false });
+    const batch = compact.generateBulkIndexes('11', '0V', 3);
+    assertByteOrder(batch.slice().reverse());
+    assert.ok(batch[0] < '11' && batch[2] > '0V');
+    const both = createIndexer({ order: 'descending', allowNegative: true, jitter: false });
+    assert.strictEqual(both.generateFractionalIndex('0.0005', null), '-Z.9995');
+    console.log('✅ Descending lists take bounds and return keys highest first');
+}
+
+function testOrderedList() {
+    console.log('\n🧪 === Testing Descending OrderedList ===');
+
+    const list = new OrderedList([{ id: 1, index: '0.1' }, { id: 2, index: '0.2' }], { order: 'descending', seed: 8 });
+    assert.deepStrictEqual(list.toArray().map(item => item.id), [2, 1]);
+    for (let i = 3; i < 50; i++) list.insertAt(0, { id: i });
+    list.insertAt(list.size, { id: 'oldest' });
+    list.move(['oldest'], 1);
+    const keys = list.toArray().map(item => item.index);
+    assertByteOrder(keys.slice().reverse());
+    assert.strictEqual(list.toArray()[0].id, 49);
+    assert.strictEqual(list.toArray()[1].id, 'oldest');
+
+    const negative = new OrderedList([{ id: 1, index: '0.0005' }], { allowNegative: true, jitter: false });
+    negative.insertAt(0, { id: 2 });
+    assert.strictEqual(negative.get(2).index, '-Z.9995');
+
+    const tree = new OrderedTree([{ id: 1, index: '-Z.5' }, { id: 2, parentId: 1, index: '0.5' }], { allowNegative: true });
+    tree.insertAt(null, 0, { id: 3 });
+    assert.ok(tree.pathKey(3) < tree.pathKey(1) && tree.pathKey(1) < tree.pathKey(2));
+    const error = catchError(() => new OrderedTree([], { order: 'descending' }));
+    assert.strictEqual(error.argument, 'order');
+    console.log('✅ OrderedList keeps descending lists highest first; OrderedTree accepts negative keys');
+}
+
+function testRebalance() {
+    console.log('\n🧪 === Testing Rebalancing Negative Keys ===');
+
+    assert.strictEqual(needsRebalance(null, '-Z.5'), false, 'there is always room below a negative key');
+    assert.strictEqual(needsRebalance('-Z.5', '-Z.5000000000001'), true);
+
+    const sorted = ['-Z.5', '-Z.5000000000001', '-Z.50000000000015', '0.5'];
+    const updates = rebalance(sorted);
+    assert.deepStrictEqual(updates.map(update => update.position), [1, 2]);
+    const after = sorted.slice();
+    updates.forEach(update => {
+        after[update.position] = update.newIndex;
+    });
+    assertByteOrder(after);
+
+    // A crowded head grows into the open start instead of toward zero
+    const head = ['-0.5', '-0.49999999999', '-0.49999999998', '-0.49999989998', '-0.49999979998', '0.5'].map(encodeIndex);
+    const headUpdates = rebalance(head);
+    assert.deepStrictEqual(headUpdates.map(update => update.position), [0, 1, 2, 3]);
+    assert.ok(compareDecimal(decodeIndex(headUpdates[0].newIndex), '-0.5') < 0, 'the first key moves below where it was');
+    headUpdates.forEach(update => {
+        head[update.position] = update.newIndex;
+    });
+    assertByteOrder(head);
+    assert.ok(validateIndexes(head).valid);
+    console.log(`✅ Rebalancing respreads negative keys (${updates.length + headUpdates.length} writes)`);
+}
+
+function testInvalidOptions() {
+    console.log('\n🧪 === Testing Ordering Option Validation ===');
+
+    const cases = [
+        [() => createIndexer({ order: 'desc' }), 'order'],
+        [() => createIndexer({ allowNegative: 'yes' }), 'allowNegative'],
+        [() => createIndexer({ allowNegative: true, alphabet: 'base62' }), 'allowNegative'],
+        [() => new OrderedList([], { order: 'reverse' }), 'order']
+    ];
+    cases.forEach(([fn, argument]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError, `${argument} should raise InvalidArgumentError`);
+        assert.strictEqual(error.argument, argument);
+    });
+    console.log(`✅ ${cases.length} malformed options raise InvalidArgumentError`);
+}
+
+function runOrderingTests() {
+    console.log('🚀 Running Ordering Mode Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testNegativeEncoding();
+        testSymmetricPrepends();
+        testDescendingOrder();
+        testOrderedList();
+        testRebalance();
+        testInvalidOptions();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All ordering mode tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runOrderingTests();
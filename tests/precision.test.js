@@ -0,0 +1,101 @@
+const assert = require('assert');
+const { generateFractionalIndex, generateBulkIndexes, generateRelocationIndexes } = require('../src/index');
+const { compareDecimal, addDecimal, subtractDecimal, midpointDecimal, roundDecimal, distributeDecimal } = require('../src/decimal');
+
+// Helper function to assert that an index falls strictly between two bounds
+function assertBetween(index, prevIndex, nextIndex) {
+    assert.ok(compareDecimal(prevIndex, index) < 0, `${index} should be greater than ${prevIndex}`);
+    assert.ok(compareDecimal(index, nextIndex) < 0, `${index} should be less than ${nextIndex}`);
+}
+
+function testDecimalHelpers() {
+    console.log('\n🧪 === Testing Decimal String Helpers ===');
+
+    assert.strictEqual(compareDecimal('0.5', '0.50'), 0);
+    assert.strictEqual(compareDecimal('0.5', '0.49999'), 1);
+    assert.strictEqual(compareDecimal('9.9', '10.0'), -1);
+    assert.strictEqual(compareDecimal('0.123456789012345678', '0.123456789012345679'), -1);
+
+    assert.strictEqual(roundDecimal('0.96', 1), '1');
+    assert.strictEqual(roundDecimal('0.00125', 4), '0.0013');
+
+    assert.strictEqual(midpointDecimal('0.1', '0.2'), '0.15');
+    assert.strictEqual(midpointDecimal('0.001', '0.0015'), '0.0013');
+    assert.strictEqual(midpointDecimal('0.123456789012345', '0.123456789012346'), '0.1234567890123455');
+    assert.throws(() => midpointDecimal('0.2', '0.2'), /Invalid range/);
+
+    assert.strictEqual(addDecimal('0.9995', '0.001'), '1.0005');
+    assert.strictEqual(subtractDecimal('0.2', '0.1234'), '0.0766');
+    assert.deepStrictEqual(distributeDecimal('0.1', '0.2', 3), ['0.125', '0.15', '0.175']);
+    assert.deepStrictEqual(distributeDecimal('0.123456789012345678', '0.123456789012345679', 2),
+        ['0.12345678901234567833', '0.12345678901234567866']);
+
+    console.log('✅ Decimal helpers compare, round and bisect correctly');
+}
+
+function testRepeatedSubdivision() {
+    console.log('\n🧪 === Testing 500 Subdivisions of the Same Gap ===');
+
+    let prevIndex = '0.001';
+    const nextIndex = '0.002';
+
+    for (let round = 0; round < 500; round++) {
+        const newIndex = generateFractionalIndex(prevIndex, nextIndex);
+        assertBetween(newIndex, prevIndex, nextIndex);
+        prevIndex = newIndex;
+    }
+
+    console.log(`✅ Still ordered after 500 rounds (key length: ${prevIndex.length})`);
+}
+
+function testRepeatedPrepends() {
+    console.log('\n🧪 === Testing 500 Prepends ===');
+
+    let nextIndex = generateFractionalIndex(null, null);
+    for (let round = 0; round < 500; round++) {
+        const newIndex = generateFractionalIndex(null, nextIndex);
+        assertBetween(newIndex, '0', nextIndex);
+        nextIndex = newIndex;
+    }
+
+    console.log(`✅ Prepends stay above zero (key length: ${nextIndex.length})`);
+}
+
+function testBulkAndRelocationInTinyGaps() {
+    console.log('\n🧪 === Testing Bulk and Relocation in Tiny Gaps ===');
+
+    const prevIndex = '0.123456789012345';
+    const nextIndex = '0.123456789012346';
+
+    const bulk = generateBulkIndexes(prevIndex, nextIndex, 100);
+    [prevIndex, ...bulk, nextIndex].reduce((prev, current) => {
+        assert.ok(compareDecimal(prev, current) < 0, `${current} should follow ${prev}`);
+        return current;
+    });
+    console.log(`✅ 100 bulk indexes fit inside a 1e-15 gap`);
+
+    const relocated = generateRelocationIndexes(prevIndex, nextIndex, 20, false);
+    relocated.forEach(index => assertBetween(index, prevIndex, nextIndex));
+    console.log(`✅ 20 relocated indexes fit inside a 1e-15 gap`);
+}
+
+function runPrecisionTests() {
+    console.log('🚀 Running Arbitrary-Precision Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testDecimalHelpers();
+        testRepeatedSubdivision();
+        testRepeatedPrepends();
+        testBulkAndRelocationInTinyGaps();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All precision tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runPrecisionTests();
@@ -0,0 +1,295 @@
+const assert = require('assert');
+const {
+    createIndexer,
+    createSeededRandom,
+    compareIndexes,
+    isIndex,
+    isCompactIndex
+} = require('../src/index');
+
+// FUZZ_SEED and FUZZ_RUNS reproduce a reported failure or run a longer session
+const BASE_SEED = process.env.FUZZ_SEED === undefined ? 20240601 : Number(process.env.FUZZ_SEED);
+const RUNS = process.env.FUZZ_RUNS === undefined ? 3000 : Number(process.env.FUZZ_RUNS);
+const MAX_OPS = 24;
+// The shrinking checks run on fixed seeds, whatever FUZZ_SEED says
+const SHRINK_SEED = 20240601;
+
+// Indexer settings the sequences run against; each seed picks one, so a seed alone reproduces a run
+const CONFIGS = [
+    { name: 'numeric', options: {} },
+    { name: 'numeric without jitter', options: { jitter: false } },
+    { name: 'negative keys', options: { allowNegative: true } },
+    { name: 'adaptive allocation', options: { allocation: 'adaptive' } },
+    { name: 'site ids', options: { siteId: 42 } },
+    { name: 'descending order', options: { order: 'descending', jitter: false } },
+    { name: 'fixed precision', options: { stepSize: 1, precision: 6 } },
+    { name: 'string-digit', options: { strategy: 'string-digit' } },
+    { name: 'base62', options: { alphabet: 'base62' } },
+    { name: 'base95 without jitter', options: { alphabet: 'base95', jitter: false } }
+];
+
+function configFor(seed) {
+    return CONFIGS[Math.abs(seed) % CONFIGS.length];
+}
+
+/**
+ * Draws a random sequence of operations. Positions are taken modulo the list
+ * length when the operation runs, so any sub-sequence is still a valid sequence.
+ */
+function generateOps(random, count) {
+    const pick = n => Math.floor(random() * n);
+    const ops = [];
+    for (let i = 0; i < count; i++) {
+        const roll = random();
+        if (roll < 0.45) {
+            ops.push({ type: 'insert', position: pick(1000) });
+        } else if (roll < 0.75) {
+            ops.push({ type: 'bulk', position: pick(1000), count: 1 + pick(12), layout: random() < 0.5 ? 'spread' : 'append' });
+        } else {
+            ops.push({ type: 'relocate', from: pick(1000), count: 1 + pick(5), to: pick(1000), evenly: random() < 0.5 });
+        }
+    }
+    return ops;
+}
+
+// Compares two keys in list order, the way the indexer's options say the list is sorted
+function compareInList(options, a, b) {
+    const order = compareIndexes(a, b, { alphabet: options.alphabet || 'decimal' });
+    return options.order === 'descending' ? -order : order;
+}
+
+function isKey(options, key) {
+    return options.alphabet ? isCompactIndex(key, options.alphabet) : isIndex(key);
+}
+
+/**
+ * Runs a sequence on an empty list and checks every generated key
+ * @returns {{step: number, message: string}|null} The first broken property, or null
+ */
+function runSequence(config, seed, ops, check = null, makeIndexer = createIndexer) {
+    const { options } = config;
+    const indexer = makeIndexer({ ...options, seed });
+    const list = [];
+
+    // New keys at list[start, start + count) must be valid and in order with their neighbors
+    const checkRange = (start, count, expected) => {
+        if (count !== expected) return `expected ${expected} keys, got ${count}`;
+        for (let i = start; i < start + count; i++) {
+            if (typeof list[i] !== 'string' || !isKey(options, list[i])) return `${JSON.stringify(list[i])} is not a valid key`;
+        }
+        for (let i = Math.max(start, 1); i <= Math.min(start + count, list.length - 1); i++) {
+            if (compareInList(options, list[i - 1], list[i]) >= 0) {
+                return `${list[i - 1]} at ${i - 1} does not sort before ${list[i]} at ${i}`;
+            }
+        }
+        return null;
+    };
+
+    for (let step = 0; step < ops.length; step++) {
+        const op = ops[step];
+        let message = null;
+        try {
+            if (op.type === 'insert') {
+                const position = op.position % (list.length + 1);
+                list.splice(position, 0, indexer.generateFractionalIndex(list[position - 1] || null, list[position] || null));
+                message = checkRange(position, 1, 1);
+            } else if (op.type === 'bulk') {
+                const position = op.position % (list.length + 1);
+                const keys = indexer.generateBulkIndexes(list[position - 1] || null, list[position] || null, op.count, { layout: op.layout });
+                list.splice(position, 0, ...keys);
+                message = checkRange(position, keys.length, op.count);
+            } else if (list.length > 0) {
+                // Relocation: take a run of items out, then place it elsewhere
+                const from = op.from % list.length;
+                const count = Math.min(op.count, list.length - from);
+                list.splice(from, count);
+                const to = op.to % (list.length + 1);
+                const keys = indexer.generateRelocationIndexes(list[to - 1] || null, list[to] || null, count, op.evenly);
+                list.splice(to, 0, ...keys);
+                message = checkRange(to, keys.length, count);
+            }
+            if (message === null && check !== null) message = check(list);
+        } catch (error) {
+            message = `${error.name}: ${error.message}`;
+        }
+        if (message !== null) return { step, message };
+    }
+
+    // Order was checked around every change; across the whole list it also means no key repeats
+    if (new Set(list).size !== list.length) return { step: ops.length, message: 'the list holds the same key twice' };
+    return null;
+}
+
+// Simpler versions of one operation, tried in turn while shrinking
+function simplerOps(op) {
+    const candidates = [];
+    const smaller = (field, value) => {
+        if (value < op[field]) candidates.push({ ...op, [field]: value });
+    };
+    ['position', 'from', 'to'].forEach(field => {
+        if (op[field] !== undefined) smaller(field, 0);
+    });
+    if (op.count !== undefined) {
+        smaller('count', 1);
+        smaller('count', Math.floor(op.count / 2));
+        smaller('count', op.count - 1);
+    }
+    if (op.layout === 'append') candidates.push({ ...op, layout: 'spread' });
+    if (op.evenly === false) candidates.push({ ...op, evenly: true });
+    if (op.type !== 'insert') candidates.push({ type: 'insert', position: op.position !== undefined ? op.position : op.to });
+    return candidates;
+}
+
+/**
+ * Shrinks a failing sequence: drops chunks of operations, then single ones,
+ * then simplifies the operations left, for as long as the sequence still fails
+ * @param {Object[]} ops - A sequence for which fails returns a failure
+ * @param {function(Object[]): Object|null} fails - Runs a sequence
+ * @returns {{ops: Object[], failure: Object}} A sequence where no single step of shrinking still fails
+ */
+function shrink(ops, fails) {
+    let failure = fails(ops);
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let size = Math.max(1, Math.floor(ops.length / 2)); size >= 1 && !changed; size = size === 1 ? 0 : Math.floor(size / 2)) {
+            for (let i = 0; i + size <= ops.length; i += size) {
+                const candidate = ops.slice(0, i).concat(ops.slice(i + size));
+                const result = fails(candidate);
+                if (result !== null) {
+                    ops = candidate;
+                    failure = result;
+                    changed = true;
+                    break;
+                }
+            }
+        }
+        for (let i = 0; i < ops.length && !changed; i++) {
+            const simpler = simplerOps(ops[i]);
+            for (let j = 0; j < simpler.length; j++) {
+                const candidate = ops.slice(0, i).concat([simpler[j]], ops.slice(i + 1));
+                const result = fails(candidate);
+                if (result !== null) {
+                    ops = candidate;
+                    failure = result;
+                    changed = true;
+                    break;
+                }
+            }
+        }
+    }
+    return { ops, failure };
+}
+
+// Runs RUNS random sequences; a failure is shrunk and reported with the seed that reproduces it
+function fuzz(check = null, makeIndexer = createIndexer, runs = RUNS, baseSeed = BASE_SEED) {
+    let operations = 0;
+    for (let run = 0; run < runs; run++) {
+        const seed = baseSeed + run;
+        const config = configFor(seed);
+        const random = createSeededRandom(seed);
+        const ops = generateOps(random, 1 + Math.floor(random() * MAX_OPS));
+        operations += ops.length;
+        if (runSequence(config, seed, ops, check, makeIndexer) !== null) {
+            const shrunk = shrink(ops, candidate => runSequence(config, seed, candidate, check, makeIndexer));
+            return { seed, config: config.name, ops: shrunk.ops, failure: shrunk.failure, original: ops.length, operations };
+        }
+    }
+    return { seed: null, operations };
+}
+
+function report(result) {
+    return `seed ${result.seed} (${result.config}), shrunk from ${result.original} to ${result.ops.length} operations, ` +
+        `step ${result.failure.step}: ${result.failure.message}\n` +
+        `  ${JSON.stringify(result.ops)}\n` +
+        `  Reproduce with FUZZ_SEED=${result.seed} FUZZ_RUNS=1 npm run test:properties`;
+}
+
+function testOrderingProperties() {
+    console.log('\n🧪 === Testing Ordering Invariants on Random Sequences ===');
+
+    const started = Date.now();
+    const result = fuzz();
+    assert.strictEqual(result.seed, null, result.seed === null ? '' : report(result));
+    console.log(`✅ ${RUNS} sequences (${result.operations} operations, seeds ${BASE_SEED}-${BASE_SEED + RUNS - 1}) ` +
+        `kept keys valid, in range, strictly ordered and unique (${Date.now() - started} ms)`);
+}
+
+function testShrinking() {
+    console.log('\n🧪 === Testing Shrinking ===');
+
+    // A property that does not hold is caught and shrunk to the smallest sequence breaking it
+    const tooMany = list => (list.length > 6 ? `${list.length} items` : null);
+    const tooLong = fuzz(tooMany, createIndexer, 50, SHRINK_SEED);
+    assert.notStrictEqual(tooLong.seed, null);
+    assert.strictEqual(tooLong.failure.message, '7 items', report(tooLong));
+    assert.ok(tooLong.ops.length < tooLong.original);
+    // Dropping any operation left, or any item from a batch, makes the sequence pass
+    const config = CONFIGS.filter(candidate => candidate.name === tooLong.config)[0];
+    tooLong.ops.forEach((op, i) => {
+        const without = tooLong.ops.slice(0, i).concat(tooLong.ops.slice(i + 1));
+        assert.strictEqual(runSequence(config, tooLong.seed, without, tooMany), null, report(tooLong));
+        if (op.count > 1) {
+            const fewer = tooLong.ops.slice(0, i).concat([{ ...op, count: op.count - 1 }], tooLong.ops.slice(i + 1));
+            assert.strictEqual(runSequence(config, tooLong.seed, fewer, tooMany), null, report(tooLong));
+        }
+    });
+
+    // A generator that rounds to two places breaks once a gap closes; the shrunk sequence shows how
+    const rounding = options => {
+        const indexer = createIndexer(options);
+        const round = key => (/^0\.\d+$/.test(key) ? Number(key).toFixed(2) : key);
+        return {
+            generateFractionalIndex: (prev, next) => round(indexer.generateFractionalIndex(prev, next)),
+            generateBulkIndexes: (...args) => indexer.generateBulkIndexes(...args),
+            generateRelocationIndexes: (...args) => indexer.generateRelocationIndexes(...args)
+        };
+    };
+    const broken = fuzz(null, rounding, 200, SHRINK_SEED);
+    assert.notStrictEqual(broken.seed, null, 'the rounding generator is caught');
+    assert.ok(broken.ops.length <= 3, report(broken));
+    assert.ok(broken.ops.every(op => op.type === 'insert' && op.position === 0), report(broken));
+    assert.strictEqual(broken.failure.step, broken.ops.length - 1, 'the last operation is the one that fails');
+    console.log(`✅ Failures shrink to ${tooLong.ops.length} and ${broken.ops.length} operations, with the seed to reproduce them`);
+}
+
+function testReproducibility() {
+    console.log('\n🧪 === Testing Reproducible Sequences ===');
+
+    const seed = BASE_SEED + 7;
+    const draw = () => generateOps(createSeededRandom(seed), MAX_OPS);
+    assert.deepStrictEqual(draw(), draw());
+
+    // The same seed and operations always generate the same list
+    const keysOf = () => {
+        let list = null;
+        runSequence(configFor(seed), seed, draw(), current => {
+            list = current.slice();
+            return null;
+        });
+        return list;
+    };
+    assert.deepStrictEqual(keysOf(), keysOf());
+    assert.deepStrictEqual(runSequence(configFor(seed), seed, draw(), () => 'fails'), { step: 0, message: 'fails' });
+    console.log(`✅ Seed ${seed} (${configFor(seed).name}) replays the same operations and keys`);
+}
+
+function runPropertyTests() {
+    console.log('🚀 Running Property-Based Ordering Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testOrderingProperties();
+        testShrinking();
+        testReproducibility();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All property-based ordering tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runPropertyTests();
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const { createIndexer, needsRebalance, rebalance } = require('../src/index');
+
+const { generateFractionalIndex } = createIndexer({ seed: 'rebalance' });
+
+// Helper function to apply rebalance updates to a copy of the list
+function applyUpdates(indexes, updates) {
+    const result = indexes.slice();
+    updates.forEach(update => {
+        assert.strictEqual(result[update.position], update.oldIndex);
+        result[update.position] = update.newIndex;
+    });
+    return result;
+}
+
+// Helper function to assert strict ascending string order
+function assertStrictlyOrdered(indexes) {
+    for (let i = 1; i < indexes.length; i++) {
+        assert.ok(indexes[i - 1] < indexes[i], `"${indexes[i - 1]}" should sort before "${indexes[i]}"`);
+    }
+}
+
+// Builds 10 evenly spaced items with `crowdSize` items crammed after the 5th one
+function buildCrowdedList(crowdSize) {
+    const indexes = ['0.1', '0.2', '0.3', '0.4', '0.5', '0.6', '0.7', '0.8', '0.9', 'a1'];
+    const crowd = [];
+    let prevIndex = '0.5';
+    for (let i = 0; i < crowdSize; i++) {
+        prevIndex = generateFractionalIndex(prevIndex, '0.6');
+        crowd.push(prevIndex);
+    }
+    return [...indexes.slice(0, 5), ...crowd, ...indexes.slice(5)];
+}
+
+function testNeedsRebalance() {
+    console.log('\n🧪 === Testing needsRebalance ===');
+
+    assert.strictEqual(needsRebalance('0.1', '0.2'), false);
+    assert.strictEqual(needsRebalance('0.1', '0.10000000001'), true);
+    assert.strictEqual(needsRebalance(null, '0.00000000001'), true);
+    assert.strictEqual(needsRebalance('0.5', null), false);
+    assert.strictEqual(needsRebalance('0.1', '0.2', { minGap: 0.5 }), true);
+    assert.strictEqual(needsRebalance('0.' + '1'.repeat(40), null), true);
+
+    // The default threshold is where generation leaves the float path
+    const generated = createIndexer().generateFractionalIndex('0.1', '0.1000000005', { withMetadata: true });
+    assert.strictEqual(generated.metadata.fallback, 'precision');
+    assert.strictEqual(needsRebalance('0.1', '0.1000000005'), true);
+    assert.strictEqual(needsRebalance('0.1', '0.100000002'), false);
+    console.log('✅ Crowded gaps and overlong keys are detected');
+}
+
+function testLocalRespread() {
+    console.log('\n🧪 === Testing Local Respread ===');
+
+    const indexes = buildCrowdedList(60);
+    assert.ok(indexes.some((index, i) => i > 0 && needsRebalance(indexes[i - 1], index)));
+
+    const updates = rebalance(indexes);
+    const rebalanced = applyUpdates(indexes, updates);
+
+    assertStrictlyOrdered(rebalanced);
+    assert.ok(rebalanced.every((index, i) => i === 0 || !needsRebalance(rebalanced[i - 1], index)));
+    assert.ok(updates.length < indexes.length, 'only the crowded neighborhood should move');
+    ['0.1', '0.2', '0.3', '0.4', '0.5', '0.8', '0.9', 'a1'].forEach(index => {
+        assert.ok(!updates.some(update => update.oldIndex === index), `${index} should not move`);
+    });
+    assert.deepStrictEqual(rebalance(rebalanced), []);
+    console.log(`✅ ${updates.length} of ${indexes.length} items rewritten, list is healthy again`);
+}
+
+function testDuplicatesAndEdges() {
+    console.log('\n🧪 === Testing Duplicates and List Edges ===');
+
+    const duplicates = ['0.5', '0.5', '0.5'];
+    assertStrictlyOrdered(applyUpdates(duplicates, rebalance(duplicates)));
+
+    const nearZero = ['0.00000000001', '0.5'];
+    const fixed = applyUpdates(nearZero, rebalance(nearZero));
+    assertStrictlyOrdered(fixed);
+    assert.strictEqual(needsRebalance(null, fixed[0]), false);
+
+    assert.throws(() => rebalance(['0.5', '0.4']), /must be sorted/);
+    console.log('✅ Duplicates, the list head and unsorted input are handled');
+}
+
+function runRebalanceTests() {
+    console.log('🚀 Running Rebalance Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testNeedsRebalance();
+        testLocalRespread();
+        testDuplicatesAndEdges();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All rebalance tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runRebalanceTests();
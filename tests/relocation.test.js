@@ -0,0 +1,111 @@
+const assert = require('assert');
+const { createIndexer, decodeIndex } = require('../src/index');
+const { compareDecimal, subtractDecimal } = require('../src/decimal');
+
+// Helper function to assert that indexes are unique, ascending and strictly inside the bounds
+function assertStrictlyInside(indexes, prevIndex, nextIndex) {
+    const bounded = [prevIndex, ...indexes, nextIndex].filter(index => index !== null);
+    for (let i = 1; i < bounded.length; i++) {
+        assert.ok(
+            compareDecimal(decodeIndex(bounded[i - 1]), decodeIndex(bounded[i])) < 0,
+            `${bounded[i]} should follow ${bounded[i - 1]}`
+        );
+    }
+}
+
+function testTightRanges() {
+    console.log('\n🧪 === Testing Relocation into Tight Ranges ===');
+
+    const ranges = [
+        ['0.5', '0.50001'],
+        ['0.1234567', '0.1234568'],
+        ['0.123456789012345', '0.123456789012346'],
+        ['0.00000000000000000001', '0.00000000000000000002']
+    ];
+    [createIndexer(), createIndexer({ jitter: false })].forEach(indexer => {
+        ranges.forEach(([prevIndex, nextIndex]) => {
+            const indexes = indexer.generateRelocationIndexes(prevIndex, nextIndex, 50);
+            assert.strictEqual(indexes.length, 50);
+            assertStrictlyInside(indexes, prevIndex, nextIndex);
+        });
+    });
+    console.log(`✅ 50 items fit strictly inside gaps down to 1e-20`);
+}
+
+function testLargeKeys() {
+    console.log('\n🧪 === Testing Relocation Beyond 1.0 ===');
+
+    const ranges = [
+        ['a9.5', 'b10.5'],
+        ['b12.5', 'b12.50001'],
+        ['c123.456', 'c123.457'],
+        ['0.9999', 'a1.0001'],
+        ['b99.5', null],
+        [null, 'b10']
+    ];
+    ranges.forEach(([prevIndex, nextIndex]) => {
+        const indexes = createIndexer().generateRelocationIndexes(prevIndex, nextIndex, 20);
+        assertStrictlyInside(indexes, prevIndex, nextIndex);
+        const sorted = indexes.slice().sort();
+        assert.deepStrictEqual(indexes, sorted, 'keys should also sort as strings');
+    });
+    console.log('✅ Keys of 1.0 and above stay in range and in string order');
+}
+
+function testEvenSpacing() {
+    console.log('\n🧪 === Testing Even Spacing ===');
+
+    const indexer = createIndexer({ jitter: false });
+    assert.deepStrictEqual(indexer.generateRelocationIndexes('0.001', '0.003', 3), ['0.0015', '0.002', '0.0025']);
+    assert.deepStrictEqual(indexer.generateRelocationIndexes('0.1', null, 2), ['0.101', '0.102']);
+
+    // Gaps, including those to the bounds, differ by at most one unit of the last digit
+    const indexes = indexer.generateRelocationIndexes('0.5', '0.5000001', 7);
+    const gaps = ['0.5', ...indexes].map((index, i) => subtractDecimal(indexes[i] || '0.5000001', index));
+    const smallest = Math.min(...gaps.map(Number));
+    const largest = Math.max(...gaps.map(Number));
+    assert.ok(largest / smallest <= 1.1, `uneven gaps: ${gaps.join(', ')}`);
+    console.log(`✅ Evenly spaced: ${indexes.join(', ')}`);
+}
+
+function testJitter() {
+    console.log('\n🧪 === Testing Jittered Relocation ===');
+
+    const prevIndex = '0.123456789012345';
+    const nextIndex = '0.123456789012346';
+    const first = createIndexer({ seed: 1 }).generateRelocationIndexes(prevIndex, nextIndex, 10);
+    const second = createIndexer({ seed: 2 }).generateRelocationIndexes(prevIndex, nextIndex, 10);
+
+    assertStrictlyInside(first, prevIndex, nextIndex);
+    assertStrictlyInside(second, prevIndex, nextIndex);
+    assert.notDeepStrictEqual(first, second, 'concurrent relocations should not collide');
+    assert.deepStrictEqual(first, createIndexer({ seed: 1 }).generateRelocationIndexes(prevIndex, nextIndex, 10));
+
+    // Extreme random values must not push a key onto its neighbor
+    [0, 0.9999999999].forEach(value => {
+        const indexes = createIndexer({ random: () => value }).generateRelocationIndexes('0.1', '0.2', 100);
+        assertStrictlyInside(indexes, '0.1', '0.2');
+    });
+    console.log('✅ Jitter stays below the grid step and replays identically');
+}
+
+function runRelocationTests() {
+    console.log('🚀 Running Relocation Distribution Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testTightRanges();
+        testLargeKeys();
+        testEvenSpacing();
+        testJitter();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All relocation tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runRelocationTests();
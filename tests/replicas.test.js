@@ -0,0 +1,226 @@
+const assert = require('assert');
+const {
+    createIndexer,
+    createSeededRandom,
+    decodeIndex,
+    InvalidArgumentError
+} = require('../src/index');
+const { compareDecimal } = require('../src/decimal');
+
+function compareKeys(alphabet, a, b) {
+    if (alphabet !== 'decimal') return a < b ? -1 : a > b ? 1 : 0;
+    return compareDecimal(decodeIndex(a), decodeIndex(b));
+}
+
+/**
+ * Simulates replicas that each edit their own copy of a list, then exchange
+ * their operations in a random order. Every round, each replica inserts at
+ * random positions of its current view, so several of them regularly pick the
+ * same neighbors.
+ */
+function simulate({ replicas, rounds, seed, initial, indexerOptions }) {
+    const alphabet = indexerOptions(0).alphabet || 'decimal';
+    const random = createSeededRandom(seed);
+    const pick = length => Math.floor(random() * length);
+
+    const sites = [];
+    for (let site = 0; site < replicas; site++) {
+        sites.push({
+            indexer: createIndexer(Object.assign({ seed: `${seed}-${site}` }, indexerOptions(site))),
+            items: initial.map((index, i) => ({ id: `init-${i}`, index })),
+            outbox: []
+        });
+    }
+    const insert = (items, op) => {
+        let position = 0;
+        while (position < items.length && compareKeys(alphabet, items[position].index, op.index) < 0) position++;
+        items.splice(position, 0, { id: op.id, index: op.index });
+    };
+
+    const operations = [];
+    let nextId = 0;
+    for (let round = 0; round < rounds; round++) {
+        // Concurrent phase: every replica edits its own view
+        sites.forEach(site => {
+            const inserts = 1 + pick(3);
+            for (let i = 0; i < inserts; i++) {
+                const position = pick(site.items.length + 1);
+                const prev = position > 0 ? site.items[position - 1] : null;
+                const next = position < site.items.length ? site.items[position] : null;
+                const count = pick(4) === 0 ? 3 : 1;
+                const indexes = count === 1
+                    ? [site.indexer.generateFractionalIndex(prev && prev.index, next && next.index)]
+                    : site.indexer.generateBulkIndexes(prev && prev.index, next && next.index, count);
+                indexes.forEach(index => {
+                    const op = { id: `op-${nextId++}`, index, prevId: prev && prev.id, nextId: next && next.id };
+                    insert(site.items, op);
+                    site.outbox.push(op);
+                    operations.push(op);
+                });
+            }
+        });
+
+        // Merge phase: deliver everyone else's operations in a shuffled order
+        const pending = [];
+        sites.forEach((site, from) => site.outbox.forEach(op => pending.push({ op, from })));
+        sites.forEach((site, to) => {
+            const incoming = pending.filter(message => message.from !== to).map(message => message.op);
+            for (let i = incoming.length - 1; i > 0; i--) {
+                const j = pick(i + 1);
+                [incoming[i], incoming[j]] = [incoming[j], incoming[i]];
+            }
+            incoming.forEach(op => insert(site.items, op));
+        });
+        sites.forEach(site => {
+            site.outbox = [];
+        });
+    }
+    return { sites, operations, alphabet };
+}
+
+function countDuplicateKeys({ sites, alphabet }) {
+    const items = sites[0].items;
+    let duplicates = 0;
+    for (let i = 1; i < items.length; i++) {
+        if (compareKeys(alphabet, items[i - 1].index, items[i].index) === 0) duplicates++;
+    }
+    return duplicates;
+}
+
+function assertConverged(result) {
+    const { sites, operations, alphabet } = result;
+    const reference = sites[0].items.map(item => item.id);
+    sites.forEach((site, i) => {
+        assert.deepStrictEqual(site.items.map(item => item.id), reference, `replica ${i} diverged`);
+    });
+    assert.strictEqual(countDuplicateKeys(result), 0, 'keys of different replicas collided');
+
+    // Each item still sits between the neighbors it was inserted between
+    const position = new Map(reference.map((id, i) => [id, i]));
+    operations.forEach(op => {
+        if (op.prevId) assert.ok(position.get(op.prevId) < position.get(op.id), `${op.id} moved before ${op.prevId}`);
+        if (op.nextId) assert.ok(position.get(op.id) < position.get(op.nextId), `${op.id} moved after ${op.nextId}`);
+    });
+    return reference.length;
+}
+
+function testCollisionsWithoutSiteIds() {
+    console.log('\n🧪 === Testing Concurrent Inserts Without Site Ids ===');
+
+    // Deterministic generation is the worst case: same neighbors, same key. One
+    // round is enough - inserting next to a duplicated key would then fail outright
+    const result = simulate({
+        replicas: 4,
+        rounds: 1,
+        seed: 1,
+        initial: ['0.1', '0.2'],
+        indexerOptions: () => ({ jitter: false })
+    });
+    const duplicates = countDuplicateKeys(result);
+    assert.ok(duplicates > 0, 'expected identical keys from replicas sharing a view');
+    console.log(`✅ Baseline: ${duplicates} colliding keys without site ids`);
+}
+
+function testSiteIdsPreventCollisions() {
+    console.log('\n🧪 === Testing Concurrent Inserts With Site Ids ===');
+
+    const scenarios = [
+        ['no jitter', ['0.1', '0.2'], site => ({ siteId: site, jitter: false })],
+        ['jitter', ['0.1', '0.2'], site => ({ siteId: site * 1000 + 7 })],
+        // Neighbors this close leave the float path, where there is no jitter at all
+        ['tiny gap', ['0.1', '0.10000000000001'], site => ({ siteId: site })],
+        ['32-bit ids', ['0.5', 'a1'], site => ({ siteId: 4294967295 - site, jitter: false })],
+        ['base62', ['11', '12'], site => ({ siteId: site, jitter: false, alphabet: 'base62' })],
+        ['base95', ['11', '12'], site => ({ siteId: site, alphabet: 'base95' })]
+    ];
+    scenarios.forEach(([name, initial, indexerOptions], i) => {
+        const result = simulate({ replicas: 6, rounds: 12, seed: 100 + i, initial, indexerOptions });
+        const size = assertConverged(result);
+        console.log(`✅ ${name}: 6 replicas converge on ${size} distinct, intent-preserving keys`);
+    });
+}
+
+function testTiebreakOrder() {
+    console.log('\n🧪 === Testing Site Id Tiebreak ===');
+
+    // Replicas that pick the same neighbors are ordered by site id
+    const ids = [0, 1, 9, 10, 99, 100, 4294967295];
+    const keys = ids.map(siteId => createIndexer({ siteId, jitter: false }).generateFractionalIndex('0.1', '0.2'));
+    for (let i = 1; i < keys.length; i++) {
+        assert.ok(compareDecimal(decodeIndex(keys[i - 1]), decodeIndex(keys[i])) < 0, `${keys[i - 1]} < ${keys[i]}`);
+        assert.ok(keys[i - 1] < keys[i], 'keys should also sort as strings');
+    }
+
+    // The site digits always fit strictly inside the bounds, however tight
+    [['0.5', '0.51'], ['0.1', '0.10000000000001'], [null, '0.000000001'], ['a9.999', 'b10']].forEach(([prev, next]) => {
+        const key = createIndexer({ siteId: 4294967295, jitter: false }).generateFractionalIndex(prev, next);
+        if (prev !== null) assert.ok(compareDecimal(decodeIndex(prev), decodeIndex(key)) < 0, `${key} > ${prev}`);
+        assert.ok(compareDecimal(decodeIndex(key), decodeIndex(next)) < 0, `${key} < ${next}`);
+    });
+    console.log(`✅ Ties break by site id: ${keys.slice(0, 4).join(' < ')} < ...`);
+}
+
+function testDistinctAcrossNeighbors() {
+    console.log('\n🧪 === Testing Site Ids Between Different Neighbors ===');
+
+    const generate = (siteId, prev, next) => createIndexer({ siteId, jitter: false }).generateFractionalIndex(prev, next);
+
+    // Bases of different lengths used to run into the site digits of another replica
+    assert.notStrictEqual(generate(123, '0.4', '0.6'), generate(23, '0.51', '0.53'));
+    assert.notStrictEqual(generate(11, '0.4', '0.6'), generate(10, '0.5', '0.52'));
+    // Site 0 keeps its digits, so it never matches a replica without a site id
+    assert.notStrictEqual(generate(0, '0.1', '0.2'), createIndexer({ jitter: false }).generateFractionalIndex('0.1', '0.2'));
+
+    // However the neighbors differ, no key is generated by two site ids
+    const neighbors = [['0.4', '0.6'], ['0.5', '0.52'], ['0.51', '0.53'], ['0.512', '0.514'], ['0.5', '0.5002'], ['0.52', '0.5202'], [null, '0.6']];
+    const owners = new Map();
+    let count = 0;
+    for (let siteId = 0; siteId < 150; siteId++) {
+        neighbors.forEach(([prev, next]) => {
+            const key = decodeIndex(generate(siteId, prev, next));
+            const owner = owners.get(key);
+            assert.ok(owner === undefined || owner === siteId, `sites ${owner} and ${siteId} both generated ${key}`);
+            owners.set(key, siteId);
+            count++;
+        });
+    }
+    console.log(`✅ ${count} keys from 150 sites between ${neighbors.length} pairs of neighbors never collide`);
+}
+
+function testInvalidSiteIds() {
+    console.log('\n🧪 === Testing Invalid Site Ids ===');
+
+    [-1, 1.5, '7', NaN, 1e10, null].forEach(siteId => {
+        let error;
+        try {
+            createIndexer({ siteId });
+        } catch (caught) {
+            error = caught;
+        }
+        assert.ok(error instanceof InvalidArgumentError, `${String(siteId)} should be rejected`);
+        assert.strictEqual(error.argument, 'siteId');
+    });
+    console.log('✅ Site ids must be integers from 0 to 9999999999');
+}
+
+function runReplicaTests() {
+    console.log('🚀 Running Multi-Replica Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testCollisionsWithoutSiteIds();
+        testSiteIdsPreventCollisions();
+        testTiebreakOrder();
+        testDistinctAcrossNeighbors();
+        testInvalidSiteIds();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All multi-replica tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runReplicaTests();
@@ -0,0 +1,227 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    generateUpdateStatements,
+    recommendCollation,
+    createIndexer,
+    generateFractionalIndex,
+    generateBulkIndexes,
+    moveItems,
+    rebalance,
+    InvalidArgumentError
+} = require('../src/index');
+
+// node:sqlite ships with Node 22.5+; older runtimes skip the database checks
+let DatabaseSync = null;
+try {
+    ({ DatabaseSync } = require('node:sqlite'));
+} catch (error) {
+    DatabaseSync = null;
+}
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+function testDialects() {
+    console.log('\n🧪 === Testing UPDATE Statements per Dialect ===');
+
+    const changes = [{ id: 7, oldIndex: '0.1', newIndex: '0.15' }, { id: 9, oldIndex: '0.2', newIndex: '0.25' }];
+
+    assert.deepStrictEqual(generateUpdateStatements(changes, { dialect: 'postgres', table: 'tasks' }), [{
+        text: 'UPDATE "tasks" SET "index" = CASE WHEN "id" = $1 THEN $2 WHEN "id" = $3 THEN $4 ELSE "index" END WHERE "id" IN ($5, $6)',
+        values: [7, '0.15', 9, '0.25', 7, 9]
+    }]);
+    assert.deepStrictEqual(generateUpdateStatements(changes, { dialect: 'mysql', table: 'app.tasks', indexColumn: 'position' }), [{
+        text: 'UPDATE `app`.`tasks` SET `position` = CASE WHEN `id` = ? THEN ? WHEN `id` = ? THEN ? ELSE `position` END WHERE `id` IN (?, ?)',
+        values: [7, '0.15', 9, '0.25', 7, 9]
+    }]);
+    assert.deepStrictEqual(generateUpdateStatements(changes, { dialect: 'sqlite', table: 'tasks', checkOldIndex: true }), [{
+        text: 'UPDATE "tasks" SET "index" = CASE WHEN "id" = ? AND "index" = ? THEN ? WHEN "id" = ? AND "index" = ? THEN ? ' +
+            'ELSE "index" END WHERE "id" IN (?, ?)',
+        values: [7, '0.1', '0.15', 9, '0.2', '0.25', 7, 9]
+    }]);
+
+    // Identifiers are quoted, values never reach the SQL text
+    const [hostile] = generateUpdateStatements(
+        [{ id: "1'; DROP TABLE tasks; --", index: "0.5'" }],
+        { dialect: 'postgres', table: 'we"ird', idColumn: 'key' }
+    );
+    assert.strictEqual(hostile.text, 'UPDATE "we""ird" SET "index" = CASE WHEN "key" = $1 THEN $2 ELSE "index" END WHERE "key" IN ($3)');
+    assert.ok(hostile.text.indexOf('DROP') === -1);
+    console.log('✅ Postgres, MySQL and SQLite statements are parameterized and quoted');
+}
+
+function testBatching() {
+    console.log('\n🧪 === Testing Batching ===');
+
+    const changes = [];
+    for (let i = 0; i < 1201; i++) changes.push({ id: i, newIndex: `0.${i + 1}` });
+    const statements = generateUpdateStatements(changes, { dialect: 'postgres', table: 'tasks' });
+    assert.deepStrictEqual(statements.map(statement => statement.values.length / 3), [500, 500, 201]);
+    // Postgres numbers placeholders per statement
+    assert.match(statements[1].text, /CASE WHEN "id" = \$1 THEN \$2 /);
+    assert.match(statements[1].text, /\$1500\)$/);
+
+    assert.strictEqual(generateUpdateStatements(changes, { dialect: 'mysql', table: 't', batchSize: 100 }).length, 13);
+    assert.deepStrictEqual(generateUpdateStatements([], { dialect: 'sqlite', table: 't' }), []);
+    console.log(`✅ 1201 changes become ${statements.length} statements of at most 500 rows`);
+}
+
+function testCollation() {
+    console.log('\n🧪 === Testing Collation Advice ===');
+
+    assert.deepStrictEqual(recommendCollation({ dialect: 'postgres', table: 'tasks' }), {
+        orderBy: 'ORDER BY "index" COLLATE "C"',
+        columnType: 'text COLLATE "C"',
+        migration: 'ALTER TABLE "tasks" ALTER COLUMN "index" TYPE text COLLATE "C"'
+    });
+    assert.strictEqual(
+        recommendCollation({ dialect: 'mysql', table: 'tasks', indexColumn: 'position' }).migration,
+        'ALTER TABLE `tasks` MODIFY `position` VARCHAR(255) CHARACTER SET ascii COLLATE ascii_bin NULL'
+    );
+
+    // The ORDER BY collation has to belong to the recommended column's character set
+    const mysql = recommendCollation({ dialect: 'mysql', table: 'tasks', maxKeyLength: 64, nullable: false });
+    assert.deepStrictEqual(mysql, {
+        orderBy: 'ORDER BY `index` COLLATE ascii_bin',
+        columnType: 'VARCHAR(64) CHARACTER SET ascii COLLATE ascii_bin',
+        migration: 'ALTER TABLE `tasks` MODIFY `index` VARCHAR(64) CHARACTER SET ascii COLLATE ascii_bin NOT NULL'
+    });
+
+    // Only MySQL has a length to set; the other dialects use unbounded text
+    assert.strictEqual(recommendCollation({ dialect: 'postgres', table: 'tasks', maxKeyLength: 64 }).columnType, 'text COLLATE "C"');
+    assert.strictEqual(recommendCollation({ dialect: 'sqlite', table: 'tasks' }).migration, null);
+    console.log('✅ Each dialect gets a byte-order ORDER BY, column type and migration');
+}
+
+function testInvalidInput() {
+    console.log('\n🧪 === Testing SQL Validation ===');
+
+    const cases = [
+        [() => generateUpdateStatements([], { dialect: 'oracle', table: 't' }), 'dialect'],
+        [() => generateUpdateStatements([], { dialect: 'sqlite' }), 'table'],
+        [() => generateUpdateStatements([], { dialect: 'sqlite', table: 't', indexColumn: '' }), 'indexColumn'],
+        [() => generateUpdateStatements([], { dialect: 'sqlite', table: 't', batchSize: 0 }), 'batchSize'],
+        [() => generateUpdateStatements({}, { dialect: 'sqlite', table: 't' }), 'changes'],
+        [() => generateUpdateStatements([{ position: 1, newIndex: '0.1' }], { dialect: 'sqlite', table: 't' }), 'changes'],
+        [() => generateUpdateStatements([{ id: 1 }], { dialect: 'sqlite', table: 't' }), 'changes'],
+        [() => generateUpdateStatements([{ id: 1, index: '0.1' }], { dialect: 'sqlite', table: 't', checkOldIndex: true }), 'changes'],
+        [() => recommendCollation({ dialect: 'mssql', table: 't' }), 'dialect'],
+        [() => recommendCollation({ dialect: 'mysql', table: 't', maxKeyLength: 0 }), 'maxKeyLength'],
+        [() => recommendCollation({ dialect: 'mysql', table: 't', maxKeyLength: 70000 }), 'maxKeyLength'],
+        [() => recommendCollation({ dialect: 'mysql', table: 't', maxKeyLength: '255' }), 'maxKeyLength'],
+        [() => recommendCollation({ dialect: 'mysql', table: 't', nullable: 'no' }), 'nullable']
+    ];
+    cases.forEach(([fn, argument]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError, `${argument} should raise InvalidArgumentError`);
+        assert.strictEqual(error.argument, argument);
+    });
+    assert.match(catchError(cases[5][0]).message, /map rebalance positions to row ids/);
+    console.log(`✅ ${cases.length} malformed calls raise InvalidArgumentError`);
+}
+
+// Deletes a temporary directory and everything in it (fs.rmSync needs Node 14.14)
+function removeDir(dir) {
+    fs.readdirSync(dir).forEach(name => {
+        const file = path.join(dir, name);
+        if (fs.lstatSync(file).isDirectory()) {
+            removeDir(file);
+        } else {
+            fs.unlinkSync(file);
+        }
+    });
+    fs.rmdirSync(dir);
+}
+
+function testSqlite() {
+    console.log('\n🧪 === Testing Against a SQLite Database ===');
+
+    if (!DatabaseSync) {
+        console.log(`⏭️  Skipped: node:sqlite is not available in Node ${process.version}`);
+        return;
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frac-indexes-sql-'));
+    const db = new DatabaseSync(path.join(dir, 'tasks.db'));
+    try {
+        const columnType = recommendCollation({ dialect: 'sqlite', table: 'tasks' }).columnType;
+        db.exec(`CREATE TABLE tasks (id INTEGER PRIMARY KEY, "index" ${columnType} NOT NULL)`);
+        const orderBy = recommendCollation({ dialect: 'sqlite', table: 'tasks' }).orderBy;
+        const readOrder = () => db.prepare(`SELECT id, "index" FROM tasks ${orderBy}`).all().map(row => row.id);
+        const run = statements => {
+            db.exec('BEGIN');
+            statements.forEach(({ text, values }) => db.prepare(text).run(...values));
+            db.exec('COMMIT');
+        };
+
+        // A list with a crowded region, inserted in reverse row order
+        const indexes = generateBulkIndexes(null, null, 50);
+        for (let i = 0; i < 40; i++) {
+            indexes.splice(10, 0, generateFractionalIndex(indexes[9], indexes[10]));
+        }
+        const insert = db.prepare('INSERT INTO tasks (id, "index") VALUES (?, ?)');
+        indexes.map((index, id) => ({ id, index })).reverse().forEach(row => insert.run(row.id, row.index));
+        assert.deepStrictEqual(readOrder(), indexes.map((index, id) => id), 'the database should sort like the library');
+
+        // Persist a rebalance through batched statements
+        const updates = rebalance(indexes).map(update => ({ id: update.position, oldIndex: update.oldIndex, newIndex: update.newIndex }));
+        assert.ok(updates.length > 0);
+        run(generateUpdateStatements(updates, { dialect: 'sqlite', table: 'tasks', batchSize: 7, checkOldIndex: true }));
+        assert.deepStrictEqual(readOrder(), indexes.map((index, id) => id), 'rebalancing keeps the order');
+
+        // Persist a move, then check that a stale oldIndex leaves a concurrently changed row alone
+        const rows = db.prepare(`SELECT id, "index" FROM tasks ${orderBy}`).all();
+        run(generateUpdateStatements(moveItems(rows, [0, 1], rows.length - 2), { dialect: 'sqlite', table: 'tasks' }));
+        const order = readOrder();
+        assert.deepStrictEqual(order.slice(-2), [0, 1]);
+
+        db.prepare('UPDATE tasks SET "index" = ? WHERE id = ?').run('0.999', 5);
+        run(generateUpdateStatements([{ id: 5, oldIndex: rows[5].index, newIndex: '0.0001' }], {
+            dialect: 'sqlite',
+            table: 'tasks',
+            checkOldIndex: true
+        }));
+        assert.strictEqual(db.prepare('SELECT "index" FROM tasks WHERE id = 5').get().index, '0.999');
+
+        // Case matters for compact keys: a case-insensitive order would interleave them
+        db.exec('DELETE FROM tasks');
+        const compact = createIndexer({ alphabet: 'base62' }).generateBulkIndexes(null, null, 200);
+        compact.forEach((index, id) => insert.run(id, index));
+        assert.deepStrictEqual(readOrder(), compact.map((index, id) => id));
+        console.log(`✅ SQLite applies ${updates.length} rebalance writes and a move; ORDER BY matches the library`);
+    } finally {
+        db.close();
+        removeDir(dir);
+    }
+}
+
+function runSqlTests() {
+    console.log('🚀 Running SQL Generator Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testDialects();
+        testBatching();
+        testCollation();
+        testInvalidInput();
+        testSqlite();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All SQL generator tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runSqlTests();
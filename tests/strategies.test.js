@@ -0,0 +1,210 @@
+const assert = require('assert');
+const {
+    createIndexer,
+    createStrategy,
+    setDefaultStrategy,
+    generateFractionalIndex,
+    generateBulkIndexes,
+    moveItems,
+    OrderedList,
+    OrderedTree,
+    isCompactIndex,
+    InvalidIndexError,
+    InvalidRangeError,
+    InvalidArgumentError
+} = require('../src/index');
+
+const METHODS = ['between', 'before', 'after', 'bulk', 'compare', 'isValid'];
+
+function catchError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error to be thrown');
+}
+
+function assertSorted(strategy, keys) {
+    for (let i = 1; i < keys.length; i++) {
+        assert.ok(strategy.compare(keys[i - 1], keys[i]) < 0, `${keys[i - 1]} should sort before ${keys[i]}`);
+    }
+}
+
+// Wraps a strategy and records which methods the indexer calls
+function spyOn(strategy) {
+    const calls = [];
+    const spy = {};
+    METHODS.forEach(method => {
+        spy[method] = (...args) => {
+            if (method !== 'compare' && method !== 'isValid') calls.push([method].concat(args));
+            return strategy[method](...args);
+        };
+    });
+    return { spy, calls };
+}
+
+function testBuiltInStrategies() {
+    console.log('\n🧪 === Testing Built-in Strategies ===');
+
+    ['numeric', 'string-digit', 'compact'].forEach(name => {
+        const strategy = createStrategy(name, { seed: 3 });
+        assert.strictEqual(strategy.name, name);
+        METHODS.forEach(method => assert.strictEqual(typeof strategy[method], 'function', `${name} implements ${method}`));
+
+        const first = strategy.between(null, null);
+        const keys = [strategy.before(first), first, strategy.after(first)];
+        keys.splice(2, 0, strategy.between(keys[1], keys[2]));
+        keys.splice(1, 0, ...strategy.bulk(keys[0], keys[1], 5));
+        assertSorted(strategy, keys);
+        keys.forEach(key => assert.ok(strategy.isValid(key), `${key} is a ${name} key`));
+        assert.strictEqual(strategy.isValid('0.5.5'), false);
+        assert.strictEqual(strategy.compare(first, first), 0);
+    });
+
+    // The numeric strategy is the default algorithm, unchanged
+    assert.strictEqual(createStrategy('numeric', { seed: 5 }).between('0.1', '0.2'), createIndexer({ seed: 5 }).generateFractionalIndex('0.1', '0.2'));
+    assert.strictEqual(createStrategy().name, 'numeric');
+
+    // String digits never go through a float, so large and long keys keep their exact values
+    const digits = createStrategy('string-digit', { jitter: false });
+    assert.strictEqual(digits.after('p9007199254740993'), 'p9007199254740993.001');
+    assert.strictEqual(digits.between('0.1', '0.2'), '0.15');
+    assert.strictEqual(digits.between('0.1', '0.1000000000000000001'), '0.10000000000000000005');
+    assert.strictEqual(digits.between('0.1', '0.2', { withMetadata: true }).metadata.fallback, null);
+
+    // Compact keys default to base 62; the alphabet option picks base 95
+    assert.ok(isCompactIndex(createStrategy('compact').between(null, null), 'base62'));
+    const base95 = createStrategy('compact', { alphabet: 'base95', seed: 1 });
+    assert.ok(base95.isValid(base95.between(null, null)) && !base95.isValid('0\u00e9'));
+    console.log('✅ numeric, string-digit and compact strategies implement the same interface');
+}
+
+function testIndexerStrategies() {
+    console.log('\n🧪 === Testing Strategies in createIndexer and Lists ===');
+
+    // A strategy name works wherever createIndexer options do
+    const compact = createIndexer({ strategy: 'compact', jitter: false });
+    assert.strictEqual(compact.generateFractionalIndex('0V', '11'), createIndexer({ alphabet: 'base62', jitter: false }).generateFractionalIndex('0V', '11'));
+
+    const list = new OrderedList([], { strategy: 'compact', seed: 2 });
+    list.insertAt(0, { id: 1 });
+    list.insertAfter(1, { id: 2 });
+    list.insertAt(0, { id: 0 });
+    assert.deepStrictEqual(list.toArray().map(item => item.id), [0, 1, 2]);
+    list.toArray().forEach(item => assert.ok(isCompactIndex(item.index, 'base62')));
+
+    const tree = new OrderedTree([], { strategy: 'string-digit', jitter: false });
+    tree.insertAt(null, 0, { id: 'a' });
+    tree.insertAt('a', 0, { id: 'b' });
+    assert.deepStrictEqual(tree.toArray().map(item => item.id), ['a', 'b']);
+    console.log('✅ createIndexer, OrderedList and OrderedTree take a strategy name');
+}
+
+function testCustomStrategy() {
+    console.log('\n🧪 === Testing Custom Strategies ===');
+
+    const { spy, calls } = spyOn(createStrategy('string-digit', { jitter: false }));
+    const indexer = createIndexer({ strategy: spy });
+
+    // Single inserts go to before, after or between by position
+    assert.strictEqual(indexer.generateFractionalIndex(null, null), '0.001');
+    assert.strictEqual(indexer.generateFractionalIndex(null, '0.5'), '0.25');
+    assert.strictEqual(indexer.generateFractionalIndex('0.5', null), '0.501');
+    assert.strictEqual(indexer.generateFractionalIndex('0.1', '0.2'), '0.15');
+    assert.deepStrictEqual(calls.splice(0), [['between', null, null], ['before', '0.5'], ['after', '0.5'], ['between', '0.1', '0.2']]);
+
+    // Batches, relocations and moves go to bulk with the layout they need
+    assert.deepStrictEqual(indexer.generateBulkIndexes('0.1', '0.2', 3), ['0.125', '0.15', '0.175']);
+    indexer.generateRelocationIndexes('0.1', '0.2', 2, false);
+    const moves = indexer.moveItems([{ id: 1, index: '0.1' }, { id: 2, index: '0.2' }, { id: 3, index: '0.3' }], [1], 2);
+    assert.deepStrictEqual(moves, [{ id: 1, index: '0.301' }]);
+    assert.deepStrictEqual(calls.splice(0).map(call => [call[0], call[3], call[4]]), [
+        ['bulk', 3, { layout: 'spread' }],
+        ['bulk', 2, { layout: 'append' }],
+        ['bulk', 1, { layout: 'spread' }]
+    ]);
+
+    // Duplicates are found with compare and isValid
+    const updates = indexer.resolveDuplicates([{ id: 1, index: '0.5' }, { id: 2, index: '0.50' }, { id: 3, index: '0.7' }]);
+    assert.deepStrictEqual(updates, [{ position: 1, oldIndex: '0.50', newIndex: '0.6' }]);
+    assert.deepStrictEqual(calls.splice(0).map(call => call[0]), ['bulk']);
+
+    // Bounds are checked with the strategy's own isValid and compare
+    const invalid = catchError(() => indexer.generateFractionalIndex('0.1', 'zz'));
+    assert.ok(invalid instanceof InvalidIndexError);
+    assert.strictEqual(invalid.argument, 'nextIndex');
+    assert.ok(catchError(() => indexer.generateBulkIndexes('0.2', '0.1', 2)) instanceof InvalidRangeError);
+    assert.deepStrictEqual(calls, [], 'invalid bounds never reach the strategy');
+    console.log('✅ Indexers delegate to a custom strategy, including moves and duplicate repair');
+}
+
+function testDefaultStrategy() {
+    console.log('\n🧪 === Testing the Default Strategy ===');
+
+    try {
+        setDefaultStrategy('compact', { jitter: false });
+        assert.strictEqual(generateFractionalIndex('0V', '11'), '0k');
+        assert.deepStrictEqual(moveItems([{ id: 1, index: '0V' }, { id: 2, index: '11' }], [2], 0), [{ id: 2, index: '0F' }]);
+
+        const { spy, calls } = spyOn(createStrategy('numeric', { seed: 1 }));
+        setDefaultStrategy(spy);
+        generateBulkIndexes(null, null, 2);
+        assert.deepStrictEqual(calls.map(call => call[0]), ['bulk']);
+    } finally {
+        setDefaultStrategy();
+    }
+    assert.ok(catchError(() => generateFractionalIndex('0V', '11')) instanceof InvalidIndexError, 'back to decimal keys');
+    console.log('✅ setDefaultStrategy switches what the top-level functions delegate to');
+}
+
+function testInvalidOptions() {
+    console.log('\n🧪 === Testing Strategy Option Validation ===');
+
+    const { spy } = spyOn(createStrategy());
+    const incomplete = { between: () => '0.5' };
+    const cases = [
+        [() => createIndexer({ strategy: 'midpoint' }), 'strategy'],
+        [() => createIndexer({ strategy: incomplete }), 'strategy'],
+        [() => createIndexer({ strategy: spy, seed: 4 }), 'seed'],
+        [() => createIndexer({ strategy: spy, order: 'descending' }), 'order'],
+        [() => createIndexer({ strategy: 'compact', alphabet: 'decimal' }), 'alphabet'],
+        [() => createIndexer({ strategy: 'string-digit', alphabet: 'base62' }), 'alphabet'],
+        [() => createIndexer({ strategy: 'compact', allowNegative: true }), 'allowNegative'],
+        [() => createIndexer({ strategy: spy }).generateFractionalIndex(null, null, { withMetadata: true }), 'withMetadata'],
+        [() => createStrategy(spy), 'strategy'],
+        [() => setDefaultStrategy('fastest'), 'strategy'],
+        [() => new OrderedList([], { strategy: spy }), 'strategy'],
+        [() => new OrderedTree([], { strategy: spy }), 'strategy']
+    ];
+    cases.forEach(([fn, argument]) => {
+        const error = catchError(fn);
+        assert.ok(error instanceof InvalidArgumentError, `${argument} should raise InvalidArgumentError`);
+        assert.strictEqual(error.argument, argument);
+    });
+    // A failed call leaves the default as it was
+    assert.strictEqual(typeof generateFractionalIndex(null, null), 'string');
+    console.log(`✅ ${cases.length} malformed strategies and combinations raise InvalidArgumentError`);
+}
+
+function runStrategyTests() {
+    console.log('🚀 Running Index Strategy Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testBuiltInStrategies();
+        testIndexerStrategies();
+        testCustomStrategy();
+        testDefaultStrategy();
+        testInvalidOptions();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All index strategy tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runStrategyTests();
@@ -0,0 +1,5 @@
+// Compile-only checks that the typings also resolve for ES module consumers
+import fracIndexes, { generateFractionalIndex, type FractionalIndex } from 'frac-indexes';
+
+const first: FractionalIndex = generateFractionalIndex(null, null);
+const second: FractionalIndex = fracIndexes.generateFractionalIndex(first, null);
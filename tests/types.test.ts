@@ -0,0 +1,219 @@
+// Compile-only checks for src/index.d.ts, run with `npm run test:types`.
+// Resolves 'frac-indexes' through the package exports map, as users would.
+import {
+    generateFractionalIndex,
+    generateBulkIndexes,
+    generateRelocationIndexes,
+    moveItems,
+    resolveDuplicates,
+    DuplicateUpdate,
+    createIndexer,
+    createStrategy,
+    setDefaultStrategy,
+    Strategy,
+    createSeededRandom,
+    encodeIndex,
+    decodeIndex,
+    isIndex,
+    migrateIndexes,
+    compareIndexes,
+    sortByIndex,
+    findNeighbors,
+    Neighbors,
+    needsRebalance,
+    rebalance,
+    validateIndexes,
+    isCompactIndex,
+    convertIndex,
+    convertIndexes,
+    OrderedList,
+    IndexChange,
+    OrderedTree,
+    TreeChange,
+    generateUpdateStatements,
+    recommendCollation,
+    SqlStatement,
+    createOpLog,
+    replayOpLog,
+    invertOp,
+    OpLogOp,
+    GenerationMetadata,
+    FractionalIndex,
+    FractionalIndexError,
+    InvalidIndexError,
+    InvalidRangeError,
+    InvalidCountError,
+    InvalidArgumentError,
+    ReplayError,
+    ValidationReport
+} from 'frac-indexes';
+
+// Generated keys are branded, but still usable wherever a string is
+const first: FractionalIndex = generateFractionalIndex(null, null);
+const text: string = first;
+const second: FractionalIndex = generateFractionalIndex(first, null);
+
+// @ts-expect-error - arbitrary strings are not FractionalIndex without a check
+const unchecked: FractionalIndex = '0.5';
+
+// Stored keys come back as plain strings and are accepted as input...
+const stored: string = '0.25';
+generateFractionalIndex(stored, first);
+
+// ...or can be narrowed with isIndex
+const column: unknown = stored;
+if (isIndex(column)) {
+    const narrowed: FractionalIndex = column;
+}
+
+// @ts-expect-error - undefined is not an open end, only null is
+generateFractionalIndex(undefined, null);
+
+const bulk: FractionalIndex[] = generateBulkIndexes(first, second, 3, { layout: 'append' });
+// @ts-expect-error - unknown layout
+generateBulkIndexes(first, second, 3, { layout: 'random' });
+const moved: FractionalIndex[] = generateRelocationIndexes(null, first, 2, false);
+
+const rows = [{ id: 'a', index: first }, { id: 'b', index: second }];
+const relocated: IndexChange<string>[] = moveItems(rows, ['b'], 0);
+moveItems(rows, [1], 0, { idKey: 'key', indexKey: 'position' });
+
+const synced = [{ id: 1, index: first, updatedAt: 5 }, { id: 2, index: first, updatedAt: 3 }];
+const repairs: DuplicateUpdate[] = resolveDuplicates(synced, { tiebreak: (a, b) => a.updatedAt - b.updatedAt });
+resolveDuplicates([first, first]);
+// @ts-expect-error - tiebreak is a property name or a comparator
+resolveDuplicates(synced, { tiebreak: 1 });
+
+const indexer = createIndexer({ seed: 'replay', jitter: false });
+indexer.generateBulkIndexes(null, null, 5);
+createIndexer({ random: createSeededRandom(42) });
+createIndexer({ siteId: 3, jitter: false });
+// @ts-expect-error - site ids are numbers
+createIndexer({ siteId: 'replica-3' });
+// @ts-expect-error - jitter is a boolean
+createIndexer({ jitter: 'no' });
+
+const compact: FractionalIndex = createIndexer({ alphabet: 'base62' }).generateFractionalIndex(null, null);
+// @ts-expect-error - unknown alphabet
+createIndexer({ alphabet: 'base64' });
+const converted: FractionalIndex[] = convertIndexes(['0.5', '0.75'], { to: 'base95' });
+const back: FractionalIndex = convertIndex(compact, { from: 'base62' });
+const column62: unknown = compact;
+if (isCompactIndex(column62, 'base62')) {
+    const narrowed62: FractionalIndex = column62;
+}
+
+interface Task { id: number; index: string; title: string }
+const tasks = new OrderedList<Task, number>([{ id: 1, index: first, title: 'a' }], { seed: 1 });
+const writes: IndexChange<number>[] = tasks.insertAfter(1, { id: 2, index: '', title: 'b' });
+tasks.move([2], 0);
+const ordered: Task[] = tasks.toArray();
+// @ts-expect-error - ids are numbers in this list
+tasks.remove('1');
+
+interface Node { id: string; parentId: string | null; index: string }
+const outline = new OrderedTree<Node, string>([{ id: 'a', parentId: null, index: first }], { separator: ' ' });
+const childWrites: TreeChange<string>[] = outline.appendChild('a', { id: 'b', parentId: null, index: '' });
+outline.move(['b'], null, 0);
+const subtree: Node[] = outline.remove('a');
+const paths: string[] = outline.pathKeys().map(entry => entry.path);
+// @ts-expect-error - move needs a parent id, null for the top level
+outline.move(['b'], 0);
+
+const statements: SqlStatement[] = generateUpdateStatements(relocated, { dialect: 'postgres', table: 'tasks' });
+generateUpdateStatements([{ id: 1, oldIndex: '0.1', newIndex: '0.2' }], { dialect: 'sqlite', table: 'tasks', checkOldIndex: true });
+// @ts-expect-error - unsupported dialect
+generateUpdateStatements([], { dialect: 'oracle', table: 'tasks' });
+const migration: string | null = recommendCollation({ dialect: 'mysql', table: 'tasks' }).migration;
+recommendCollation({ dialect: 'mysql', table: 'tasks', maxKeyLength: 64, nullable: false });
+// @ts-expect-error - the length is a number
+recommendCollation({ dialect: 'mysql', table: 'tasks', maxKeyLength: '64' });
+
+const described = generateFractionalIndex(first, second, { withMetadata: true });
+const describedKey: FractionalIndex = described.index;
+const bisectionsLeft: number = described.metadata.headroom;
+const bulkDescribed: GenerationMetadata | null = generateBulkIndexes(first, second, 3, { withMetadata: true }).metadata;
+// @ts-expect-error - with metadata the result is an object, not a key
+const notAKey: FractionalIndex = generateFractionalIndex(first, second, { withMetadata: true });
+const feed = createIndexer({ order: 'descending', allowNegative: true });
+new OrderedList([], { order: 'descending' });
+// @ts-expect-error - path keys only sort ascending
+new OrderedTree([], { order: 'descending' });
+// @ts-expect-error - 'asc' is not an order
+createIndexer({ order: 'asc' });
+const typing = createIndexer({ allocation: 'adaptive' });
+const exactKeys = createStrategy('string-digit', { seed: 1 });
+const exactKey: FractionalIndex = exactKeys.between(null, null);
+const exactBatch: FractionalIndex[] = exactKeys.bulk(exactKey, null, 3, { layout: 'append' });
+const custom: Strategy = {
+    between: () => 'm',
+    before: next => next + 'a',
+    after: prev => prev + 'z',
+    bulk: (prev, next, count) => new Array(count).fill('m'),
+    compare: (a, b) => (a < b ? -1 : a > b ? 1 : 0),
+    isValid: key => /^[a-z]+$/.test(key)
+};
+createIndexer({ strategy: custom, logger: null });
+setDefaultStrategy(exactKeys);
+setDefaultStrategy('compact', { alphabet: 'base95' });
+new OrderedList([], { strategy: 'compact' });
+// @ts-expect-error - lists compare keys themselves and take a built-in strategy
+new OrderedList([], { strategy: custom });
+// @ts-expect-error - 'bisect' is not a strategy
+createStrategy('bisect');
+new OrderedTree([], { allocation: 'adaptive', allowNegative: true });
+// @ts-expect-error - allocation is 'midpoint' or 'adaptive'
+createIndexer({ allocation: 'append' });
+const board = createIndexer({ stepSize: 1, jitterRatio: 0.5, minSafeGap: 1e-6, precision: 8 });
+new OrderedList([], { stepSize: 0.01, precision: 6 });
+// @ts-expect-error - precision is a number of decimal places
+createIndexer({ precision: 'fixed' });
+const monitored = createIndexer({ logger: null, maxKeyLength: 64, onGenerate: metadata => metadata.fallback === 'boundary' });
+new OrderedList([], { logger: { warn: (message: string) => undefined } });
+
+const order: number = compareIndexes(first, second, { alphabet: 'decimal' });
+const sortedRows: { id: number; index: string }[] = sortByIndex([{ id: 1, index: '0.5' }], 'index', { order: 'descending' });
+const sortedKeys: string[] = sortByIndex(['0.5', '9.5']);
+const neighbors: Neighbors = findNeighbors(sortedRows, '0.6', { key: 'index' });
+const insertAt: number = neighbors.position;
+generateFractionalIndex(neighbors.prevIndex, neighbors.nextIndex);
+// @ts-expect-error - keys are strings
+compareIndexes(0.5, 0.7);
+
+const plain: string = decodeIndex(encodeIndex('12.5'));
+const migrated: FractionalIndex[] = migrateIndexes(['0.5', '9.5', '10.25']);
+
+const log = createOpLog({ seed: 'doc-1', strategy: 'compact' });
+const logged: FractionalIndex = log.insert('a', null, null);
+const loggedBatch: FractionalIndex[] = log.insertBulk([1, 2], logged, null, { layout: 'append' });
+log.relocate([{ id: 1, index: loggedBatch[0] }], null, logged, false);
+const inverse: OpLogOp = invertOp(log.undo());
+const rebuilt: Array<{ id: string | number; index: string }> = replayOpLog(JSON.stringify(log));
+replayOpLog(log.toJSON());
+// @ts-expect-error - a log replays from a seed, not a custom random source
+createOpLog({ random: Math.random });
+// @ts-expect-error - ids have to survive JSON
+log.insert({ id: 1 }, null, null);
+
+const crowded: boolean = needsRebalance(first, second, { minGap: 1e-12 });
+rebalance([first, second], { targetGap: 1e-6 }).forEach(update => {
+    const position: number = update.position;
+    const newIndex: FractionalIndex = update.newIndex;
+});
+
+const report: ValidationReport = validateIndexes([{ id: 1, position: first }], { key: 'position' });
+const headroom: number | null = report.headroom;
+
+try {
+    generateFractionalIndex(second, first);
+} catch (error) {
+    if (error instanceof InvalidRangeError) {
+        const bounds: Array<string | null> = [error.prevIndex, error.nextIndex];
+    } else if (error instanceof InvalidIndexError) {
+        const argument: string | null = error.argument;
+    } else if (error instanceof InvalidCountError || error instanceof InvalidArgumentError) {
+        const base: FractionalIndexError = error;
+    } else if (error instanceof ReplayError) {
+        const step: number = error.step;
+    }
+}
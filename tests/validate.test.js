@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { generateBulkIndexes, migrateIndexes, validateIndexes } = require('../src/index');
+
+function testHealthyList() {
+    console.log('\n🧪 === Testing a Healthy List ===');
+
+    const rows = generateBulkIndexes(null, null, 20).map((index, i) => ({ id: i + 1, index }));
+    const report = validateIndexes(rows);
+
+    assert.strictEqual(report.valid, true);
+    assert.strictEqual(report.count, 20);
+    assert.deepStrictEqual([report.invalid, report.nonCanonical, report.duplicates, report.orderMismatches], [[], [], [], []]);
+    assert.ok(report.headroom > 15, `expected plenty of headroom, got ${report.headroom}`);
+    assert.strictEqual(report.gapsNeedingRebalance, 0);
+    assert.doesNotThrow(() => JSON.stringify(report));
+    console.log(`✅ Valid report, min gap ${report.minGap.size}, ${report.headroom} bisections of headroom`);
+}
+
+function testBrokenList() {
+    console.log('\n🧪 === Testing a Broken List ===');
+
+    const rows = [
+        { id: 'a', position: '0.5' },
+        { id: 'b', position: '9.5' },
+        { id: 'c', position: '10.5' },
+        { id: 'd', position: '0.50' },
+        { id: 'e', position: 'NaN' },
+        { id: 'f' },
+        { id: 'g', position: '0.5000000000001' }
+    ];
+    const report = validateIndexes(rows, { key: 'position' });
+
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(report.invalid, [{ position: 4, index: 'NaN' }, { position: 5, index: null }]);
+    assert.deepStrictEqual(report.nonCanonical.map(entry => entry.canonical), ['a9.5', 'b10.5']);
+    assert.deepStrictEqual(report.duplicates, [{ index: '0.5', positions: [0, 3] }]);
+    assert.deepStrictEqual(report.orderMismatches, [{ positions: [2, 1], indexes: ['10.5', '9.5'] }]);
+    assert.strictEqual(report.minGap.size, '0.0000000000001');
+    assert.strictEqual(report.headroom, 0);
+    assert.strictEqual(report.gapsNeedingRebalance, 1);
+    console.log('✅ Garbage, legacy keys, duplicates, mismatches and crowding are all reported');
+}
+
+function testMigrationFixesOrdering() {
+    console.log('\n🧪 === Testing Validation After Migration ===');
+
+    const legacy = ['0.9995', '1.0005', '9.5', '10.5', '100.5'];
+    assert.strictEqual(validateIndexes(legacy).orderMismatches.length, 1);
+
+    const report = validateIndexes(migrateIndexes(legacy));
+    assert.strictEqual(report.valid, true);
+    assert.strictEqual(validateIndexes([]).minGap, null);
+    console.log('✅ Migrated keys pass validation');
+}
+
+function runValidateTests() {
+    console.log('🚀 Running Validation Tests');
+    console.log('=' .repeat(70));
+
+    try {
+        testHealthyList();
+        testBrokenList();
+        testMigrationFixesOrdering();
+
+        console.log('\n' + '=' .repeat(70));
+        console.log('🎉 All validation tests passed!');
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+runValidateTests();